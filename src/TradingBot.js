@@ -1,21 +1,61 @@
 import BoltOddsClient from './services/BoltOddsClient.js';
 import PolymarketClient from './services/PolymarketClient.js';
+import PaperPolymarketClient from './services/PaperPolymarketClient.js';
 import OddsComparison from './services/OddsComparison.js';
+import MarketDiscovery from './services/MarketDiscovery.js';
+import TradeStore from './services/TradeStore.js';
+import OrderManager, { OPEN_STATUSES, orderIdOf } from './services/OrderManager.js';
+import PositionReconciler from './services/PositionReconciler.js';
+import PositionSizer from './services/PositionSizer.js';
+import ExecutionPlanner from './services/ExecutionPlanner.js';
+import PolymarketMarketFeed from './services/PolymarketMarketFeed.js';
+import RiskManager from './services/RiskManager.js';
+import FeedHealthMonitor from './services/FeedHealthMonitor.js';
+import ExitEngine from './services/ExitEngine.js';
+import GameStateStore from './services/GameStateStore.js';
+import NhlScoreSource from './services/NhlScoreSource.js';
+import FeedRecorder from './services/FeedRecorder.js';
+import SettlementService from './services/SettlementService.js';
 import config from './config/config.js';
 import logger from './utils/logger.js';
+import { normalizeLevels } from './utils/orderbook.js';
+import { MIN_ORDER_SHARES } from './utils/clobAuth.js';
+import { applyClosingLine, closingLineValue, summarizeClv } from './utils/performance.js';
 
 export class TradingBot {
-  constructor() {
-    this.boltOddsClient = new BoltOddsClient();
-    this.polymarketClient = new PolymarketClient();
-    this.oddsComparison = new OddsComparison();
+  // clients can be swapped for replay ones (boltOddsClient, polymarketClient, marketFeed, scoreSource)
+  constructor(clients = {}) {
+    this.feedRecorder = config.RECORD_FEEDS ? new FeedRecorder() : null;
+    this.boltOddsClient = clients.boltOddsClient || new BoltOddsClient(this.feedRecorder);
+    this.paperTrading = config.DRY_RUN;
+    this.polymarketClient = clients.polymarketClient
+      || (this.paperTrading ? new PaperPolymarketClient(this.feedRecorder) : new PolymarketClient(this.feedRecorder));
+    this.gameStateStore = new GameStateStore();
+    this.scoreSource = 'scoreSource' in clients
+      ? clients.scoreSource
+      : config.GAME_STATE_SOURCE === 'nhl' ? new NhlScoreSource(this.feedRecorder) : null;
+    this.oddsComparison = new OddsComparison(this.gameStateStore);
+    this.marketFeed = clients.marketFeed || new PolymarketMarketFeed(this.feedRecorder);
+    this.marketDiscovery = new MarketDiscovery(this.polymarketClient, this.oddsComparison, this.marketFeed, tokenId => this.activePositions.has(tokenId));
+    this.tradeStore = new TradeStore();
+    this.orderManager = new OrderManager(this.polymarketClient);
+    this.reconciler = new PositionReconciler(this.polymarketClient, this.orderManager);
+    this.positionSizer = new PositionSizer();
+    this.executionPlanner = new ExecutionPlanner();
+    this.riskManager = new RiskManager();
+    this.feedHealth = new FeedHealthMonitor(this.boltOddsClient, this.marketFeed);
+    this.exitEngine = new ExitEngine();
+    this.settlementService = new SettlementService(this.polymarketClient, {
+      bankroll: this.paperTrading ? config.PAPER_STARTING_BALANCE : 0
+    });
+    this.suspensions = new Map(); // Games not traded right now, with the reason
     
     this.isRunning = false;
     this.activePositions = new Map();
+    this.pendingEntries = new Map(); // Entries between their risk reservation and the placed order, by token id
     this.tradingHistory = [];
     this.maxPositionSize = config.MAX_POSITION_SIZE;
     this.autoSellEnabled = config.AUTO_SELL_ENABLED;
-    this.autoSellThreshold = config.AUTO_SELL_THRESHOLD;
     
     this.setupEventHandlers();
   }
@@ -24,11 +64,11 @@ export class TradingBot {
   setupEventHandlers() {
     // boltodds event handlers
     this.boltOddsClient.on('initialState', (data) => {
-      this.handleBoltOddsUpdate(data);
+      this.handleBoltOddsUpdate(data, { replace: true });
     });
 
     this.boltOddsClient.on('gameUpdate', (data) => {
-      this.handleBoltOddsUpdate(data);
+      this.handleBoltOddsUpdate(data, { replace: true });
     });
 
     this.boltOddsClient.on('lineUpdate', (data) => {
@@ -37,7 +77,8 @@ export class TradingBot {
 
     this.boltOddsClient.on('gameAdded', (data) => {
       logger.info('New NHL game added', { game: data.game });
-      this.handleBoltOddsUpdate(data);
+      this.handleBoltOddsUpdate(data, { replace: true });
+      this.discoverMarketsForGame(data);
     });
 
     this.boltOddsClient.on('gameRemoved', (data) => {
@@ -45,10 +86,46 @@ export class TradingBot {
       this.handleGameRemoved(data);
     });
 
+    this.boltOddsClient.on('bookClear', (data) => {
+      this.oddsComparison.clearSportsbook(data?.sportsbook);
+    });
+
     this.boltOddsClient.on('error', (error) => {
       logger.error('BoltOdds error', { error });
     });
 
+    // game state from the nhl scoreboard when it is the configured source
+    this.scoreSource?.on('gameState', (update) => {
+      this.handleScoreboardUpdate(update);
+    });
+
+    // polymarket market data handlers
+    this.marketFeed.on('bookUpdate', (update) => {
+      this.handlePolymarketUpdate(update);
+    });
+
+    // order lifecycle handlers
+    this.orderManager.on('fill', (fill) => {
+      this.handleOrderFill(fill);
+    });
+
+    this.orderManager.on('orderUpdated', (order) => {
+      this.tradeStore.recordOrder(order);
+    });
+
+    this.orderManager.on('orderClosed', (order) => {
+      this.handleOrderClosed(order);
+    });
+
+    this.orderManager.on('orderLost', (order) => {
+      this.handleOrderLost(order);
+    });
+
+    // stop new entries from filling once trading is halted
+    this.riskManager.on('killSwitch', () => {
+      this.cancelOpenEntries();
+    });
+
     // polymarket error handling
     this.polymarketClient.on?.('error', (error) => {
       logger.error('Polymarket error', { error });
@@ -58,13 +135,30 @@ export class TradingBot {
   // start the trading bot
   async start() {
     try {
-      logger.info('Starting NHL Trading Bot...');
+      logger.info('Starting NHL Trading Bot...', { mode: this.paperTrading ? 'paper' : 'live' });
+      
+      // restore positions and history before any feed can trigger a trade
+      this.restoreState();
       
       // connect to boltodds
       await this.boltOddsClient.connect();
       
-      // load existing positions
-      await this.loadActivePositions();
+      // stream polymarket books for discovered tokens
+      await this.marketFeed.connect();
+      
+      // follow scores and clocks when they do not come from boltodds
+      this.scoreSource?.start();
+      
+      // rebuild positions and open orders from the exchange
+      await this.reconcilePositions().catch((error) => {
+        logger.error('Error reconciling positions', { error: error.message });
+      });
+      
+      // discover polymarket nhl markets and keep their prices fresh
+      await this.marketDiscovery.start();
+      
+      // follow open orders until they fill, cancel or expire
+      this.orderManager.start();
       
       // start main trading loop
       this.isRunning = true;
@@ -73,6 +167,12 @@ export class TradingBot {
       // start periodic cleanup
       this.startPeriodicCleanup();
       
+      // keep local positions in line with the exchange
+      this.startPeriodicReconciliation();
+      
+      // pay out positions once their markets resolve
+      this.startPeriodicSettlement();
+      
       logger.info('Trading bot started successfully');
       
     } catch (error) {
@@ -90,10 +190,17 @@ export class TradingBot {
       
       // close connections
       this.boltOddsClient.close();
+      this.marketFeed.close();
+      this.scoreSource?.stop();
+      this.marketDiscovery.stop();
+      this.orderManager.stop();
       
       // save trading history
       await this.saveTradingHistory();
       
+      // finish the recording files so they decompress cleanly
+      await this.feedRecorder?.close();
+      
       logger.info('Trading bot stopped');
       
     } catch (error) {
@@ -101,11 +208,55 @@ export class TradingBot {
     }
   }
 
+  // rehydrate positions and trading history from the trade journal
+  restoreState() {
+    this.riskManager.load();
+    
+    // a paper exchange picks up the balance, orders and holdings of the previous run
+    if (this.paperTrading) {
+      this.polymarketClient.load?.();
+    }
+    this.tradeStore.open();
+    const state = this.tradeStore.load();
+    
+    this.activePositions = state.positions;
+    this.tradingHistory = state.tradingHistory;
+    
+    // a sell still being placed when the bot stopped has no order to wait for
+    for (const position of this.activePositions.values()) {
+      position.exitPending = false;
+    }
+    this.settlementService.restore(state.realized);
+    
+    // keep following orders that were still open when the bot stopped
+    let resumedOrders = 0;
+    for (const order of state.orders.values()) {
+      if (OPEN_STATUSES.includes(order.status)) {
+        this.orderManager.resume(order);
+        resumedOrders++;
+      }
+    }
+    
+    logger.info('Restored state from trade journal', {
+      activePositions: this.activePositions.size,
+      trades: this.tradingHistory.length,
+      orders: state.orders.size,
+      resumedOrders,
+      fills: state.fills
+    });
+  }
+
   // handle boltodds data updates
-  handleBoltOddsUpdate(data) {
+  handleBoltOddsUpdate(data, options = {}) {
     try {
       // update odds comparison data
-      this.oddsComparison.updateBoltOddsData(data);
+      this.oddsComparison.updateBoltOddsData(data, options);
+      
+      // game_update and initial state messages may carry the score and clock
+      const gameState = this.gameStateStore.source === 'boltodds' ? this.gameStateStore.fromBoltOdds(data) : null;
+      if (gameState) {
+        this.gameStateStore.update(this.oddsComparison.createGameKey(data), gameState, 'boltodds');
+      }
       
       // check for trading opportunities
       this.checkTradingOpportunities();
@@ -120,15 +271,74 @@ export class TradingBot {
     }
   }
 
+  // handle a live polymarket top-of-book change
+  handlePolymarketUpdate(update) {
+    try {
+      // only tokens found by market discovery can be matched to a game
+      if (!this.oddsComparison.polymarketData.has(update.tokenId)) {
+        return;
+      }
+      
+      // the ask is what a buy pays, fall back to the midpoint on a one-sided book
+      const price = update.bestAsk ?? update.midpoint;
+      
+      this.oddsComparison.updatePolymarketData(update.tokenId, {
+        ...(price !== null ? { price } : {}),
+        bestBid: update.bestBid,
+        bestAsk: update.bestAsk
+      });
+      
+      // check for trading opportunities
+      this.checkTradingOpportunities();
+      
+      // check auto-sell conditions if enabled
+      if (this.autoSellEnabled) {
+        this.checkAutoSellConditions();
+      }
+      
+    } catch (error) {
+      logger.error('Error handling Polymarket update', { error: error.message, update });
+    }
+  }
+
+  // apply a scoreboard game to the boltodds game between the same teams
+  handleScoreboardUpdate(update) {
+    try {
+      const gameKey = this.oddsComparison.findGameKeyByTeams(update.homeTeam, update.awayTeam);
+      if (!gameKey) return;
+      
+      this.gameStateStore.update(gameKey, update.state, 'nhl');
+      
+    } catch (error) {
+      logger.error('Error handling scoreboard update', { error: error.message, update });
+    }
+  }
+
+  // find polymarket markets for a newly added game
+  async discoverMarketsForGame(data) {
+    try {
+      const found = await this.marketDiscovery.discoverForGame(data);
+      
+      if (found > 0) {
+        this.checkTradingOpportunities();
+      }
+      
+    } catch (error) {
+      logger.error('Error discovering markets for game', { error: error.message, game: data.game });
+    }
+  }
+
   // handle game removal
   handleGameRemoved(data) {
     try {
       const gameKey = this.oddsComparison.createGameKey(data);
+      this.recordClosingLines(gameKey);
+      this.gameStateStore.removeGame(gameKey);
       
       // remove from active positions if any
       for (const [tokenId, position] of this.activePositions.entries()) {
         if (position.gameKey === gameKey) {
-          logger.info('Game ended, position remains open', { tokenId, gameKey });
+          logger.info('Game ended, position stays open until its market settles', { tokenId, gameKey });
         }
       }
       
@@ -140,39 +350,108 @@ export class TradingBot {
   // check for trading opportunities
   checkTradingOpportunities() {
     try {
+      const health = this.feedHealth.check();
+      const suspensions = new Map();
+      
+      // games whose reference odds cannot be trusted right now (stale, or a goal the books have not priced yet)
+      for (const gameKey of this.oddsComparison.boltOddsData.keys()) {
+        const freshness = this.oddsComparison.getGameFreshness(gameKey);
+        const reason = this.feedHealth.getSuspensionReason({ freshness }, health)
+          || this.gameStateStore.getTradingBlock(gameKey);
+        if (reason) {
+          suspensions.set(gameKey, { reason, tokenId: null });
+        }
+      }
+      
       const opportunities = this.oddsComparison.findTradingOpportunities();
       
       for (const opportunity of opportunities) {
+        if (suspensions.has(opportunity.gameKey)) continue;
+        
+        // the polymarket side has to be fresh as well (a complement priced from the other token's book is as fresh as that book)
+        const priceTokenId = this.oddsComparison.polymarketData.has(opportunity.tokenId)
+          ? opportunity.tokenId
+          : opportunity.complementOf;
+        const reason = this.feedHealth.getSuspensionReason({
+          freshness: this.oddsComparison.getGameFreshness(opportunity.gameKey),
+          tokenId: priceTokenId,
+          tokenData: this.oddsComparison.polymarketData.get(priceTokenId)
+        }, health);
+        
+        if (reason) {
+          suspensions.set(opportunity.gameKey, { reason, tokenId: opportunity.tokenId });
+          continue;
+        }
+        
         this.evaluateOpportunity(opportunity);
       }
       
+      this.updateSuspensions(suspensions);
+      
     } catch (error) {
       logger.error('Error checking trading opportunities', { error: error.message });
     }
   }
 
+  // swap in the latest suspensions, logging games that were suspended or resumed
+  updateSuspensions(next) {
+    const now = Date.now();
+    
+    for (const [gameKey, suspension] of next.entries()) {
+      const previous = this.suspensions.get(gameKey);
+      suspension.since = previous?.since ?? now;
+      
+      if (!previous || previous.reason !== suspension.reason) {
+        logger.warn('Trading suspended on game', { gameKey, reason: suspension.reason });
+      }
+    }
+    
+    for (const gameKey of this.suspensions.keys()) {
+      if (!next.has(gameKey)) {
+        logger.info('Trading resumed on game', { gameKey });
+      }
+    }
+    
+    this.suspensions = next;
+  }
+
   // evaluate a trading opportunity
   async evaluateOpportunity(opportunity) {
     try {
       const { valueAnalysis, recommendation } = opportunity;
+      const confident = valueAnalysis.confidence === 'high' || valueAnalysis.confidence === 'medium';
+      
+      // a sell signal exits a position held in the token, it never opens one
+      if (recommendation.action === 'sell') {
+        const position = this.activePositions.get(recommendation.tokenId);
+        if (!position || position.status !== 'open' || position.exitOrderId || position.exitPending) {
+          logger.debug('Ignoring sell signal without an open position', { tokenId: recommendation.tokenId, strategy: valueAnalysis.strategy });
+          return;
+        }
+        
+        if (confident) {
+          await this.sellPosition(recommendation.tokenId, null, {
+            rule: 'strategy',
+            reason: `${valueAnalysis.strategy} sell signal at ${(valueAnalysis.value * 100).toFixed(1)}% edge`
+          });
+        }
+        return;
+      }
       
-      // check if we already have a position in this token
-      if (this.activePositions.has(recommendation.tokenId)) {
+      // check if we already have a position in this token, or an entry on its way
+      if (this.activePositions.has(recommendation.tokenId) || this.pendingEntries.has(recommendation.tokenId)) {
         logger.debug('Already have position in token', { tokenId: recommendation.tokenId });
         return;
       }
       
-      // check position size limits
-      if (this.getTotalPositionValue() >= this.maxPositionSize) {
-        logger.warn('Maximum position size reached', { 
-          totalValue: this.getTotalPositionValue(),
-          maxSize: this.maxPositionSize
-        });
+      // no new entries while the kill switch is active
+      if (this.riskManager.isHalted()) {
+        logger.debug('Trading halted by kill switch', { tokenId: recommendation.tokenId });
         return;
       }
       
       // execute buy order if confidence is high enough
-      if (valueAnalysis.confidence === 'high' || valueAnalysis.confidence === 'medium') {
+      if (confident) {
         await this.executeBuyOrder(opportunity);
       }
       
@@ -183,69 +462,186 @@ export class TradingBot {
 
   // execute a buy order
   async executeBuyOrder(opportunity) {
+    const { valueAnalysis, recommendation, gameInfo, gameKey } = opportunity;
+    const tokenId = recommendation.tokenId;
+    const team = opportunity.match?.team ?? null;
+    
+    // reserve the token and the entry's risk budget before the first await, so evaluations
+    // racing on the same message or strategy cannot place a second order
+    if (this.activePositions.has(tokenId) || this.pendingEntries.has(tokenId)) {
+      logger.debug('Entry already in flight for token', { tokenId });
+      return;
+    }
+    
+    const entryCheck = this.riskManager.checkEntry({
+      gameKey,
+      amount: 0,
+      openPositions: this.activePositions.size + this.pendingEntries.size,
+      gameExposure: this.getExposure(gameKey, team).game,
+      dailyPnl: this.getDailyPnl()
+    });
+    
+    if (!entryCheck.allowed) {
+      logger.warn('Entry blocked by risk manager', { tokenId, gameKey, reason: entryCheck.reason });
+      return;
+    }
+    
+    const reservation = {
+      gameKey,
+      team,
+      strategy: valueAnalysis.strategy,
+      amount: 0,
+      pendingAmount: 0,
+      buyTime: Date.now(),
+      entry: this.riskManager.reserveEntry(gameKey)
+    };
+    this.pendingEntries.set(tokenId, reservation);
+    let placed = false;
+    
     try {
-      const { valueAnalysis, recommendation, gameInfo } = opportunity;
-      const tokenId = recommendation.tokenId;
+      const strategy = this.oddsComparison.getStrategy(valueAnalysis.strategy);
       
-      // calculate position size (simplified - you may want to implement kelly criterion)
-      const positionSize = Math.min(
-        this.maxPositionSize * 0.1, // 10% of max position per trade
-        50 // Maximum $50 per trade
-      );
-      
-      // get current market price
+      // get current market depth
       const orderbook = await this.polymarketClient.getOrderbook(tokenId);
-      const bestAsk = orderbook.asks?.[0];
+      const bestAsk = normalizeLevels(orderbook.asks, 'asks')[0];
       
       if (!bestAsk) {
         logger.warn('No asks available for buy order', { tokenId });
         return;
       }
       
-      // place buy order
+      // size with fractional kelly at the executable price, capped by exposure
+      const walletInfo = await this.polymarketClient.getWalletInfo();
+      const sizing = this.positionSizer.size({
+        fairProbability: valueAnalysis.fairProbability,
+        price: bestAsk.price,
+        bankroll: parseFloat(walletInfo?.balance) || 0,
+        exposure: this.getExposure(gameKey, team, valueAnalysis.strategy),
+        sizeHint: valueAnalysis.sizeHint ?? 1,
+        budget: strategy?.budget ?? null
+      });
+      
+      if (sizing.amount <= 0) {
+        logger.info('Skipping trade after sizing', { tokenId, reason: sizing.reason, limitedBy: sizing.limitedBy });
+        return;
+      }
+      
+      // walk the book for that amount and make sure the edge survives the vwap
+      const plan = this.executionPlanner.plan(orderbook, {
+        side: 'buy',
+        amount: sizing.amount,
+        fairProbability: valueAnalysis.fairProbability
+      });
+      
+      if (!plan.executable) {
+        logger.info('Skipping trade after execution planning', { tokenId, reason: plan.reason });
+        return;
+      }
+      
+      if (plan.amount < this.positionSizer.minOrderSize) {
+        logger.info('Skipping trade, depth within the slippage limit is below the minimum order', { tokenId, amount: plan.amount });
+        return;
+      }
+      
+      const positionSize = plan.amount;
+      
+      // final exposure check now the size is known, then hold that amount until the position exists
+      const riskCheck = this.riskManager.checkGameExposure(this.getExposure(gameKey, team).game, positionSize);
+      
+      if (!riskCheck.allowed) {
+        logger.warn('Entry blocked by risk manager', { tokenId, gameKey, reason: riskCheck.reason });
+        return;
+      }
+      reservation.pendingAmount = positionSize;
+      
+      // a limit at the worst level walked takes every level up to it
       const orderResult = await this.polymarketClient.buyContract(
         tokenId,
-        positionSize,
-        bestAsk.price
+        plan.size * plan.worstPrice,
+        plan.worstPrice
       );
+      placed = true;
+      this.riskManager.confirmEntry();
       
-      // record the position
+      // record the position as pending, fills from the order manager size it
       const position = {
         tokenId,
-        gameKey: this.oddsComparison.createGameKey(gameInfo),
+        gameKey,
         gameInfo,
-        orderId: orderResult.order_id,
-        amount: positionSize,
-        price: bestAsk.price,
+        team,
+        outcome: opportunity.polymarket?.outcome ?? null,
+        match: opportunity.match
+          ? { marketType: opportunity.match.marketType, line: opportunity.match.line, selection: opportunity.match.selection, side: opportunity.match.side }
+          : null,
+        complementOf: opportunity.complementOf ?? null,
+        marketId: this.oddsComparison.getMarketId(tokenId),
+        strategy: valueAnalysis.strategy,
+        orderId: orderIdOf(orderResult),
+        amount: 0,
+        shares: 0,
+        price: plan.vwap,
+        pendingAmount: positionSize,
         buyTime: Date.now(),
         valueAnalysis,
-        status: 'open'
+        sizing,
+        execution: plan,
+        lines: { entry: this.snapshotLine(tokenId), exit: null, close: null },
+        paper: this.paperTrading,
+        exitOrderId: null,
+        exitPending: false,
+        status: 'pending'
       };
       
       this.activePositions.set(tokenId, position);
       
-      // record in trading history
-      this.tradingHistory.push({
-        ...position,
-        action: 'buy',
-        orderResult
+      // journal everything so a restart cannot lose the position or buy it twice
+      this.tradeStore.recordSnapshot({
+        tokenId,
+        gameKey: position.gameKey,
+        price: bestAsk.price,
+        vwap: plan.vwap,
+        valueAnalysis
       });
+      this.tradeStore.recordPosition(position);
       
-      logger.info('Buy order executed', {
+      const order = this.orderManager.track(orderResult, {
+        purpose: 'entry',
+        size: plan.size,
+        gameKey,
+        lines: position.lines
+      });
+      this.tradeStore.recordOrder(order);
+      
+      logger.info('Buy order placed', {
         tokenId,
+        orderId: position.orderId,
         amount: positionSize,
-        price: bestAsk.price,
+        vwap: plan.vwap,
+        limitPrice: plan.worstPrice,
+        slippage: plan.slippage,
+        depthLimited: plan.depthLimited,
+        paper: this.paperTrading,
         expectedValue: valueAnalysis.value,
-        confidence: valueAnalysis.confidence
+        confidence: valueAnalysis.confidence,
+        strategy: valueAnalysis.strategy,
+        kelly: sizing.fullKelly,
+        limitedBy: sizing.limitedBy
       });
       
     } catch (error) {
       logger.error('Error executing buy order', { error: error.message, opportunity });
+    } finally {
+      this.pendingEntries.delete(tokenId);
+      if (!placed) {
+        this.riskManager.releaseEntry(reservation.entry);
+      }
     }
   }
 
-  // manual sell functionality
-  async sellPosition(tokenId, amount = null) {
+  // manual sell functionality (amount is the cost basis to sell, defaults to the whole position)
+  async sellPosition(tokenId, amount = null, exit = { rule: 'manual', reason: null }) {
+    let claimed = null;
+    
     try {
       const position = this.activePositions.get(tokenId);
       
@@ -253,99 +649,478 @@ export class TradingBot {
         throw new Error(`No active position found for token ${tokenId}`);
       }
       
-      const sellAmount = amount || position.amount;
+      if (position.exitOrderId) {
+        throw new Error(`Sell order ${position.exitOrderId} is already open for token ${tokenId}`);
+      }
+      
+      if (position.exitPending) {
+        throw new Error(`Sell order is already being placed for token ${tokenId}`);
+      }
+      
+      if (!(position.shares > 0)) {
+        throw new Error(`Position for token ${tokenId} has no filled shares to sell`);
+      }
       
-      // get current market price
+      // a remainder below the smallest order can never be sold, so it is closed instead of retried
+      if (position.shares < MIN_ORDER_SHARES) {
+        this.closeDust(position);
+        return null;
+      }
+      
+      // claim the exit before the first await so the next tick cannot place a second sell
+      position.exitPending = true;
+      claimed = position;
+      
+      // a partial sell that would leave dust sells the whole position
+      let sellShares = amount ? Math.min(amount / position.price, position.shares) : position.shares;
+      if (position.shares - sellShares < MIN_ORDER_SHARES) {
+        sellShares = position.shares;
+      }
+      
+      // walk the bids for the shares within the slippage limit
       const orderbook = await this.polymarketClient.getOrderbook(tokenId);
-      const bestBid = orderbook.bids?.[0];
+      const plan = this.executionPlanner.plan(orderbook, { side: 'sell', size: sellShares });
       
-      if (!bestBid) {
-        throw new Error('No bids available for sell order');
+      if (!plan.executable) {
+        throw new Error(`Cannot sell token ${tokenId}: ${plan.reason}`);
       }
       
-      // place sell order
+      // place sell order down to the worst bid walked, valued at that price
       const orderResult = await this.polymarketClient.sellContract(
         tokenId,
-        sellAmount,
-        bestBid.price
+        plan.size * plan.worstPrice,
+        plan.worstPrice
       );
       
-      // update position
-      position.amount -= sellAmount;
-      position.sellPrice = bestBid.price;
-      position.sellTime = Date.now();
-      
-      if (position.amount <= 0) {
-        position.status = 'closed';
-        this.activePositions.delete(tokenId);
-      }
+      position.exitOrderId = orderIdOf(orderResult);
+      position.exitPending = false;
+      position.exitRule = exit.rule;
+      position.exitReason = exit.reason;
+      position.lines = { ...position.lines, exit: this.snapshotLine(tokenId) };
+      this.tradeStore.recordPosition(position);
       
-      // record in trading history
-      this.tradingHistory.push({
-        tokenId,
-        action: 'sell',
-        amount: sellAmount,
-        price: bestBid.price,
-        sellTime: Date.now(),
-        orderResult
+      // the order carries the game and lines, since a full fill drops the position before the trade is recorded
+      const order = this.orderManager.track(orderResult, {
+        purpose: 'exit',
+        size: plan.size,
+        exitRule: exit.rule,
+        exitReason: exit.reason,
+        gameKey: position.gameKey,
+        lines: position.lines
       });
+      this.tradeStore.recordOrder(order);
       
-      logger.info('Sell order executed', {
+      logger.info('Sell order placed', {
         tokenId,
-        amount: sellAmount,
-        price: bestBid.price,
-        remainingAmount: position.amount
+        orderId: position.exitOrderId,
+        shares: plan.size,
+        requestedShares: sellShares,
+        vwap: plan.vwap,
+        limitPrice: plan.worstPrice,
+        depthLimited: plan.depthLimited,
+        exitRule: exit.rule,
+        paper: this.paperTrading
       });
       
       return orderResult;
       
     } catch (error) {
+      if (claimed) {
+        claimed.exitPending = false;
+      }
       logger.error('Error selling position', { tokenId, error: error.message });
       throw error;
     }
   }
 
+  // close a remainder too small to sell, its tokens are left in the wallet
+  closeDust(position) {
+    logger.info('Closing position remainder below the minimum order size', {
+      tokenId: position.tokenId,
+      shares: position.shares,
+      costBasis: position.amount,
+      minShares: MIN_ORDER_SHARES
+    });
+    
+    position.dustShares = position.shares;
+    position.shares = 0;
+    position.amount = 0;
+    position.fees = 0;
+    position.status = 'closed';
+    this.activePositions.delete(position.tokenId);
+    this.tradeStore.recordPosition(position);
+  }
+
+  // apply a fill reported by the order manager to its position
+  handleOrderFill({ order, size, amount, price }) {
+    const position = this.activePositions.get(order.token_id);
+    const fill = {
+      orderId: order.order_id,
+      tokenId: order.token_id,
+      side: order.side,
+      size,
+      amount,
+      price,
+      fee: this.settlementService.fee(amount)
+    };
+    
+    if (!position) {
+      this.tradeStore.recordFill(fill);
+      logger.warn('Fill received for unknown position', { orderId: order.order_id, tokenId: order.token_id });
+      return;
+    }
+    
+    if (order.side === 'buy') {
+      position.shares += size;
+      position.amount += amount;
+      position.price = position.amount / position.shares;
+      position.pendingAmount = Math.max((order.original_size - order.size_matched) * order.price, 0);
+      position.fees = (position.fees || 0) + fill.fee;
+      position.status = 'open';
+    } else {
+      // realized net of this fill's fee and the share of entry fees on the shares sold
+      const averageCost = position.price;
+      fill.entryFees = position.shares > 0 ? (position.fees || 0) * Math.min(size / position.shares, 1) : 0;
+      fill.realizedPnl = amount - averageCost * size - fill.fee - fill.entryFees;
+      this.riskManager.recordRealizedPnl(fill.realizedPnl);
+      this.settlementService.recordPnl({ tokenId: order.token_id, pnl: fill.realizedPnl, fees: fill.fee + fill.entryFees, source: 'exit' });
+      
+      position.fees = Math.max((position.fees || 0) - fill.entryFees, 0);
+      position.realizedPnl = (position.realizedPnl || 0) + fill.realizedPnl;
+      position.shares = Math.max(position.shares - size, 0);
+      position.amount = Math.max(position.amount - averageCost * size, 0);
+      position.proceeds = (position.proceeds || 0) + amount;
+      position.sellPrice = price;
+      position.sellTime = Date.now();
+      
+      if (position.shares <= 1e-9) {
+        position.status = 'closed';
+        this.activePositions.delete(order.token_id);
+      }
+    }
+    
+    this.tradeStore.recordFill(fill);
+    this.tradeStore.recordPosition(position);
+    
+    logger.info('Order fill applied', {
+      tokenId: order.token_id,
+      side: order.side,
+      size,
+      price,
+      shares: position.shares,
+      status: position.status
+    });
+  }
+
+  // release the position from an order that can no longer be followed, reconciliation sizes it from the wallet
+  handleOrderLost(order) {
+    const position = this.activePositions.get(order.token_id);
+    this.tradeStore.recordOrder(order);
+    
+    if (!position) return;
+    
+    if (order.order_id === position.orderId) {
+      position.pendingAmount = 0;
+      
+      // fills that were never reported come back as an adopted position
+      if (position.shares <= 0) {
+        position.status = 'closed';
+        this.activePositions.delete(order.token_id);
+      }
+    }
+    
+    if (order.order_id === position.exitOrderId) {
+      position.exitOrderId = null;
+    }
+    this.tradeStore.recordPosition(position);
+  }
+
+  // settle a position once its entry or exit order is finished
+  handleOrderClosed(order) {
+    const position = this.activePositions.get(order.token_id);
+    this.tradeStore.recordOrder(order);
+    
+    if (position && order.order_id === position.orderId) {
+      position.pendingAmount = 0;
+      
+      // an entry order that never filled leaves nothing to hold
+      if (position.shares <= 0) {
+        position.status = 'closed';
+        this.activePositions.delete(order.token_id);
+      }
+      this.tradeStore.recordPosition(position);
+    }
+    
+    if (position && order.order_id === position.exitOrderId) {
+      position.exitOrderId = null;
+      this.tradeStore.recordPosition(position);
+      
+      // the unsold remainder of an exit may be too small to order again
+      if (position.shares > 0 && position.shares < MIN_ORDER_SHARES) {
+        this.closeDust(position);
+      }
+    }
+    
+    if (order.size_matched <= 0) {
+      logger.info('Order closed without fills', { orderId: order.order_id, tokenId: order.token_id, status: order.status });
+      return;
+    }
+    
+    // record in trading history with its lines so far; the close comes when the game is removed
+    // (a sell that fills after it takes the close already captured for the token)
+    const isBuy = order.side === 'buy';
+    const gameKey = position?.gameKey ?? order.game_key;
+    const close = position?.lines?.close
+      ?? this.tradingHistory.find(trade => trade.tokenId === order.token_id && trade.gameKey === gameKey && trade.lines?.close)?.lines.close
+      ?? null;
+    const trade = {
+      tokenId: order.token_id,
+      action: order.side,
+      orderId: order.order_id,
+      amount: order.amount_matched,
+      shares: order.size_matched,
+      price: order.avg_price,
+      fee: this.settlementService.fee(order.amount_matched),
+      orderStatus: order.status,
+      paper: this.paperTrading,
+      ...(isBuy
+        ? { gameKey, gameInfo: position?.gameInfo, team: position?.team, match: position?.match, valueAnalysis: position?.valueAnalysis, buyTime: Date.now() }
+        : { gameKey, sellTime: Date.now(), exitRule: order.exit_rule, exitReason: order.exit_reason }),
+      lines: isBuy
+        ? { entry: order.lines?.entry ?? null, close }
+        : { entry: order.lines?.entry ?? null, exit: order.lines?.exit ?? null, close }
+    };
+    trade.clv = closingLineValue(trade);
+    this.tradingHistory.push(trade);
+    this.tradeStore.recordTrade(trade);
+    
+    logger.info(`${isBuy ? 'Buy' : 'Sell'} order executed`, {
+      tokenId: order.token_id,
+      shares: order.size_matched,
+      amount: order.amount_matched,
+      price: order.avg_price,
+      status: order.status,
+      paper: this.paperTrading
+    });
+  }
+
+  // consensus fair probability and polymarket price of a token right now
+  snapshotLine(tokenId) {
+    return {
+      fairProbability: this.oddsComparison.getTokenFairProbability(tokenId, { consensusOnly: true }),
+      price: this.oddsComparison.getTokenQuote(tokenId)?.price ?? null,
+      at: Date.now()
+    };
+  }
+
+  // snapshot the closing line of every token traded in a game before its odds are removed
+  recordClosingLines(gameKey) {
+    const tokenIds = new Set();
+    
+    for (const [tokenId, position] of this.activePositions.entries()) {
+      if (position.gameKey === gameKey) tokenIds.add(tokenId);
+    }
+    for (const trade of this.tradingHistory) {
+      if (trade.gameKey === gameKey && !trade.lines?.close) tokenIds.add(trade.tokenId);
+    }
+    
+    for (const tokenId of tokenIds) {
+      const close = this.snapshotLine(tokenId);
+      const position = this.activePositions.get(tokenId);
+      
+      if (position?.gameKey === gameKey) {
+        position.lines = { ...position.lines, close };
+        this.tradeStore.recordPosition(position);
+      }
+      
+      this.tradingHistory
+        .filter(trade => trade.tokenId === tokenId && trade.gameKey === gameKey && !trade.lines?.close)
+        .forEach(trade => applyClosingLine(trade, close));
+      this.tradeStore.recordClosingLine({ tokenId, gameKey, close });
+      
+      logger.info('Closing line captured', { tokenId, gameKey, fairProbability: close.fairProbability, price: close.price });
+    }
+  }
+
   // check auto-sell conditions
   checkAutoSellConditions() {
     try {
       for (const [tokenId, position] of this.activePositions.entries()) {
-        // calculate current value vs buy price
-        const timeHeld = Date.now() - position.buyTime;
-        const hoursHeld = timeHeld / (1000 * 60 * 60);
+        // positions still filling or already exiting are left alone
+        if (position.status !== 'open' || position.exitOrderId || position.exitPending) {
+          continue;
+        }
         
-        // auto-sell conditions (customize as needed)
-        if (hoursHeld > 2) { // Auto-sell after 2 hours
-          this.sellPosition(tokenId);
-          logger.info('Auto-sold position due to time limit', { tokenId, hoursHeld });
+        const market = this.oddsComparison.getTokenQuote(tokenId);
+        
+        // stale or pre-goal reference odds say nothing about whether the edge is gone
+        const fairProbability = this.suspensions.has(position.gameKey)
+          ? null
+          : this.oddsComparison.getTokenFairProbability(tokenId);
+        
+        const peakBid = position.peakBid;
+        const exit = this.exitEngine.evaluate(position, {
+          market,
+          fairProbability,
+          gameStartTime: market?.gameStartTime,
+          gameState: this.gameStateStore.getState(position.gameKey)
+        });
+        
+        // a new peak is journaled so the trailing stop survives a restart
+        if (position.peakBid !== peakBid) {
+          this.tradeStore.recordPosition(position);
         }
+        
+        if (!exit) continue;
+        
+        logger.info('Exit rule triggered', {
+          tokenId,
+          rule: exit.rule,
+          reason: exit.reason,
+          bid: exit.mark?.bid,
+          pnl: exit.mark?.pnl
+        });
+        
+        this.sellPosition(tokenId, null, exit).catch((error) => {
+          logger.error('Auto-sell failed', { tokenId, rule: exit.rule, error: error.message });
+        });
       }
     } catch (error) {
       logger.error('Error checking auto-sell conditions', { error: error.message });
     }
   }
 
-  // get total position value
-  getTotalPositionValue() {
-    let total = 0;
+  // mark a position to the market: its best bid (what selling would get, falling back to the last price) and mid,
+  // the unrealized p&l against its cost basis including entry fees, and the edge left to the fair probability
+  markPosition(position) {
+    const quote = this.oddsComparison.getTokenQuote(position.tokenId);
+    const bid = quote?.bestBid ?? null;
+    const ask = quote?.bestAsk ?? null;
+    const price = bid ?? quote?.price ?? position.price;
+    const mid = bid !== null && ask !== null ? (bid + ask) / 2 : price;
+    const fairProbability = this.oddsComparison.getTokenFairProbability(position.tokenId);
+    
+    const shares = position.shares || 0;
+    const costBasis = (position.amount || 0) + (position.fees || 0);
+    const value = shares * price;
+    const unrealizedPnl = value - costBasis;
+    
+    return {
+      shares,
+      costBasis,
+      averagePrice: position.price,
+      bid,
+      mid,
+      value,
+      midValue: shares * mid,
+      unrealizedPnl,
+      unrealizedPct: costBasis > 0 ? unrealizedPnl / costBasis : null,
+      fairProbability,
+      edge: fairProbability === null ? null : fairProbability - price
+    };
+  }
+  
+  // portfolio totals over the marked positions, plus what unfilled entry orders still commit
+  getPortfolio() {
+    const totals = { positions: 0, costBasis: 0, value: 0, midValue: 0, unrealizedPnl: 0, unrealizedPct: null, pendingAmount: 0 };
+    
     for (const position of this.activePositions.values()) {
-      total += position.amount;
+      const mark = this.markPosition(position);
+      totals.positions++;
+      totals.costBasis += mark.costBasis;
+      totals.value += mark.value;
+      totals.midValue += mark.midValue;
+      totals.unrealizedPnl += mark.unrealizedPnl;
+      totals.pendingAmount += position.pendingAmount || 0;
     }
-    return total;
+    totals.unrealizedPct = totals.costBasis > 0 ? totals.unrealizedPnl / totals.costBasis : null;
+    
+    return totals;
   }
 
-  // load active positions from polymarket
-  async loadActivePositions() {
-    try {
-      const activeOrders = await this.polymarketClient.getActiveOrders();
+  // today's realized p&l plus the unrealized p&l of open positions
+  getDailyPnl() {
+    return this.riskManager.getDailyRealizedPnl() + this.getUnrealizedPnl();
+  }
+
+  // open positions marked at the best bid (what an exit would get), falling back to the last price
+  getUnrealizedPnl() {
+    return this.getPortfolio().unrealizedPnl;
+  }
+
+  // cancel entry orders still working after the kill switch trips, exits are left alone
+  cancelOpenEntries() {
+    for (const order of this.orderManager.getOpenOrders()) {
+      if (order.purpose !== 'entry') continue;
+      
+      this.polymarketClient.cancelOrder(order.order_id).catch((error) => {
+        logger.error('Failed to cancel entry order after kill switch', { orderId: order.order_id, error: error.message });
+      });
+    }
+  }
+
+  // usdc committed overall, to a game, to a team, to a strategy and today (filled cost plus unfilled entries)
+  getExposure(gameKey, team, strategy = null) {
+    const startOfDay = new Date().setHours(0, 0, 0, 0);
+    const exposure = { total: 0, game: 0, team: team === null ? null : 0, strategy: 0, daily: 0 };
+    
+    // entries still being placed count as pending positions
+    for (const position of [...this.activePositions.values(), ...this.pendingEntries.values()]) {
+      const committed = position.amount + (position.pendingAmount || 0);
+      exposure.total += committed;
       
-      for (const order of activeOrders) {
-        // this is a simplified implementation - you may need to correlate orders with your local position tracking
-        logger.info('Found active order', { orderId: order.order_id, tokenId: order.token_id });
+      if (strategy !== null && position.strategy === strategy) {
+        exposure.strategy += committed;
       }
       
-    } catch (error) {
-      logger.error('Error loading active positions', { error: error.message });
+      if (position.gameKey === gameKey) {
+        exposure.game += committed;
+      }
+      
+      if (team !== null && position.team === team) {
+        exposure.team += committed;
+      }
+      
+      // entries still filling are not in the trading history yet
+      if (position.pendingAmount > 0 && position.buyTime >= startOfDay) {
+        exposure.daily += committed;
+      }
+    }
+    
+    for (const trade of this.tradingHistory) {
+      if (trade.action === 'buy' && trade.buyTime >= startOfDay) {
+        exposure.daily += trade.amount;
+      }
+    }
+    
+    return exposure;
+  }
+
+  // usdc committed and positions held by each loaded strategy against its budget
+  getStrategyStatus() {
+    return this.oddsComparison.strategies.map(strategy => {
+      const positions = Array.from(this.activePositions.values()).filter(position => position.strategy === strategy.name);
+      return {
+        name: strategy.name,
+        budget: strategy.budget,
+        committed: positions.reduce((total, position) => total + position.amount + (position.pendingAmount || 0), 0),
+        positions: positions.length
+      };
+    });
+  }
+
+  // reconcile local positions and orders with the exchange, journaling anything that changed
+  async reconcilePositions() {
+    const report = await this.reconciler.reconcile(this.activePositions, {
+      paper: this.paperTrading,
+      settledTokens: this.settlementService.settledTokens
+    });
+    
+    for (const position of report.changedPositions) {
+      this.tradeStore.recordPosition(position);
     }
+    
+    return report;
   }
 
   // start the main trading loop
@@ -357,6 +1132,9 @@ export class TradingBot {
       }
       
       try {
+        // a loss on open positions can breach the limit without any new order
+        this.riskManager.checkLossLimit(this.getDailyPnl());
+        
         this.checkTradingOpportunities();
         
         if (this.autoSellEnabled) {
@@ -388,15 +1166,156 @@ export class TradingBot {
     }, 300000); // every 5 minutes
   }
 
+  // start periodic reconciliation
+  startPeriodicReconciliation() {
+    setInterval(() => {
+      if (!this.isRunning) return;
+      
+      this.reconcilePositions().catch((error) => {
+        logger.error('Error reconciling positions', { error: error.message });
+      });
+    }, config.RECONCILE_INTERVAL * 1000);
+  }
+
+  // start periodic settlement
+  startPeriodicSettlement() {
+    setInterval(() => {
+      if (!this.isRunning) return;
+      
+      this.settlePositions().catch((error) => {
+        logger.error('Error settling positions', { error: error.message });
+      });
+    }, config.SETTLEMENT_INTERVAL * 1000);
+  }
+
+  // close held positions whose markets have resolved at their 1 or 0 payout
+  async settlePositions() {
+    const held = Array.from(this.activePositions.values())
+      .filter(position => position.status === 'open' && position.shares > 0 && !position.exitOrderId && !position.exitPending);
+    
+    // positions adopted from the exchange only learn their market once it is discovered
+    for (const position of held) {
+      position.marketId = position.marketId ?? this.oddsComparison.getMarketId(position.tokenId);
+    }
+    
+    const resolutions = await this.settlementService.findResolutions(held);
+    const settlements = [];
+    
+    // live winnings are only paid out once the tokens have been redeemed on-chain
+    for (const position of this.activePositions.values()) {
+      if (position.status === 'resolved' && await this.isRedeemed(position)) {
+        resolutions.set(position.tokenId, { marketId: position.marketId, payout: position.redemption.payout });
+      }
+    }
+    
+    for (const [tokenId, { payout }] of resolutions.entries()) {
+      const position = this.activePositions.get(tokenId);
+      // an exit may have been placed while the markets were checked
+      if (!position || position.exitOrderId || position.exitPending) continue;
+      
+      if (!this.paperTrading && payout > 0 && position.status === 'open') {
+        this.awaitRedemption(position, payout);
+        continue;
+      }
+      
+      const settlement = this.settlementService.settle(position, payout);
+      this.riskManager.recordRealizedPnl(settlement.pnl);
+      this.polymarketClient.redeem?.(tokenId, payout);
+      
+      position.realizedPnl = (position.realizedPnl || 0) + settlement.pnl;
+      position.proceeds = (position.proceeds || 0) + settlement.proceeds;
+      position.shares = 0;
+      position.amount = 0;
+      position.fees = 0;
+      position.settlement = settlement;
+      position.status = 'closed';
+      this.activePositions.delete(tokenId);
+      
+      const trade = {
+        tokenId,
+        action: 'settle',
+        gameKey: position.gameKey,
+        team: position.team,
+        match: position.match,
+        amount: settlement.proceeds,
+        shares: settlement.shares,
+        price: payout,
+        pnl: settlement.pnl,
+        paper: this.paperTrading,
+        settleTime: settlement.settledAt
+      };
+      this.tradingHistory.push(trade);
+      
+      this.tradeStore.recordSettlement(settlement);
+      this.tradeStore.recordPosition(position);
+      this.tradeStore.recordTrade(trade);
+      settlements.push(settlement);
+      
+      logger.info('Position settled', {
+        tokenId,
+        marketId: settlement.marketId,
+        payout,
+        shares: settlement.shares,
+        pnl: settlement.pnl,
+        fees: settlement.fees,
+        paper: this.paperTrading
+      });
+    }
+    
+    return settlements;
+  }
+
+  // keep a resolved live winner open until its tokens are redeemed, nothing is paid before then
+  awaitRedemption(position, payout) {
+    position.status = 'resolved';
+    position.redemption = { payout, resolvedAt: Date.now() };
+    this.tradeStore.recordPosition(position);
+    
+    logger.warn('Position resolved, redeem the winning tokens on-chain to settle it', {
+      tokenId: position.tokenId,
+      marketId: position.marketId,
+      shares: position.shares,
+      payout
+    });
+  }
+
+  // a redeemed position's tokens have left the wallet
+  async isRedeemed(position) {
+    try {
+      const held = await this.polymarketClient.getPosition(position.tokenId);
+      return !held || !(this.reconciler.normalizePosition(held).shares > 0);
+    } catch (error) {
+      logger.warn('Failed to check redemption', { tokenId: position.tokenId, error: error.message });
+      return false;
+    }
+  }
+
   // get bot status
   getStatus() {
+    const portfolio = this.getPortfolio();
+    
     return {
       isRunning: this.isRunning,
+      mode: this.paperTrading ? 'paper' : 'live',
+      paperBalance: this.paperTrading ? this.polymarketClient.balance : null,
       activePositions: this.activePositions.size,
-      totalPositionValue: this.getTotalPositionValue(),
+      openOrders: this.orderManager.getOpenOrders().length,
+      totalPositionValue: portfolio.value,
+      portfolio,
       tradingHistory: this.tradingHistory.length,
+      clv: summarizeClv(this.tradingHistory.filter(trade => trade.action === 'buy')),
       dataStatus: this.oddsComparison.getDataStatus(),
-      connectionStatus: this.boltOddsClient.getConnectionStatus()
+      discoveryStatus: this.marketDiscovery.getStatus(),
+      reconcileStatus: this.reconciler.getStatus(),
+      riskStatus: { ...this.riskManager.getStatus(), dailyPnl: this.getDailyPnl() },
+      feedHealth: this.feedHealth.check(),
+      gameStateStatus: this.gameStateStore.getStatus(),
+      recordingStatus: this.feedRecorder?.getStatus() || null,
+      settlementStatus: this.settlementService.getStatus(),
+      strategies: this.getStrategyStatus(),
+      suspendedGames: Array.from(this.suspensions.entries()).map(([gameKey, suspension]) => ({ gameKey, ...suspension })),
+      connectionStatus: this.boltOddsClient.getConnectionStatus(),
+      marketFeedStatus: this.marketFeed.getConnectionStatus()
     };
   }
 
@@ -404,7 +1323,9 @@ export class TradingBot {
   getActivePositions() {
     return Array.from(this.activePositions.entries()).map(([tokenId, position]) => ({
       tokenId,
-      ...position
+      ...position,
+      question: this.oddsComparison.polymarketData.get(tokenId)?.question || null,
+      mark: this.markPosition(position)
     }));
   }
 
@@ -413,10 +1334,9 @@ export class TradingBot {
     return this.tradingHistory;
   }
 
-  // save trading history (placeholder)
+  // trading history is journaled as it happens, so there is nothing left to flush
   async saveTradingHistory() {
-    // implement saving to file or database
-    logger.info('Trading history saved', { count: this.tradingHistory.length });
+    logger.info('Trading history saved', { count: this.tradingHistory.length, journal: this.tradeStore.filePath });
   }
 }
 
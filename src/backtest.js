@@ -0,0 +1,72 @@
+// backtest the bot's decision logic over recorded or imported feeds with simulated fills:
+//   npm run backtest -- 2026-10-18 [more days or recording files] [--results results.json] [--speed 0]
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseArgs, createReplaySession } from './replaySession.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const REPORT_FILE = path.join(__dirname, '../data/backtest/report.json');
+
+const { targets, options } = parseArgs(process.argv.slice(2));
+
+if (targets.length === 0) {
+  console.error('Usage: npm run backtest -- <yyyy-mm-dd | recording file | directory>... [--results <json of payout by token id>] [--speed <multiplier>]');
+  process.exit(1);
+}
+
+let session;
+let results = {};
+try {
+  if (options.results) {
+    results = JSON.parse(fs.readFileSync(options.results, 'utf8'));
+  }
+  // backtests do not wait between messages unless asked to
+  session = await createReplaySession(targets, { speed: options.speed ?? '0', dataDir: 'data/backtest' });
+} catch (error) {
+  console.error(`Cannot backtest: ${error.message}`);
+  process.exit(1);
+}
+
+const { replay, bot } = session;
+const { default: logger } = await import('./utils/logger.js');
+const { default: Backtester } = await import('./services/Backtester.js');
+
+const backtester = new Backtester(bot, replay, { results });
+let report;
+
+try {
+  report = await backtester.run();
+} catch (error) {
+  logger.error('Backtest failed', { error: error.message });
+  process.exit(1);
+} finally {
+  replay.restoreClock();
+}
+
+fs.mkdirSync(path.dirname(REPORT_FILE), { recursive: true });
+fs.writeFileSync(REPORT_FILE, JSON.stringify(report, null, 2));
+
+const percent = (value) => (value === null ? 'n/a' : `${(value * 100).toFixed(1)}%`);
+const ratio = (value) => (value === null ? 'n/a' : value.toFixed(2));
+const line = (name, summary) => `${name.padEnd(14)} ${String(summary.bets).padStart(5)} ${`$${summary.staked.toFixed(2)}`.padStart(11)} ${`$${summary.pnl.toFixed(2)}`.padStart(10)} ${percent(summary.roi).padStart(8)} ${percent(summary.hitRate).padStart(8)} ${(summary.clv.average === null ? 'n/a' : `${(summary.clv.average * 100).toFixed(1)}pt`).padStart(8)}`;
+
+console.log('\n=== Backtest Report ===');
+console.log(`Period: ${new Date(report.from).toISOString()} to ${new Date(report.to).toISOString()} (${replay.position} messages)`);
+console.log(`Bets: ${report.bets} (${report.outcomes.won} won, ${report.outcomes.lost} lost, ${report.outcomes.exited} exited early, ${report.outcomes.open} unresolved)`);
+console.log(`Staked: $${report.staked.toFixed(2)}, P&L: $${report.pnl.toFixed(2)}, ROI: ${percent(report.roi)}`);
+console.log(`Hit Rate: ${percent(report.hitRate)}`);
+console.log(`Max Drawdown: $${report.maxDrawdown.amount.toFixed(2)} (${percent(report.maxDrawdown.fraction)} of bankroll)`);
+console.log(`Sharpe (per bet): ${ratio(report.sharpe)}`);
+console.log(`CLV: ${report.clv.average === null ? 'n/a' : `${(report.clv.average * 100).toFixed(1)} points`} over ${report.clv.bets} bets, beat the close ${percent(report.clv.beatRate)}`);
+
+const header = `${''.padEnd(14)} ${'bets'.padStart(5)} ${'staked'.padStart(11)} ${'p&l'.padStart(10)} ${'roi'.padStart(8)} ${'hit'.padStart(8)} ${'clv'.padStart(8)}`;
+console.log('\nBy Confidence:');
+console.log(header);
+Object.entries(report.byConfidence).forEach(([confidence, summary]) => console.log(line(confidence, summary)));
+console.log('\nBy Team:');
+console.log(header);
+Object.entries(report.byTeam).forEach(([team, summary]) => console.log(line(team, summary)));
+console.log(`\nReport: ${REPORT_FILE}`);
@@ -17,14 +17,88 @@ const configSchema = Joi.object({
   
   // polymarket configuration
   POLYMARKET_CLOB_URL: Joi.string().uri().default('https://clob.polymarket.com'),
+  POLYMARKET_WS_URL: Joi.string().uri().default('wss://ws-subscriptions-clob.polymarket.com/ws/market'),
   POLYMARKET_PRIVATE_KEY: Joi.string().required(),
   POLYMARKET_WALLET_ADDRESS: Joi.string().required(),
+  POLYMARKET_CHAIN_ID: Joi.number().integer().default(137),
+  POLYMARKET_EXCHANGE_ADDRESS: Joi.string().default('0x4bFb41d5B3570DeFd03C39a9A4D8dE6Bd8B8982E'),
+  POLYMARKET_SIGNATURE_TYPE: Joi.number().integer().valid(0, 1, 2).default(0),
+  POLYMARKET_API_KEY: Joi.string().allow('').default(''),
+  POLYMARKET_API_SECRET: Joi.string().allow('').default(''),
+  POLYMARKET_API_PASSPHRASE: Joi.string().allow('').default(''),
+  MARKET_DISCOVERY_QUERY: Joi.string().default('NHL'),
+  MARKET_DISCOVERY_INTERVAL: Joi.number().integer().min(10).default(300),
   
   // trading configuration
   MIN_VALUE_THRESHOLD: Joi.number().min(0).max(1).default(0.05),
+  DEVIG_METHOD: Joi.string().valid('multiplicative', 'additive', 'power', 'shin').default('multiplicative'),
+  CONSENSUS_METHOD: Joi.string().valid('median', 'weighted').default('median'),
+  BOOK_WEIGHTS: Joi.string().allow('').default(''),
   MAX_POSITION_SIZE: Joi.number().min(0).default(100),
+  KELLY_FRACTION: Joi.number().min(0).max(1).default(0.25),
+  MAX_GAME_EXPOSURE: Joi.number().min(0).default(50),
+  MAX_TEAM_EXPOSURE: Joi.number().min(0).default(75),
+  MAX_DAILY_EXPOSURE: Joi.number().min(0).default(200),
+  MIN_ORDER_SIZE: Joi.number().min(0).default(1),
+  MAX_SLIPPAGE: Joi.number().min(0).max(1).default(0.02),
+  STRATEGIES: Joi.string().default('value'),
+  HIGH_CONFIDENCE_EDGE: Joi.number().min(0).max(1).default(0.15),
+  MEDIUM_CONFIDENCE_EDGE: Joi.number().min(0).max(1).default(0.1),
+  
+  // risk limits
+  DAILY_LOSS_LIMIT: Joi.number().min(0).default(50),
+  MAX_OPEN_POSITIONS: Joi.number().integer().min(1).default(10),
+  MAX_ORDERS_PER_MINUTE: Joi.number().integer().min(1).default(6),
+  MIN_TRADE_INTERVAL: Joi.number().integer().min(0).default(300),
+  RISK_STATE_FILE: Joi.string().default('data/risk-state.json'),
+  
+  // data freshness (seconds)
+  MAX_FEED_SILENCE: Joi.number().integer().min(1).default(30),
+  MAX_PING_GAP: Joi.number().integer().min(1).default(60),
+  MAX_REFERENCE_AGE: Joi.number().integer().min(1).default(300),
+  MAX_POLYMARKET_AGE: Joi.number().integer().min(1).default(60),
+  
+  // live game state
+  GAME_STATE_SOURCE: Joi.string().valid('boltodds', 'nhl').default('boltodds'),
+  NHL_API_URL: Joi.string().uri().default('https://api-web.nhle.com/v1'),
+  GAME_STATE_POLL_INTERVAL: Joi.number().integer().min(5).default(15),
+  GOAL_COOLDOWN: Joi.number().integer().min(0).default(60),
+  MODEL_BLEND_WEIGHT: Joi.number().min(0).max(1).default(0),
+  MODEL_GOALS_PER_GAME: Joi.number().min(1).max(15).default(6),
+  
+  // exit rules (fractions of cost, times in seconds, 0 disables a rule)
   AUTO_SELL_ENABLED: Joi.boolean().default(false),
   AUTO_SELL_THRESHOLD: Joi.number().min(0).max(1).default(0.1),
+  STOP_LOSS: Joi.number().min(0).max(1).default(0.25),
+  TRAILING_STOP: Joi.number().min(0).max(1).default(0),
+  EXIT_ON_EDGE_GONE: Joi.boolean().default(true),
+  EDGE_EXIT_THRESHOLD: Joi.number().min(-1).max(1).default(0),
+  EXIT_BEFORE_PERIOD_END: Joi.number().integer().min(0).default(0),
+  EXIT_BEFORE_GAME_END: Joi.number().integer().min(0).default(0),
+  EXPECTED_GAME_DURATION: Joi.number().integer().min(1).default(9000),
+  MAX_HOLD_TIME: Joi.number().integer().min(0).default(7200),
+  
+  // orders and journal
+  TRADE_JOURNAL_FILE: Joi.string().default('data/trade-journal.jsonl'),
+  ORDER_POLL_INTERVAL: Joi.number().integer().min(1).default(5),
+  ORDER_TIMEOUT: Joi.number().integer().min(5).default(60),
+  ORDER_MAX_REFRESH_FAILURES: Joi.number().integer().min(1).default(10),
+  RECONCILE_INTERVAL: Joi.number().integer().min(30).default(300),
+  
+  // settlement
+  SETTLEMENT_INTERVAL: Joi.number().integer().min(10).default(300),
+  FEE_RATE_BPS: Joi.number().min(0).default(0),
+  
+  // feed recording and replay
+  RECORD_FEEDS: Joi.boolean().default(false),
+  RECORDING_DIR: Joi.string().default('data/recordings'),
+  REPLAY_SPEED: Joi.number().min(0).default(1),
+  
+  // paper trading
+  DRY_RUN: Joi.boolean().default(false),
+  PAPER_STARTING_BALANCE: Joi.number().min(0).default(1000),
+  PAPER_SLIPPAGE_BPS: Joi.number().min(0).default(10),
+  PAPER_STATE_FILE: Joi.string().default('data/paper-state.json'),
   
   // logging
   LOG_LEVEL: Joi.string().valid('error', 'warn', 'info', 'debug').default('info'),
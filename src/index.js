@@ -2,6 +2,11 @@ import TradingBot from './TradingBot.js';
 import logger from './utils/logger.js';
 import config from './config/config.js';
 
+const formatProbability = (value) => (value === null || value === undefined ? 'n/a' : `${(value * 100).toFixed(1)}%`);
+const formatMoney = (value) => `${value < 0 ? '-' : '+'}$${Math.abs(value).toFixed(2)}`;
+const formatPercent = (value) => `${value >= 0 ? '+' : ''}${(value * 100).toFixed(1)}%`;
+const formatPoints = (value) => (value === null || value === undefined ? 'n/a' : `${value >= 0 ? '+' : ''}${(value * 100).toFixed(1)} pts`);
+
 class NHLTradingApp {
   constructor() {
     this.bot = new TradingBot();
@@ -40,11 +45,10 @@ class NHLTradingApp {
    * Validate configuration
    */
   validateConfiguration() {
-    const requiredConfigs = [
-      'BOLTODDS_API_KEY',
-      'POLYMARKET_PRIVATE_KEY',
-      'POLYMARKET_WALLET_ADDRESS'
-    ];
+    // paper trading never signs orders, so it only needs the odds feed
+    const requiredConfigs = config.DRY_RUN
+      ? ['BOLTODDS_API_KEY']
+      : ['BOLTODDS_API_KEY', 'POLYMARKET_PRIVATE_KEY', 'POLYMARKET_WALLET_ADDRESS'];
 
     for (const configKey of requiredConfigs) {
       if (!config[configKey] || config[configKey] === 'your_private_key_here' || config[configKey] === 'your_wallet_address_here') {
@@ -87,15 +91,7 @@ class NHLTradingApp {
    */
   startCLI() {
     console.log('\n=== NHL Trading Bot CLI ===');
-    console.log('Commands:');
-    console.log('  status     - Show bot status');
-    console.log('  positions  - Show active positions');
-    console.log('  history    - Show trading history');
-    console.log('  odds       - Show current odds comparisons');
-    console.log('  opportunities - Show trading opportunities');
-    console.log('  sell <id>  - Sell position by token ID');
-    console.log('  help       - Show this help');
-    console.log('  exit       - Stop the bot and exit\n');
+    this.showHelp();
 
     const readline = require('readline');
     const rl = readline.createInterface({
@@ -132,6 +128,26 @@ class NHLTradingApp {
             this.showTradingOpportunities();
             break;
             
+          case 'unmatched':
+            this.showUnmatchedMarkets();
+            break;
+            
+          case 'reconcile':
+            await this.reconcilePositions();
+            break;
+            
+          case 'pnl':
+            this.showPnl();
+            break;
+            
+          case 'risk':
+            if (input[1] === 'reset') {
+              this.resetKillSwitch();
+            } else {
+              this.showRisk();
+            }
+            break;
+            
           case 'sell':
             if (input[1]) {
               await this.sellPosition(input[1]);
@@ -179,13 +195,41 @@ class NHLTradingApp {
     const status = this.bot.getStatus();
     console.log('\n=== Bot Status ===');
     console.log(`Running: ${status.isRunning}`);
+    console.log(`Mode: ${status.mode.toUpperCase()}`);
+    if (status.paperBalance !== null) {
+      console.log(`Paper Balance: $${status.paperBalance.toFixed(2)}`);
+    }
+    if (status.riskStatus.killSwitch.active) {
+      console.log(`Kill Switch: TRIPPED - ${status.riskStatus.killSwitch.reason}`);
+    }
     console.log(`Active Positions: ${status.activePositions}`);
-    console.log(`Total Position Value: $${status.totalPositionValue}`);
+    console.log(`Strategies: ${status.strategies.map(strategy => `${strategy.name} ($${strategy.committed.toFixed(2)}${strategy.budget === null ? '' : ` of $${strategy.budget}`}, ${strategy.positions} positions)`).join(', ')}`);
+    console.log(`Total Position Value: $${status.portfolio.value.toFixed(2)} at the bid, $${status.portfolio.midValue.toFixed(2)} at mid (cost basis $${status.portfolio.costBasis.toFixed(2)}${status.portfolio.pendingAmount > 0 ? `, $${status.portfolio.pendingAmount.toFixed(2)} in unfilled entries` : ''})`);
+    console.log(`Unrealized P&L: ${formatMoney(status.portfolio.unrealizedPnl)}${status.portfolio.unrealizedPct === null ? '' : ` (${formatPercent(status.portfolio.unrealizedPct)})`}`);
     console.log(`Trading History: ${status.tradingHistory} trades`);
+    console.log(`Realized P&L: $${status.settlementStatus.realizedPnl.toFixed(2)} (today $${status.settlementStatus.today.toFixed(2)}, week $${status.settlementStatus.week.toFixed(2)}, season $${status.settlementStatus.season.toFixed(2)})`);
+    if (status.clv.trades > 0) {
+      console.log(`Closing Line Value: ${formatPoints(status.clv.average)} vs consensus, ${formatPoints(status.clv.averagePrice)} vs Polymarket over ${status.clv.trades} entries (beat the close ${(status.clv.beatRate * 100).toFixed(0)}%)`);
+    }
     console.log(`BoltOdds Games: ${status.dataStatus.boltOddsGames}`);
     console.log(`Polymarket Tokens: ${status.dataStatus.polymarketTokens}`);
+    console.log(`Polymarket Markets: ${status.discoveryStatus.knownMarkets}`);
+    if (status.reconcileStatus.lastRun) {
+      console.log(`Last Reconcile: ${new Date(status.reconcileStatus.lastRun).toLocaleString()} (${status.reconcileStatus.discrepancies} discrepancies)`);
+    }
     console.log(`Connection Status: ${status.connectionStatus.isConnected ? 'Connected' : 'Disconnected'}`);
     console.log(`Reconnect Attempts: ${status.connectionStatus.reconnectAttempts}`);
+    console.log(`Polymarket Feed: ${status.marketFeedStatus.isConnected ? 'Connected' : 'Disconnected'} (${status.marketFeedStatus.books}/${status.marketFeedStatus.subscribedTokens} books)`);
+    console.log(`Feed Health: ${status.feedHealth.healthy ? 'OK' : status.feedHealth.reasons.join('; ')}`);
+    status.feedHealth.warnings.forEach(warning => console.log(`   Warning: ${warning}`));
+    console.log(`Game State: ${status.gameStateStatus.live} live of ${status.gameStateStatus.games} games (source: ${status.gameStateStatus.source})`);
+    if (status.recordingStatus) {
+      console.log(`Feed Recording: ${status.recordingStatus.records} messages to ${status.recordingStatus.dir}`);
+    }
+    console.log(`Suspended Games: ${status.suspendedGames.length}`);
+    status.suspendedGames.forEach(suspension => {
+      console.log(`   ${suspension.gameKey}: ${suspension.reason} (since ${new Date(suspension.since).toLocaleTimeString()})`);
+    });
     console.log('');
   }
 
@@ -201,11 +245,34 @@ class NHLTradingApp {
     } else {
       positions.forEach((position, index) => {
         console.log(`${index + 1}. Token ID: ${position.tokenId}`);
-        console.log(`   Game: ${position.gameInfo.homeTeam} vs ${position.gameInfo.awayTeam}`);
-        console.log(`   Amount: $${position.amount}`);
-        console.log(`   Buy Price: ${position.price}`);
+        // positions adopted from the exchange have no game, only the market they trade on
+        if (position.gameInfo) {
+          console.log(`   Game: ${position.gameInfo.homeTeam} vs ${position.gameInfo.awayTeam}`);
+        } else {
+          console.log(`   Market: ${position.question || 'unknown market'}${position.adopted ? ' (adopted from the exchange)' : ''}`);
+        }
+        if (position.outcome) {
+          console.log(`   Side: ${position.outcome}${position.complementOf ? ' (against the overpriced side)' : ''}`);
+        }
+        const { mark } = position;
+        console.log(`   Shares: ${mark.shares.toFixed(2)} @ ${mark.averagePrice.toFixed(4)} (cost basis $${mark.costBasis.toFixed(2)})`);
+        console.log(`   Bid: ${mark.bid === null ? 'n/a' : mark.bid.toFixed(4)}, Mid: ${mark.mid.toFixed(4)}`);
+        console.log(`   Value: $${mark.value.toFixed(2)} at the bid, $${mark.midValue.toFixed(2)} at mid`);
+        console.log(`   Unrealized P&L: ${formatMoney(mark.unrealizedPnl)}${mark.unrealizedPct === null ? '' : ` (${formatPercent(mark.unrealizedPct)})`}`);
+        if (mark.edge !== null) {
+          console.log(`   Edge: ${formatPercent(mark.edge)} to fair ${formatProbability(mark.fairProbability)}`);
+        }
         console.log(`   Buy Time: ${new Date(position.buyTime).toLocaleString()}`);
         console.log(`   Status: ${position.status}`);
+        if (position.redemption) {
+          console.log(`   Resolved at $${position.redemption.payout} per share, redeem the tokens on-chain to settle`);
+        }
+        if (position.sizing) {
+          console.log(`   Sizing: ${(position.sizing.fullKelly * position.sizing.kellyMultiplier * 100).toFixed(2)}% of $${position.sizing.bankroll.toFixed(2)} bankroll, limited by ${position.sizing.limitedBy}`);
+        }
+        if (position.reconcileFlag) {
+          console.log(`   Warning: ${position.reconcileFlag}`);
+        }
         console.log('');
       });
     }
@@ -224,13 +291,29 @@ class NHLTradingApp {
       // Show last 10 trades
       const recentHistory = history.slice(-10);
       recentHistory.forEach((trade, index) => {
-        console.log(`${index + 1}. ${trade.action.toUpperCase()} - Token: ${trade.tokenId}`);
+        console.log(`${index + 1}. ${trade.action.toUpperCase()}${trade.paper ? ' (paper)' : ''} - Token: ${trade.tokenId}`);
         console.log(`   Amount: $${trade.amount}`);
         console.log(`   Price: ${trade.price}`);
-        console.log(`   Time: ${new Date(trade.buyTime || trade.sellTime).toLocaleString()}`);
+        console.log(`   Time: ${new Date(trade.buyTime || trade.sellTime || trade.settleTime).toLocaleString()}`);
+        if (trade.action === 'settle') {
+          console.log(`   Settled at $${trade.price} per share, P&L: $${trade.pnl.toFixed(2)}`);
+        }
+        if (trade.exitRule) {
+          console.log(`   Exit Rule: ${trade.exitRule}${trade.exitReason ? ` (${trade.exitReason})` : ''}`);
+        }
+        if (trade.lines) {
+          const line = (snapshot) => (snapshot ? `fair ${formatProbability(snapshot.fairProbability)} / price ${formatProbability(snapshot.price)}` : 'n/a');
+          console.log(`   Lines: entry ${line(trade.lines.entry)}${trade.action === 'sell' ? `, exit ${line(trade.lines.exit)}` : ''}, close ${line(trade.lines.close)}`);
+        }
+        if (trade.clv) {
+          console.log(`   CLV: ${formatPoints(trade.clv.fair)} vs closing consensus, ${formatPoints(trade.clv.price)} vs closing Polymarket price`);
+        }
         if (trade.valueAnalysis) {
           console.log(`   Expected Value: ${trade.valueAnalysis.value.toFixed(4)}`);
           console.log(`   Confidence: ${trade.valueAnalysis.confidence}`);
+          if (trade.valueAnalysis.strategy) {
+            console.log(`   Strategy: ${trade.valueAnalysis.strategy}`);
+          }
         }
         console.log('');
       });
@@ -260,6 +343,7 @@ class NHLTradingApp {
       console.log('\n=== Current Odds Summary ===');
       console.log(`BoltOdds Games: ${oddsSummary.boltOddsGames}`);
       console.log(`Polymarket Tokens: ${oddsSummary.polymarketTokens}`);
+      console.log(`Unmatched Markets: ${oddsSummary.unmatchedMarkets}`);
       console.log(`Trading Opportunities: ${oddsSummary.opportunities}`);
       console.log(`Last Update: ${oddsSummary.lastUpdate}`);
       
@@ -302,6 +386,115 @@ class NHLTradingApp {
     }
   }
 
+  /**
+   * Show polymarket markets that could not be matched to a single game
+   */
+  showUnmatchedMarkets() {
+    const unmatched = this.bot.oddsComparison.getUnmatchedMarkets();
+    console.log('\n=== Unmatched Markets ===');
+    
+    if (unmatched.length === 0) {
+      console.log('All Polymarket markets are matched to a game');
+    } else {
+      unmatched.forEach((market, index) => {
+        console.log(`${index + 1}. ${market.question} [${market.outcome}]`);
+        console.log(`   Token ID: ${market.tokenId}`);
+        console.log(`   Status: ${market.status}`);
+        console.log(`   Reason: ${market.reason}`);
+        if (market.candidates.length > 0) {
+          console.log(`   Candidates: ${market.candidates.join(', ')}`);
+        }
+        console.log('');
+      });
+    }
+  }
+
+  /**
+   * Reconcile positions with the exchange and show the discrepancy report
+   */
+  async reconcilePositions() {
+    try {
+      console.log('Reconciling positions with the exchange...');
+      const report = await this.bot.reconcilePositions();
+      console.log('\n=== Reconciliation Report ===');
+      console.log(`Exchange Positions: ${report.exchangePositions}`);
+      console.log(`Local Positions: ${report.localPositions}`);
+      console.log(`Open Orders: ${report.openOrders}`);
+      
+      report.adopted.forEach(entry => {
+        console.log(`ADOPTED    ${entry.tokenId} - ${entry.shares} shares @ ${entry.price}`);
+      });
+      report.missingOnChain.forEach(entry => {
+        console.log(`MISSING    ${entry.tokenId} - ${entry.localShares} shares held locally, none on-chain`);
+      });
+      report.sizeMismatches.forEach(entry => {
+        console.log(`MISMATCH   ${entry.tokenId} - local ${entry.localShares} vs exchange ${entry.exchangeShares} shares`);
+      });
+      report.untrackedOrders.forEach(entry => {
+        console.log(`ORDER      ${entry.orderId} - ${entry.side} ${entry.tokenId} @ ${entry.price}, now tracked`);
+      });
+      
+      if (this.bot.reconciler.countDiscrepancies(report) === 0) {
+        console.log('No discrepancies found');
+      }
+      console.log('');
+    } catch (error) {
+      console.log(`Error reconciling positions: ${error.message}`);
+    }
+  }
+
+  /**
+   * Show realized P&L by day, week and season
+   */
+  showPnl() {
+    const settlement = this.bot.settlementService;
+    const status = settlement.getStatus();
+    const money = (value) => `${value < 0 ? '-' : ''}$${Math.abs(value).toFixed(2)}`;
+    console.log('\n=== Realized P&L ===');
+    console.log(`Equity: ${money(status.equity)} (realized ${money(status.realizedPnl)}, fees ${money(status.fees)}, ${status.settledPositions} positions settled)`);
+    
+    const sections = [['Daily', 'day', 7], ['Weekly', 'week', 4], ['Season', 'season', 3]];
+    for (const [title, period, count] of sections) {
+      const totals = settlement.getTotals(period).slice(-count);
+      console.log(`\n${title}:`);
+      if (totals.length === 0) {
+        console.log('   No realized P&L yet');
+      }
+      totals.forEach(total => console.log(`   ${period === 'week' ? 'week of ' : ''}${total.period}: ${money(total.pnl)} (${total.count} closed)`));
+    }
+    console.log('');
+  }
+
+  /**
+   * Show risk limits and the kill switch
+   */
+  showRisk() {
+    const risk = this.bot.getStatus().riskStatus;
+    console.log('\n=== Risk ===');
+    console.log(`Kill Switch: ${risk.killSwitch.active ? 'TRIPPED' : 'off'}`);
+    if (risk.killSwitch.active) {
+      console.log(`   Reason: ${risk.killSwitch.reason}`);
+      console.log(`   Since: ${new Date(risk.killSwitch.trippedAt).toLocaleString()}`);
+      console.log(`   Run 'risk reset' to resume trading`);
+    }
+    console.log(`Daily P&L: $${risk.dailyPnl.toFixed(2)} (realized $${risk.dailyRealizedPnl.toFixed(2)}, limit -$${risk.dailyLossLimit})`);
+    console.log(`Orders Last Minute: ${risk.ordersLastMinute}/${risk.maxOrdersPerMinute}`);
+    console.log(`Max Open Positions: ${risk.maxOpenPositions}`);
+    console.log('');
+  }
+
+  /**
+   * Reset a tripped kill switch
+   */
+  resetKillSwitch() {
+    if (!this.bot.riskManager.isHalted()) {
+      console.log('Kill switch is not active');
+      return;
+    }
+    const previous = this.bot.riskManager.reset();
+    console.log(`Kill switch reset (was: ${previous.reason}). Trading resumed.`);
+  }
+
   /**
    * Show help
    */
@@ -312,7 +505,11 @@ class NHLTradingApp {
     console.log('history        - Show recent trading history');
     console.log('odds           - Show current odds comparisons');
     console.log('opportunities  - Show trading opportunities');
+    console.log('unmatched      - Show unmatched or ambiguous markets');
     console.log('sell <id>      - Sell position by token ID');
+    console.log('reconcile      - Compare positions and orders with the exchange');
+    console.log('pnl            - Show realized P&L by day, week and season');
+    console.log('risk [reset]   - Show risk status, or reset a tripped kill switch');
     console.log('help           - Show this help message');
     console.log('exit           - Stop the bot and exit');
     console.log('');
@@ -0,0 +1,37 @@
+// replay recorded feeds through a paper trading bot, offline and on the recording's clock:
+//   npm run replay -- 2026-10-18 [more days or recording files] [--speed 10]
+import { parseArgs, createReplaySession } from './replaySession.js';
+
+const { targets, options } = parseArgs(process.argv.slice(2));
+
+if (targets.length === 0) {
+  console.error('Usage: npm run replay -- <yyyy-mm-dd | recording file | directory>... [--speed <multiplier, 0 for no waiting>]');
+  process.exit(1);
+}
+
+let session;
+try {
+  session = await createReplaySession(targets, { speed: options.speed ?? null, dataDir: 'data/replay' });
+} catch (error) {
+  console.error(`Cannot replay: ${error.message}`);
+  process.exit(1);
+}
+
+const { replay, bot } = session;
+const { default: logger } = await import('./utils/logger.js');
+
+try {
+  await bot.start();
+  await replay.play();
+  await bot.stop();
+} catch (error) {
+  logger.error('Replay failed', { error: error.message });
+  process.exitCode = 1;
+} finally {
+  replay.restoreClock();
+}
+
+const status = bot.getStatus();
+console.log(`Replayed ${replay.position} messages at speed ${replay.speed || 'max'}`);
+console.log(`Trades: ${status.tradingHistory}, open positions: ${status.activePositions}, paper balance: $${status.paperBalance.toFixed(2)}`);
+console.log(`Journal: ${bot.tradeStore.filePath}`);
@@ -0,0 +1,82 @@
+// a paper trading bot whose feeds come from recordings, shared by the replay and backtest commands
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// split command line arguments into recordings and --name value options
+export function parseArgs(argv) {
+  const targets = [];
+  const options = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      options[argv[i].slice(2)] = argv[++i];
+    } else {
+      targets.push(argv[i]);
+    }
+  }
+
+  return { targets, options };
+}
+
+// load the recordings and build the bot; a session always paper trades into its own journal under
+// dataDir and never records, and the credentials it is given are never used
+export async function createReplaySession(targets, { speed = null, dataDir }) {
+  const journalFile = `${dataDir}/trade-journal.jsonl`;
+  const riskStateFile = `${dataDir}/risk-state.json`;
+  const paperStateFile = `${dataDir}/paper-state.json`;
+
+  process.env.DRY_RUN = 'true';
+  process.env.RECORD_FEEDS = 'false';
+  process.env.TRADE_JOURNAL_FILE = journalFile;
+  process.env.RISK_STATE_FILE = riskStateFile;
+  process.env.PAPER_STATE_FILE = paperStateFile;
+  process.env.BOLTODDS_API_KEY ||= 'replay';
+  process.env.POLYMARKET_PRIVATE_KEY ||= 'replay';
+  process.env.POLYMARKET_WALLET_ADDRESS ||= 'replay';
+  if (speed !== null) {
+    process.env.REPLAY_SPEED = speed;
+  }
+
+  // config is read on import, so everything that uses it is loaded after the overrides above
+  const { default: config } = await import('./config/config.js');
+  const { default: TradingBot } = await import('./TradingBot.js');
+  const { default: FeedReplay } = await import('./services/FeedReplay.js');
+  const { default: ReplayBoltOddsClient } = await import('./services/ReplayBoltOddsClient.js');
+  const { default: ReplayMarketFeed } = await import('./services/ReplayMarketFeed.js');
+  const { default: PaperPolymarketClient } = await import('./services/PaperPolymarketClient.js');
+  const { default: NhlScoreSource } = await import('./services/NhlScoreSource.js');
+
+  // every session starts from an empty journal so runs of the same recording match
+  for (const file of [journalFile, riskStateFile, paperStateFile]) {
+    fs.rmSync(path.join(__dirname, '..', file), { force: true });
+  }
+
+  const replay = new FeedReplay();
+  if (replay.load(targets) === 0) {
+    throw new Error('The recordings contain no messages');
+  }
+
+  replay.useVirtualClock();
+
+  const polymarketClient = new PaperPolymarketClient();
+  replay.attachHttp(polymarketClient.client, 'polymarket-rest');
+
+  let scoreSource = null;
+  if (config.GAME_STATE_SOURCE === 'nhl') {
+    scoreSource = new NhlScoreSource();
+    replay.attachHttp(scoreSource.client, 'nhl-scoreboard');
+  }
+
+  const bot = new TradingBot({
+    boltOddsClient: new ReplayBoltOddsClient(replay),
+    marketFeed: new ReplayMarketFeed(replay),
+    polymarketClient,
+    scoreSource
+  });
+
+  return { config, replay, bot };
+}
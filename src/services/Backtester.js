@@ -0,0 +1,276 @@
+import config from '../config/config.js';
+import logger from '../utils/logger.js';
+import { summarizeBets, summarizeBy } from '../utils/performance.js';
+import { marketPayouts } from './SettlementService.js';
+
+// runs the trading bot over a feed replay, then settles its bets on the final results and reports performance
+export class Backtester {
+  constructor(bot, replay, { results = {}, bankroll = config.PAPER_STARTING_BALANCE } = {}) {
+    this.bot = bot;
+    this.replay = replay;
+    this.results = results; // Payouts by token id (1 or 0) that take precedence over recorded results
+    this.bankroll = bankroll;
+    this.lastBids = new Map(); // Store the last best bid seen by token
+    this.gameStates = new Map(); // Store the last game state seen by game, kept after the game is removed
+    this.resolutions = null; // Recorded market resolutions by token id, indexed once the replay has played
+
+    this.bot.gameStateStore.on('final', (state) => {
+      this.gameStates.set(state.gameKey, state);
+    });
+    this.replay.on('played', () => this.observe());
+  }
+
+  async run() {
+    await this.bot.start();
+    await this.replay.play();
+    await this.bot.stop();
+    return this.report();
+  }
+
+  // follow held tokens: their bid and their game's state
+  observe() {
+    for (const [tokenId, position] of this.bot.activePositions.entries()) {
+      const quote = this.bot.oddsComparison.getTokenQuote(tokenId);
+      const state = this.bot.gameStateStore.getState(position.gameKey);
+
+      if (state) {
+        this.gameStates.set(position.gameKey, state);
+      }
+      if (quote?.bestBid !== null && quote?.bestBid !== undefined) {
+        this.lastBids.set(tokenId, quote.bestBid);
+      }
+    }
+  }
+
+  // one bet per stretch of holding a token, from its first buy until it is sold out or settled
+  buildBets() {
+    const bets = [];
+    const open = new Map();
+
+    for (const trade of this.bot.tradingHistory) {
+      if (trade.action === 'buy') {
+        let bet = open.get(trade.tokenId);
+        if (!bet) {
+          bet = this.createBet(trade);
+          open.set(trade.tokenId, bet);
+          bets.push(bet);
+        }
+        bet.close = bet.close ?? trade.lines?.close ?? null;
+        bet.staked += trade.amount;
+        bet.fees += trade.fee || 0;
+        bet.boughtShares += trade.shares;
+        bet.shares += trade.shares;
+      } else if (trade.action === 'sell') {
+        const bet = open.get(trade.tokenId);
+        if (!bet) continue;
+
+        bet.proceeds += trade.amount;
+        bet.fees += trade.fee || 0;
+        bet.shares = Math.max(bet.shares - trade.shares, 0);
+        bet.exitRule = trade.exitRule ?? bet.exitRule;
+
+        if (bet.shares <= 1e-9) {
+          bet.status = 'exited';
+          bet.settledAt = trade.sellTime;
+          open.delete(trade.tokenId);
+        }
+      } else if (trade.action === 'settle') {
+        // settled by the bot itself once the recorded market resolved
+        const bet = open.get(trade.tokenId);
+        if (!bet) continue;
+
+        bet.proceeds += trade.amount;
+        bet.shares = 0;
+        bet.payout = trade.price;
+        bet.settledBy = 'polymarket';
+        bet.settledAt = trade.settleTime;
+        bet.status = trade.price > 0 ? 'won' : 'lost';
+        open.delete(trade.tokenId);
+      }
+    }
+
+    this.addOpenOrderFills(bets, open);
+
+    for (const bet of open.values()) {
+      this.settle(bet);
+    }
+
+    for (const bet of bets) {
+      bet.pnl = bet.proceeds - bet.staked - bet.fees;
+      bet.entryPrice = bet.boughtShares > 0 ? bet.staked / bet.boughtShares : null;
+      bet.clv = this.closingLineValue(bet);
+    }
+
+    return bets;
+  }
+
+  // orders still working when the replay ended have fills that never reached the trading history
+  addOpenOrderFills(bets, open) {
+    for (const order of this.bot.orderManager.getOpenOrders()) {
+      if (!(order.size_matched > 0)) continue;
+
+      let bet = open.get(order.token_id);
+      const fee = this.bot.settlementService.fee(order.amount_matched);
+
+      if (order.side === 'buy') {
+        if (!bet) {
+          const position = this.bot.activePositions.get(order.token_id) || {};
+          bet = this.createBet({ ...position, tokenId: order.token_id, gameKey: position.gameKey ?? order.game_key });
+          bet.close = position.lines?.close ?? null;
+          open.set(order.token_id, bet);
+          bets.push(bet);
+        }
+        bet.staked += order.amount_matched;
+        bet.fees += fee;
+        bet.boughtShares += order.size_matched;
+        bet.shares += order.size_matched;
+      } else if (bet) {
+        bet.proceeds += order.amount_matched;
+        bet.fees += fee;
+        bet.shares = Math.max(bet.shares - order.size_matched, 0);
+        bet.exitRule = order.exit_rule ?? bet.exitRule;
+      }
+    }
+  }
+
+  createBet(trade) {
+    return {
+      tokenId: trade.tokenId,
+      gameKey: trade.gameKey ?? null,
+      team: trade.team ?? null,
+      match: trade.match ?? null,
+      complementOf: trade.valueAnalysis?.complementOf ?? null,
+      strategy: trade.valueAnalysis?.strategy ?? null,
+      confidence: trade.valueAnalysis?.confidence ?? null,
+      edge: trade.valueAnalysis?.value ?? null,
+      entryTime: trade.buyTime,
+      close: null,
+      staked: 0,
+      boughtShares: 0,
+      shares: 0,
+      proceeds: 0,
+      fees: 0,
+      exitRule: null,
+      payout: null,
+      settledBy: null,
+      settledAt: null,
+      status: 'open'
+    };
+  }
+
+  // pay the remaining shares on the result, or mark them at the last bid when there is none
+  settle(bet) {
+    const result = this.resolve(bet);
+
+    if (result) {
+      bet.payout = result.payout;
+      bet.settledBy = result.source;
+      bet.status = result.payout > 0 ? 'won' : 'lost';
+    } else {
+      bet.payout = this.lastBids.get(bet.tokenId) ?? 0;
+      bet.settledBy = 'mark';
+      logger.warn('No result for backtest bet, marking at the last bid', { tokenId: bet.tokenId, gameKey: bet.gameKey, bid: bet.payout });
+    }
+
+    bet.proceeds += bet.shares * bet.payout;
+    bet.settledAt = result?.at ?? this.replay.clock;
+  }
+
+  // the token's payout from the results file, the recorded market resolution or the final score
+  resolve(bet) {
+    if (this.results[bet.tokenId] !== undefined) {
+      return { payout: Number(this.results[bet.tokenId]), source: 'results' };
+    }
+
+    const resolution = this.findMarketResolution(bet.tokenId);
+    if (resolution) {
+      return resolution;
+    }
+
+    const state = this.gameStates.get(bet.gameKey);
+    const payout = state?.final ? this.scorePayout(bet.match, state) : null;
+    return payout === null ? null : { payout, source: 'score', at: state.updatedAt };
+  }
+
+  // the latest recorded polymarket response in which the token's market has resolved
+  findMarketResolution(tokenId) {
+    if (!this.resolutions) {
+      this.resolutions = this.indexResolutions();
+    }
+    return this.resolutions.get(tokenId) ?? null;
+  }
+
+  // one pass over the recorded polymarket responses, later resolutions replace earlier ones
+  indexResolutions() {
+    const resolutions = new Map();
+
+    for (const record of this.replay.records) {
+      if (record.source !== 'polymarket-rest' || !record.data?.response) continue;
+
+      const response = record.data.response;
+      const markets = Array.isArray(response.data) ? response.data : [response];
+
+      for (const market of markets) {
+        const payouts = marketPayouts(market);
+        for (const [tokenId, payout] of payouts?.entries() || []) {
+          resolutions.set(tokenId, { payout, source: 'polymarket', at: record.receivedAt });
+        }
+      }
+    }
+    return resolutions;
+  }
+
+  // payout of a moneyline, spread or total selection on a final score (null when it cannot be decided)
+  scorePayout(match, { homeScore, awayScore }) {
+    if (!match) return null;
+
+    const { marketType, line, selection, side } = match;
+    const margin = homeScore - awayScore;
+
+    if (marketType === 'moneyline' && side) {
+      return (side === 'home' ? margin > 0 : margin < 0) ? 1 : 0;
+    }
+    if (marketType === 'spread' && side && line !== null) {
+      const covered = (side === 'home' ? margin : -margin) + line;
+      return covered === 0 ? null : covered > 0 ? 1 : 0;
+    }
+    if (marketType === 'total' && line !== null) {
+      const total = homeScore + awayScore;
+      return total === line ? null : (selection === 'Over') === (total > line) ? 1 : 0;
+    }
+    return null;
+  }
+
+  // consensus fair probability when the game was removed, minus the average entry price
+  closingLineValue(bet) {
+    const fairProbability = bet.close?.fairProbability;
+
+    if (fairProbability === null || fairProbability === undefined || !(bet.entryPrice > 0)) {
+      return null;
+    }
+    return fairProbability - bet.entryPrice;
+  }
+
+  report() {
+    const bets = this.buildBets();
+    const options = { bankroll: this.bankroll };
+
+    return {
+      from: this.replay.records[0]?.receivedAt ?? null,
+      to: this.replay.clock,
+      bankroll: this.bankroll,
+      ...summarizeBets(bets, options),
+      outcomes: {
+        won: bets.filter(bet => bet.status === 'won').length,
+        lost: bets.filter(bet => bet.status === 'lost').length,
+        exited: bets.filter(bet => bet.status === 'exited').length,
+        open: bets.filter(bet => bet.status === 'open').length
+      },
+      byConfidence: summarizeBy(bets, bet => bet.confidence, options),
+      byTeam: summarizeBy(bets, bet => bet.team ?? (bet.match?.marketType === 'total' ? 'totals' : null), options),
+      ledger: bets
+    };
+  }
+}
+
+export default Backtester;
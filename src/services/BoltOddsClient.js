@@ -3,8 +3,9 @@ import config from '../config/config.js';
 import logger from '../utils/logger.js';
 
 export class BoltOddsClient {
-  constructor() {
+  constructor(recorder = null) {
     this.ws = null;
+    this.recorder = recorder; // FeedRecorder that keeps every raw message, when recording
     this.isConnected = false;
     this.reconnectAttempts = 0;
     this.maxReconnectAttempts = 10;
@@ -16,6 +17,10 @@ export class BoltOddsClient {
       markets: ['Moneyline', 'Spread', 'Total'] // NHL markets
     };
     this.messageHandlers = new Map();
+    this.connectedAt = null;
+    this.disconnectedAt = null;
+    this.lastMessageAt = null;
+    this.lastPingAt = null;
   }
 
   // initialize websocket connection
@@ -30,6 +35,7 @@ export class BoltOddsClient {
         logger.info('Connected to BoltOdds WebSocket');
         this.isConnected = true;
         this.reconnectAttempts = 0;
+        this.connectedAt = Date.now();
         this.subscribe();
       });
 
@@ -40,6 +46,7 @@ export class BoltOddsClient {
       this.ws.on('close', (code, reason) => {
         logger.warn('BoltOdds WebSocket connection closed', { code, reason: reason.toString() });
         this.isConnected = false;
+        this.disconnectedAt = Date.now();
         this.handleReconnection();
       });
 
@@ -72,6 +79,9 @@ export class BoltOddsClient {
 
   // handle incoming messages
   handleMessage(data) {
+    this.lastMessageAt = Date.now();
+    this.recorder?.record('boltodds', data.toString(), this.lastMessageAt);
+    
     try {
       const message = JSON.parse(data.toString());
       
@@ -127,7 +137,8 @@ export class BoltOddsClient {
           break;
           
         case 'ping':
-          // keep-alive message, no action needed
+          // keep-alive message, only used for feed health
+          this.lastPingAt = Date.now();
           break;
           
         case 'error':
@@ -204,6 +215,11 @@ export class BoltOddsClient {
     return {
       isConnected: this.isConnected,
       reconnectAttempts: this.reconnectAttempts,
+      maxReconnectAttempts: this.maxReconnectAttempts,
+      connectedAt: this.connectedAt,
+      disconnectedAt: this.disconnectedAt,
+      lastMessageAt: this.lastMessageAt,
+      lastPingAt: this.lastPingAt,
       subscriptionFilters: this.subscriptionFilters
     };
   }
@@ -0,0 +1,60 @@
+import config from '../config/config.js';
+import { normalizeLevels, walkBook } from '../utils/orderbook.js';
+
+// plans orders against the resting depth of a /book response
+export class ExecutionPlanner {
+  constructor() {
+    this.maxSlippage = config.MAX_SLIPPAGE;
+    this.minEdge = config.MIN_VALUE_THRESHOLD;
+  }
+
+  // walk the book for `amount` usdc or `size` shares within the slippage limit
+  plan(orderbook, { side = 'buy', amount = Infinity, size = Infinity, fairProbability = null }) {
+    const isBuy = side === 'buy';
+    const levels = normalizeLevels(isBuy ? orderbook?.asks : orderbook?.bids, isBuy ? 'asks' : 'bids');
+    const bestPrice = levels[0]?.price ?? null;
+
+    if (bestPrice === null) {
+      return { side, executable: false, reason: `No ${isBuy ? 'asks' : 'bids'} on the book`, size: 0, amount: 0 };
+    }
+
+    // never walk further than maxSlippage away from the top of book
+    const limitPrice = isBuy
+      ? Math.min(bestPrice * (1 + this.maxSlippage), 0.99)
+      : Math.max(bestPrice * (1 - this.maxSlippage), 0.01);
+
+    const result = walkBook(levels, { size, amount, limitPrice, side });
+    const requested = Number.isFinite(size) ? size : amount;
+    const filled = Number.isFinite(size) ? result.filledSize : result.notional;
+
+    const plan = {
+      side,
+      bestPrice,
+      limitPrice,
+      vwap: result.avgPrice,
+      worstPrice: result.worstPrice,
+      size: result.filledSize,
+      amount: result.notional,
+      slippage: result.avgPrice === null ? 0 : Math.abs(result.avgPrice - bestPrice) / bestPrice,
+      depthLimited: filled < requested - 1e-9,
+      levels: result.fills.length,
+      edge: null,
+      executable: result.filledSize > 0,
+      reason: result.filledSize > 0 ? null : 'No depth within the slippage limit'
+    };
+
+    // the edge has to survive the price actually paid, not just the top of book
+    if (isBuy && fairProbability !== null && plan.executable) {
+      plan.edge = fairProbability - plan.vwap;
+
+      if (plan.edge < this.minEdge) {
+        plan.executable = false;
+        plan.reason = `Edge ${(plan.edge * 100).toFixed(2)}% at VWAP ${plan.vwap.toFixed(4)} is below the ${(this.minEdge * 100).toFixed(2)}% threshold`;
+      }
+    }
+
+    return plan;
+  }
+}
+
+export default ExecutionPlanner;
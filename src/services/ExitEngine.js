@@ -0,0 +1,118 @@
+import config from '../config/config.js';
+
+// decides when an open position should be sold, checking each configured exit rule in turn
+export class ExitEngine {
+  constructor() {
+    this.takeProfit = config.AUTO_SELL_THRESHOLD;
+    this.stopLoss = config.STOP_LOSS;
+    this.trailingStop = config.TRAILING_STOP;
+    this.exitOnEdgeGone = config.EXIT_ON_EDGE_GONE;
+    this.edgeExitThreshold = config.EDGE_EXIT_THRESHOLD;
+    this.flipThreshold = config.MIN_VALUE_THRESHOLD;
+    this.exitBeforeGameEnd = config.EXIT_BEFORE_GAME_END * 1000;
+    this.exitBeforePeriodEnd = config.EXIT_BEFORE_PERIOD_END; // Seconds left on the game clock
+    this.expectedGameDuration = config.EXPECTED_GAME_DURATION * 1000;
+    this.maxHoldTime = config.MAX_HOLD_TIME * 1000;
+    this.feeRate = config.FEE_RATE_BPS / 10000;
+  }
+
+  // mark a position to the best bid (what selling would get), raising its peak for the trailing stop
+  // (the p&l is what the sale would realize, net of the entry fees and the fee on the sale itself)
+  mark(position, market, now = Date.now()) {
+    const bid = market?.bestBid ?? null;
+    if (bid === null || !(position.shares > 0)) return null;
+
+    position.peakBid = Math.max(position.peakBid ?? bid, bid);
+    const value = position.shares * bid;
+
+    return {
+      bid,
+      value,
+      pnl: value - position.amount - (position.fees || 0) - value * this.feeRate,
+      return: position.price > 0 ? bid / position.price - 1 : 0,
+      peakBid: position.peakBid,
+      markedAt: now
+    };
+  }
+
+  // the first exit rule a position triggers, or null to keep holding
+  evaluate(position, { market = null, fairProbability = null, gameStartTime = null, gameState = null } = {}, now = Date.now()) {
+    const mark = this.mark(position, market, now);
+    const exit = this.checkPriceRules(position, mark)
+      || this.checkEdgeRules(mark, fairProbability)
+      || this.checkTimeRules(position, gameStartTime, gameState, now);
+
+    return exit ? { ...exit, mark } : null;
+  }
+
+  // take profit, stop loss and trailing stop against the marked bid
+  checkPriceRules(position, mark) {
+    if (!mark) return null;
+
+    if (this.stopLoss > 0 && mark.return <= -this.stopLoss) {
+      return this.exit('stop_loss', `Bid ${mark.bid.toFixed(4)} is ${(-mark.return * 100).toFixed(1)}% below cost (stop ${(this.stopLoss * 100).toFixed(1)}%)`);
+    }
+
+    // the trail only starts once the bid has been above cost
+    if (this.trailingStop > 0 && mark.peakBid > position.price && mark.bid <= mark.peakBid * (1 - this.trailingStop)) {
+      return this.exit('trailing_stop', `Bid ${mark.bid.toFixed(4)} fell ${((1 - mark.bid / mark.peakBid) * 100).toFixed(1)}% from its peak ${mark.peakBid.toFixed(4)}`);
+    }
+
+    if (this.takeProfit > 0 && mark.return >= this.takeProfit) {
+      return this.exit('take_profit', `Bid ${mark.bid.toFixed(4)} is ${(mark.return * 100).toFixed(1)}% above cost (target ${(this.takeProfit * 100).toFixed(1)}%)`);
+    }
+
+    return null;
+  }
+
+  // exit once the bid reaches fair value, or passes it far enough that selling is the value side
+  checkEdgeRules(mark, fairProbability) {
+    if (!this.exitOnEdgeGone || !mark || fairProbability === null) return null;
+
+    const edge = fairProbability - mark.bid;
+
+    if (edge <= -this.flipThreshold) {
+      return this.exit('edge_flipped', `Bid ${mark.bid.toFixed(4)} is ${(-edge * 100).toFixed(2)}% above fair ${fairProbability.toFixed(4)}`);
+    }
+
+    if (edge <= this.edgeExitThreshold) {
+      return this.exit('edge_gone', `Edge to fair ${fairProbability.toFixed(4)} is ${(edge * 100).toFixed(2)}% at bid ${mark.bid.toFixed(4)}`);
+    }
+
+    return null;
+  }
+
+  // period end from the game clock, game end from the scheduled start, then the holding time limit
+  checkTimeRules(position, gameStartTime, gameState, now) {
+    const clockRunning = gameState && gameState.clockRemaining !== null && gameState.clockRemaining !== undefined
+      && !gameState.inIntermission && !gameState.final;
+    if (this.exitBeforePeriodEnd > 0 && clockRunning && gameState.clockRemaining <= this.exitBeforePeriodEnd) {
+      return this.exit('period_end', `${gameState.clockRemaining}s left in period ${gameState.period}`);
+    }
+
+    // from the third period on the game clock is better than the schedule estimate
+    if (this.exitBeforeGameEnd > 0 && clockRunning && gameState.period >= 3
+      && gameState.clockRemaining * 1000 <= this.exitBeforeGameEnd) {
+      return this.exit('game_end', `${gameState.clockRemaining}s left in period ${gameState.period}`);
+    }
+
+    const startTime = gameStartTime ? new Date(gameStartTime).getTime() : NaN;
+    if (this.exitBeforeGameEnd > 0 && Number.isFinite(startTime)
+      && now >= startTime + this.expectedGameDuration - this.exitBeforeGameEnd) {
+      const minutesLeft = Math.round((startTime + this.expectedGameDuration - now) / 60000);
+      return this.exit('game_end', `Game expected to end in ${minutesLeft} minutes`);
+    }
+
+    if (this.maxHoldTime > 0 && position.buyTime && now - position.buyTime >= this.maxHoldTime) {
+      return this.exit('max_hold', `Held for ${Math.round((now - position.buyTime) / 60000)} minutes (max ${this.maxHoldTime / 60000})`);
+    }
+
+    return null;
+  }
+
+  exit(rule, reason) {
+    return { rule, reason };
+  }
+}
+
+export default ExitEngine;
@@ -0,0 +1,98 @@
+import config from '../config/config.js';
+
+// judges whether the reference and polymarket feeds are live enough to trade on
+export class FeedHealthMonitor {
+  constructor(boltOddsClient, marketFeed) {
+    this.boltOddsClient = boltOddsClient;
+    this.marketFeed = marketFeed;
+    this.maxFeedSilence = config.MAX_FEED_SILENCE * 1000;
+    this.maxPingGap = config.MAX_PING_GAP * 1000;
+    this.maxReferenceAge = config.MAX_REFERENCE_AGE * 1000;
+    this.maxPolymarketAge = config.MAX_POLYMARKET_AGE * 1000;
+  }
+
+  // check both feeds; a boltodds problem suspends all trading, a polymarket socket problem only ages prices
+  check(now = Date.now()) {
+    const boltOdds = this.describeFeed('BoltOdds', this.boltOddsClient.getConnectionStatus(), now, { pings: true });
+    const polymarket = this.describeFeed('Polymarket', this.marketFeed.getConnectionStatus(), now);
+
+    return {
+      healthy: boltOdds.healthy,
+      reasons: boltOdds.reasons,
+      warnings: polymarket.reasons,
+      boltOdds,
+      polymarket
+    };
+  }
+
+  // connection, reconnect, silence and keep-alive checks for one websocket
+  describeFeed(name, status, now, { pings = false } = {}) {
+    const reasons = [];
+    const silenceMs = status.lastMessageAt ? now - status.lastMessageAt : null;
+    const pingAt = status.lastPingAt ?? status.connectedAt;
+    const pingGapMs = pings && pingAt ? now - pingAt : null;
+
+    if (!status.isConnected) {
+      const down = status.disconnectedAt ? ` for ${Math.round((now - status.disconnectedAt) / 1000)}s` : '';
+      const attempts = status.reconnectAttempts > 0 ? `, reconnect attempt ${status.reconnectAttempts}/${status.maxReconnectAttempts}` : '';
+      reasons.push(`${name} feed disconnected${down}${attempts}`);
+    } else if (silenceMs === null || silenceMs > this.maxFeedSilence) {
+      reasons.push(`${name} feed silent for ${silenceMs === null ? 'the whole session' : `${Math.round(silenceMs / 1000)}s`} (max ${this.maxFeedSilence / 1000}s)`);
+    } else if (pings && (pingGapMs === null || pingGapMs > this.maxPingGap)) {
+      // messages for other games keep the socket busy, only the server's pings show the session itself is alive
+      reasons.push(`${name} pings missing for ${this.formatAge(pingGapMs ?? Infinity)} (max ${this.maxPingGap / 1000}s)`);
+    }
+
+    return {
+      healthy: reasons.length === 0,
+      reasons,
+      isConnected: status.isConnected,
+      reconnectAttempts: status.reconnectAttempts,
+      silenceMs,
+      pingGapMs
+    };
+  }
+
+  // age of a game's newest reference line, from the line itself (books older than that leave the consensus)
+  referenceAge(freshness, now = Date.now()) {
+    return freshness?.newestLineAt ? now - freshness.newestLineAt : Infinity;
+  }
+
+  // age of a token's price; a streamed book confirms it while the socket is live
+  polymarketAge(tokenId, tokenData, health, now = Date.now()) {
+    if (!tokenData?.timestamp) return Infinity;
+
+    const status = this.marketFeed.getConnectionStatus();
+    const streamed = health.polymarket.healthy && this.marketFeed.books.has(tokenId);
+    const confirmedAt = streamed ? Math.max(tokenData.timestamp, status.lastMessageAt) : tokenData.timestamp;
+
+    return now - confirmedAt;
+  }
+
+  // the reason trading on a game or token must pause, or null when it may trade
+  getSuspensionReason({ freshness, tokenId = null, tokenData = null }, health, now = Date.now()) {
+    if (!health.healthy) {
+      return health.reasons.join('; ');
+    }
+
+    const referenceAge = this.referenceAge(freshness, now);
+    if (referenceAge > this.maxReferenceAge) {
+      return `Reference odds ${this.formatAge(referenceAge)} old (max ${this.maxReferenceAge / 1000}s)`;
+    }
+
+    if (tokenId) {
+      const polymarketAge = this.polymarketAge(tokenId, tokenData, health, now);
+      if (polymarketAge > this.maxPolymarketAge) {
+        return `Polymarket price ${this.formatAge(polymarketAge)} old (max ${this.maxPolymarketAge / 1000}s)`;
+      }
+    }
+
+    return null;
+  }
+
+  formatAge(ms) {
+    return Number.isFinite(ms) ? `${Math.round(ms / 1000)}s` : 'unknown';
+  }
+}
+
+export default FeedHealthMonitor;
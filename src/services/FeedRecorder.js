@@ -0,0 +1,124 @@
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import { fileURLToPath } from 'url';
+import config from '../config/config.js';
+import logger from '../utils/logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const FLUSH_INTERVAL = 5000; // Bounds what a crash loses without flushing the compressor on every message
+
+// writes every raw feed message with its receive time to gzipped jsonl files, one per source and utc day
+export class FeedRecorder {
+  constructor(dir = config.RECORDING_DIR) {
+    this.dir = path.isAbsolute(dir) ? dir : path.join(__dirname, '../../', dir);
+    this.files = new Map(); // Store the open file of each source with the day it covers
+    this.records = 0;
+    this.interceptors = []; // Axios response interceptors to eject on close, with their client
+    this.closed = false;
+    this.flushTimer = setInterval(() => this.flush(), FLUSH_INTERVAL);
+    this.flushTimer.unref?.();
+  }
+
+  // append one message (raw socket text or a parsed http response) as received now
+  record(source, data, receivedAt = Date.now()) {
+    // late messages must not reopen files that close() has finished
+    if (this.closed) return;
+
+    try {
+      const line = JSON.stringify({ receivedAt, source, data });
+      this.getFile(source, receivedAt).gzip.write(`${line}\n`);
+      this.records++;
+    } catch (error) {
+      logger.error('Error recording feed message', { source, error: error.message });
+    }
+  }
+
+  // record the responses of an axios client for requests under the given paths (never auth endpoints)
+  attachHttp(client, source, paths) {
+    const id = client.interceptors.response.use((response) => {
+      const { method, url, params } = response.config;
+
+      if (method === 'get' && paths.some(prefix => url.startsWith(prefix))) {
+        this.record(source, { url, params: params || null, response: response.data });
+      }
+      return response;
+    });
+    this.interceptors.push({ client, id });
+  }
+
+  // recording of a source for the utc day of a timestamp
+  filePath(source, timestamp) {
+    const day = new Date(timestamp).toISOString().slice(0, 10);
+    return path.join(this.dir, day, `${source}.jsonl.gz`);
+  }
+
+  // the gzip stream of a source, rolling over to a new file at midnight utc
+  getFile(source, timestamp) {
+    const filePath = this.filePath(source, timestamp);
+    const current = this.files.get(source);
+
+    if (current?.filePath === filePath) {
+      return current;
+    }
+    if (current) {
+      current.gzip.end();
+    }
+
+    // appending starts a new gzip member, which readers decompress as one file
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const gzip = zlib.createGzip();
+    const output = fs.createWriteStream(filePath, { flags: 'a' });
+    gzip.pipe(output);
+
+    gzip.on('error', (error) => {
+      logger.error('Feed recording compression error', { filePath, error: error.message });
+    });
+    output.on('error', (error) => {
+      logger.error('Feed recording write error', { filePath, error: error.message });
+    });
+
+    const file = { filePath, gzip, output };
+    this.files.set(source, file);
+    logger.info('Recording feed', { source, filePath });
+    return file;
+  }
+
+  // push buffered messages to disk
+  flush() {
+    for (const { gzip } of this.files.values()) {
+      gzip.flush();
+    }
+  }
+
+  // finish every file so its gzip trailer is written
+  async close() {
+    this.closed = true;
+    clearInterval(this.flushTimer);
+
+    for (const { client, id } of this.interceptors) {
+      client.interceptors.response.eject(id);
+    }
+    this.interceptors = [];
+
+    const files = Array.from(this.files.values());
+    this.files.clear();
+
+    await Promise.all(files.map(({ gzip, output }) => new Promise((resolve) => {
+      output.on('close', resolve);
+      gzip.end();
+    })));
+  }
+
+  getStatus() {
+    return {
+      dir: this.dir,
+      records: this.records,
+      files: Array.from(this.files.values()).map(file => file.filePath)
+    };
+  }
+}
+
+export default FeedRecorder;
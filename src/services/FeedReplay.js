@@ -0,0 +1,277 @@
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import { fileURLToPath } from 'url';
+import config from '../config/config.js';
+import logger from '../utils/logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// plays FeedRecorder files back in receive order on a virtual clock, at real (1) or accelerated speed (0 for no waiting)
+export class FeedReplay {
+  constructor(speed = config.REPLAY_SPEED, dir = config.RECORDING_DIR) {
+    this.speed = speed;
+    this.dir = path.isAbsolute(dir) ? dir : path.join(__dirname, '../../', dir);
+    this.records = [];
+    this.position = 0;
+    this.clock = null;
+    this.isPlaying = false;
+    this.responses = new Map(); // Store recorded http responses by source and request, in receive order
+    this.timers = new Map(); // Store virtual timers by id while the virtual clock is in use
+    this.timerSequence = 0;
+    this.realTimers = { setTimeout, clearTimeout, setImmediate };
+    this.realGlobals = null;
+    this.messageHandlers = new Map();
+  }
+
+  // load recordings: a yyyy-mm-dd is a day under the recording dir, anything else a file or directory path
+  // (plain .jsonl files in the same record layout, e.g. imported history, load alongside gzipped ones)
+  load(targets) {
+    const files = targets.flatMap(target => this.resolveFiles(target));
+
+    for (const filePath of files) {
+      const contents = fs.readFileSync(filePath);
+      const lines = (filePath.endsWith('.gz') ? zlib.gunzipSync(contents) : contents).toString().split('\n');
+
+      for (const line of lines) {
+        if (!line.trim()) continue;
+        try {
+          this.records.push(JSON.parse(line));
+        } catch (error) {
+          // a crash can cut the last line of a recording short
+          logger.warn('Skipping unreadable recording line', { filePath, error: error.message });
+        }
+      }
+    }
+
+    // sort is stable, so messages received in the same millisecond keep their file order
+    this.records.sort((a, b) => a.receivedAt - b.receivedAt);
+    this.clock = this.records[0]?.receivedAt ?? Date.now();
+    this.indexResponses();
+
+    logger.info('Loaded feed recordings', { files: files.length, records: this.records.length });
+    return this.records.length;
+  }
+
+  resolveFiles(target) {
+    const resolved = DAY_PATTERN.test(target) ? path.join(this.dir, target) : path.resolve(target);
+
+    if (!fs.existsSync(resolved)) {
+      throw new Error(`No recording found at ${resolved}`);
+    }
+    if (fs.statSync(resolved).isDirectory()) {
+      return fs.readdirSync(resolved)
+        .filter(name => name.endsWith('.jsonl.gz') || name.endsWith('.jsonl'))
+        .sort()
+        .map(name => path.join(resolved, name));
+    }
+    return [resolved];
+  }
+
+  // http responses are looked up by request rather than played as events
+  indexResponses() {
+    this.responses.clear();
+
+    for (const record of this.records) {
+      if (!record.data?.url) continue;
+
+      const key = this.responseKey(record.source, record.data.url, record.data.params);
+      if (!this.responses.has(key)) {
+        this.responses.set(key, []);
+      }
+      this.responses.get(key).push({ receivedAt: record.receivedAt, response: record.data.response });
+    }
+  }
+
+  responseKey(source, url, params) {
+    return `${source} ${url} ${JSON.stringify(params || null)}`;
+  }
+
+  // the last response recorded by the replay time, or the first one for requests made before it was recorded
+  lookupResponse(source, url, params) {
+    const responses = this.responses.get(this.responseKey(source, url, params));
+    if (!responses) return undefined;
+
+    let match = responses[0];
+    for (const entry of responses) {
+      if (entry.receivedAt > this.clock) break;
+      match = entry;
+    }
+    return match.response;
+  }
+
+  // answer an axios client's requests from the recording instead of the network
+  attachHttp(client, source) {
+    client.defaults.adapter = async (request) => {
+      const response = this.lookupResponse(source, request.url, request.params);
+
+      if (response === undefined) {
+        throw new Error(`No recorded ${source} response for ${request.url}`);
+      }
+      return { data: response, status: 200, statusText: 'OK', headers: {}, config: request, request: {} };
+    };
+  }
+
+  // route Date and timers through the replay clock, so bot schedules and timestamps follow the recording
+  useVirtualClock() {
+    if (this.realGlobals) return;
+
+    const replay = this;
+    const RealDate = Date;
+    this.realGlobals = {
+      Date,
+      setTimeout: globalThis.setTimeout,
+      setInterval: globalThis.setInterval,
+      clearTimeout: globalThis.clearTimeout,
+      clearInterval: globalThis.clearInterval
+    };
+
+    globalThis.Date = class extends RealDate {
+      constructor(...args) {
+        super(...(args.length > 0 ? args : [replay.clock]));
+      }
+
+      static now() {
+        return replay.clock;
+      }
+    };
+    globalThis.setTimeout = (handler, delay = 0, ...args) => this.addTimer(handler, delay, null, args);
+    globalThis.setInterval = (handler, delay = 0, ...args) => this.addTimer(handler, delay, delay, args);
+    globalThis.clearTimeout = (timer) => this.timers.delete(timer?.id ?? timer);
+    globalThis.clearInterval = globalThis.clearTimeout;
+  }
+
+  restoreClock() {
+    if (!this.realGlobals) return;
+
+    Object.assign(globalThis, this.realGlobals);
+    this.realGlobals = null;
+    this.timers.clear();
+  }
+
+  addTimer(handler, delay, interval, args) {
+    const id = ++this.timerSequence;
+    const timer = {
+      id,
+      at: this.clock + Math.max(Number(delay) || 0, 0),
+      interval: interval === null ? null : Math.max(Number(interval) || 0, 1),
+      handler,
+      args
+    };
+    this.timers.set(id, timer);
+
+    // same surface as node timeout objects for callers that unref them
+    return { id, ref() { return this; }, unref() { return this; }, hasRef: () => true, [Symbol.toPrimitive]: () => id };
+  }
+
+  nextTimer() {
+    let next = null;
+    for (const timer of this.timers.values()) {
+      if (!next || timer.at < next.at || (timer.at === next.at && timer.id < next.id)) {
+        next = timer;
+      }
+    }
+    return next;
+  }
+
+  runTimer(timer) {
+    if (timer.interval === null) {
+      this.timers.delete(timer.id);
+    } else {
+      timer.at += timer.interval;
+    }
+
+    try {
+      timer.handler(...timer.args);
+    } catch (error) {
+      logger.error('Error in replayed timer', { error: error.message });
+    }
+  }
+
+  // play every record, firing virtual timers that fall due in between
+  async play() {
+    this.isPlaying = true;
+    logger.info('Replaying feeds', { records: this.records.length - this.position, speed: this.speed });
+
+    while (this.isPlaying && this.position < this.records.length) {
+      const record = this.records[this.position++];
+
+      await this.advanceTo(record.receivedAt);
+      if (!record.data?.url) {
+        this.emit(record.source, record);
+      }
+      await this.settle();
+      this.emit('played', record);
+    }
+
+    this.isPlaying = false;
+    this.emit('end', this.getStatus());
+    logger.info('Replay finished', this.getStatus());
+  }
+
+  stop() {
+    this.isPlaying = false;
+  }
+
+  // move the clock to `time`, running due timers and waiting at the replay speed
+  async advanceTo(time) {
+    for (;;) {
+      const timer = this.nextTimer();
+      const due = timer && timer.at <= time;
+      const target = due ? timer.at : time;
+
+      await this.wait(target - this.clock);
+      this.clock = Math.max(this.clock, target);
+
+      if (!due) return;
+      this.runTimer(timer);
+      await this.settle();
+    }
+  }
+
+  wait(milliseconds) {
+    if (!(this.speed > 0) || milliseconds <= 0) {
+      return Promise.resolve();
+    }
+    return new Promise(resolve => this.realTimers.setTimeout(resolve, milliseconds / this.speed));
+  }
+
+  // let the promise chains started by the last event finish before the next one
+  settle() {
+    return new Promise(resolve => this.realTimers.setImmediate(resolve));
+  }
+
+  // event emitter functionality
+  on(event, handler) {
+    if (!this.messageHandlers.has(event)) {
+      this.messageHandlers.set(event, []);
+    }
+    this.messageHandlers.get(event).push(handler);
+  }
+
+  emit(event, data) {
+    const handlers = this.messageHandlers.get(event) || [];
+    handlers.forEach(handler => {
+      try {
+        handler(data);
+      } catch (error) {
+        logger.error('Error in event handler', { event, error: error.message });
+      }
+    });
+  }
+
+  getStatus() {
+    return {
+      records: this.records.length,
+      played: this.position,
+      clock: this.clock,
+      speed: this.speed,
+      isPlaying: this.isPlaying
+    };
+  }
+}
+
+export default FeedReplay;
@@ -0,0 +1,167 @@
+import config from '../config/config.js';
+import logger from '../utils/logger.js';
+
+// parse a game clock given as seconds or mm:ss (null when unknown)
+export function parseClock(value) {
+  if (value === null || value === undefined || value === '') return null;
+  if (typeof value === 'number') return value;
+
+  const match = String(value).match(/^(\d+):(\d{2})$/);
+  if (match) {
+    return parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+  }
+
+  const seconds = parseFloat(value);
+  return Number.isFinite(seconds) ? seconds : null;
+}
+
+// live score, period, clock and situation per game key, with a cooldown after every goal
+export class GameStateStore {
+  constructor() {
+    this.states = new Map(); // Store game states by game key
+    this.source = config.GAME_STATE_SOURCE;
+    this.goalCooldown = config.GOAL_COOLDOWN * 1000;
+    this.messageHandlers = new Map();
+  }
+
+  // merge new fields into a game's state, detecting goals and the final horn
+  update(gameKey, fields, source, now = Date.now()) {
+    const previous = this.states.get(gameKey);
+    const defined = Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined));
+    const state = {
+      homeScore: 0,
+      awayScore: 0,
+      period: null,
+      periodType: null,
+      clockRemaining: null,
+      inIntermission: false,
+      powerPlay: null,
+      homeEmptyNet: false,
+      awayEmptyNet: false,
+      review: false,
+      live: false,
+      final: false,
+      lastGoalAt: null,
+      lastGoalTeam: null,
+      ...previous,
+      ...defined,
+      gameKey,
+      source,
+      updatedAt: now
+    };
+
+    // the first update only sets the baseline, later score changes are goals (or overturned goals)
+    if (previous) {
+      const homeChange = state.homeScore - previous.homeScore;
+      const awayChange = state.awayScore - previous.awayScore;
+
+      if (homeChange !== 0 || awayChange !== 0) {
+        state.lastGoalAt = now;
+        state.lastGoalTeam = homeChange > 0 ? 'home' : awayChange > 0 ? 'away' : null;
+
+        logger.info(homeChange < 0 || awayChange < 0 ? 'Goal overturned' : 'Goal scored', {
+          gameKey,
+          score: `${state.homeScore}-${state.awayScore}`,
+          period: state.period,
+          clockRemaining: state.clockRemaining
+        });
+        this.emit('goal', { ...state });
+      }
+
+      if (state.final && !previous.final) {
+        logger.info('Game final', { gameKey, score: `${state.homeScore}-${state.awayScore}` });
+        this.emit('final', { ...state });
+      }
+    }
+
+    this.states.set(gameKey, state);
+    return state;
+  }
+
+  // game state fields carried by a boltodds message (null when it has none)
+  fromBoltOdds(data) {
+    const score = data.score || {};
+    const status = String(data.status ?? data.game_status ?? '').toLowerCase();
+    const fields = {
+      homeScore: this.toNumber(data.home_score ?? score.home),
+      awayScore: this.toNumber(data.away_score ?? score.away),
+      period: this.toNumber(data.period),
+      clockRemaining: parseClock(data.clock ?? data.time_remaining) ?? undefined,
+      inIntermission: data.intermission ?? (status ? status.includes('intermission') : undefined),
+      powerPlay: data.power_play,
+      homeEmptyNet: data.home_empty_net,
+      awayEmptyNet: data.away_empty_net,
+      review: data.review ?? data.under_review,
+      live: status ? /live|progress|intermission/.test(status) : undefined,
+      final: status ? status.includes('final') : undefined
+    };
+
+    return Object.values(fields).some(value => value !== undefined) ? fields : null;
+  }
+
+  toNumber(value) {
+    if (value === null || value === undefined || value === '') return undefined;
+    const number = parseInt(value, 10);
+    return Number.isFinite(number) ? number : undefined;
+  }
+
+  getState(gameKey) {
+    return this.states.get(gameKey) || null;
+  }
+
+  removeGame(gameKey) {
+    this.states.delete(gameKey);
+  }
+
+  // why new trades on a game must wait (goal review, fresh goal, final), or null
+  getTradingBlock(gameKey, now = Date.now()) {
+    const state = this.states.get(gameKey);
+    if (!state) return null;
+
+    if (state.final) {
+      return 'Game is final';
+    }
+
+    if (state.review) {
+      return 'Goal under review';
+    }
+
+    // books take a moment to reprice after a goal
+    if (state.lastGoalAt && now - state.lastGoalAt < this.goalCooldown) {
+      return `Goal ${Math.round((now - state.lastGoalAt) / 1000)}s ago (cooldown ${this.goalCooldown / 1000}s)`;
+    }
+
+    return null;
+  }
+
+  // event emitter functionality
+  on(event, handler) {
+    if (!this.messageHandlers.has(event)) {
+      this.messageHandlers.set(event, []);
+    }
+    this.messageHandlers.get(event).push(handler);
+  }
+
+  emit(event, data) {
+    const handlers = this.messageHandlers.get(event) || [];
+    handlers.forEach(handler => {
+      try {
+        handler(data);
+      } catch (error) {
+        logger.error('Error in event handler', { event, error: error.message });
+      }
+    });
+  }
+
+  // get game state status for the cli
+  getStatus() {
+    const states = Array.from(this.states.values());
+    return {
+      source: this.source,
+      games: states.length,
+      live: states.filter(state => state.live && !state.final).length
+    };
+  }
+}
+
+export default GameStateStore;
@@ -0,0 +1,230 @@
+import config from '../config/config.js';
+import logger from '../utils/logger.js';
+import { resolveTeam, findTeamsInText } from '../utils/nhlTeams.js';
+
+export class MarketDiscovery {
+  constructor(polymarketClient, oddsComparison, marketFeed = null, isHeld = () => false) {
+    this.polymarketClient = polymarketClient;
+    this.oddsComparison = oddsComparison;
+    this.marketFeed = marketFeed; // Optional live feed that follows every discovered token
+    this.isHeld = isHeld; // Whether a position is still open on a token, its closed market is kept until it settles
+    this.markets = new Map(); // Store discovered markets by condition id
+    this.searchedGames = new Set(); // Games already searched after a gameAdded event
+    this.searchQuery = config.MARKET_DISCOVERY_QUERY;
+    this.refreshInterval = config.MARKET_DISCOVERY_INTERVAL * 1000;
+    this.refreshTimer = null;
+    this.lastRefresh = null;
+  }
+
+  // run an initial discovery pass and schedule periodic refreshes
+  async start() {
+    await this.refresh();
+
+    this.refreshTimer = setInterval(() => {
+      this.refresh().catch((error) => {
+        logger.error('Error in scheduled market discovery', { error: error.message });
+      });
+    }, this.refreshInterval);
+  }
+
+  // stop scheduled refreshes
+  stop() {
+    if (this.refreshTimer) {
+      clearInterval(this.refreshTimer);
+      this.refreshTimer = null;
+    }
+  }
+
+  // search for nhl markets and refresh prices for every known market
+  async refresh() {
+    try {
+      const found = await this.searchAndRegister(this.searchQuery);
+
+      for (const marketId of this.markets.keys()) {
+        await this.refreshMarket(marketId);
+      }
+
+      this.lastRefresh = Date.now();
+      logger.info('Polymarket market discovery completed', {
+        found,
+        knownMarkets: this.markets.size
+      });
+
+    } catch (error) {
+      logger.error('Error refreshing Polymarket markets', { error: error.message });
+    }
+  }
+
+  // look up markets for a newly added boltodds game
+  async discoverForGame(gameData) {
+    const gameKey = this.oddsComparison.createGameKey(gameData);
+
+    if (this.searchedGames.has(gameKey)) {
+      return 0;
+    }
+    this.searchedGames.add(gameKey);
+
+    let found = 0;
+    for (const team of [gameData.home_team, gameData.away_team]) {
+      if (team) {
+        found += await this.searchAndRegister(team, gameData);
+      }
+    }
+
+    logger.info('Market discovery for new game completed', { gameKey, found });
+    return found;
+  }
+
+  // run a search and register every nhl market in the results
+  async searchAndRegister(query, gameData = null) {
+    try {
+      const response = await this.polymarketClient.searchMarkets(query);
+      let registered = 0;
+
+      for (const market of this.extractMarkets(response)) {
+        const isRelevant = gameData
+          ? this.mentionsGame(market, gameData)
+          : this.isNhlMarket(market);
+
+        if (isRelevant && this.registerMarket(market)) {
+          registered++;
+        }
+      }
+
+      return registered;
+
+    } catch (error) {
+      logger.error('Error searching Polymarket markets', { query, error: error.message });
+      return 0;
+    }
+  }
+
+  // fetch the latest state of a known market and publish its prices
+  async refreshMarket(marketId) {
+    try {
+      const market = await this.polymarketClient.getMarket(marketId);
+      this.registerMarket(market);
+    } catch (error) {
+      logger.warn('Failed to refresh Polymarket market', { marketId, error: error.message });
+    }
+  }
+
+  // store a market and push its token prices into odds comparison
+  registerMarket(market) {
+    const marketId = market?.condition_id;
+    const tokens = market?.tokens || [];
+
+    if (!marketId || tokens.length === 0) {
+      return false;
+    }
+
+    // a closed market stays known, without trading, while settlement still needs its id
+    const closed = Boolean(market.closed || market.active === false);
+    if (closed && !tokens.some(token => this.isHeld(token.token_id))) {
+      this.unregisterMarket(marketId);
+      return false;
+    }
+
+    const known = this.markets.get(marketId);
+    const isNew = !known;
+    this.markets.set(marketId, {
+      marketId,
+      closed,
+      question: market.question,
+      slug: market.market_slug,
+      gameStartTime: market.game_start_time || null,
+      endDate: market.end_date_iso || null,
+      tokenIds: tokens.map(token => token.token_id)
+    });
+
+    for (const token of tokens) {
+      const complement = tokens.find(other => other.token_id !== token.token_id);
+      const price = parseFloat(token.price);
+
+      this.oddsComparison.updatePolymarketData(token.token_id, {
+        marketId,
+        question: market.question,
+        slug: market.market_slug,
+        outcome: token.outcome,
+        closed,
+        ...(Number.isFinite(price) && !this.isStreamed(token.token_id) ? { price } : {}),
+        complementTokenId: complement?.token_id || null,
+        gameStartTime: market.game_start_time || null,
+        endDate: market.end_date_iso || null
+      });
+    }
+
+    if (closed && known && !known.closed) {
+      this.marketFeed?.unsubscribe(known.tokenIds);
+      logger.info('Polymarket market closed, kept until its positions settle', { marketId });
+    }
+
+    if (isNew && !closed) {
+      this.marketFeed?.subscribe(tokens.map(token => token.token_id));
+      logger.info('Discovered Polymarket NHL market', {
+        marketId,
+        question: market.question,
+        tokens: tokens.length
+      });
+    }
+
+    return isNew;
+  }
+
+  // whether a token's price comes from the live market feed, which is newer than any rest snapshot
+  isStreamed(tokenId) {
+    return Boolean(this.marketFeed?.isConnected && this.marketFeed.books.has(tokenId)
+      && this.oddsComparison.polymarketData.get(tokenId)?.price !== undefined);
+  }
+
+  // forget a market that has closed
+  unregisterMarket(marketId) {
+    const known = this.markets.get(marketId);
+    if (!known) return;
+
+    for (const tokenId of known.tokenIds) {
+      this.oddsComparison.removePolymarketData(tokenId);
+    }
+    this.marketFeed?.unsubscribe(known.tokenIds);
+    this.markets.delete(marketId);
+
+    logger.info('Polymarket market closed, removed from tracking', { marketId });
+  }
+
+  // normalize search responses (paginated object or bare array)
+  extractMarkets(response) {
+    if (Array.isArray(response)) return response;
+    if (Array.isArray(response?.data)) return response.data;
+    return [];
+  }
+
+  // check whether a market is tagged or titled as nhl
+  isNhlMarket(market) {
+    const tags = (market.tags || []).map(tag => String(tag).toLowerCase());
+    if (tags.includes('nhl')) return true;
+
+    const text = `${market.question || ''} ${market.market_slug || ''}`;
+    return /\bnhl\b/i.test(text);
+  }
+
+  // check whether a market mentions both teams of a game
+  mentionsGame(market, gameData) {
+    const mentioned = [
+      ...findTeamsInText(market.question),
+      ...findTeamsInText(market.market_slug, { includeAbbreviations: true })
+    ].map(team => team.abbreviation);
+
+    return [gameData.home_team, gameData.away_team]
+      .every(name => mentioned.includes(resolveTeam(name)?.abbreviation));
+  }
+
+  // get discovery status
+  getStatus() {
+    return {
+      knownMarkets: this.markets.size,
+      lastRefresh: this.lastRefresh
+    };
+  }
+}
+
+export default MarketDiscovery;
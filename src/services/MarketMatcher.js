@@ -0,0 +1,216 @@
+import { resolveTeam, findTeamsInText, getTeam } from '../utils/nhlTeams.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export class MarketMatcher {
+  constructor() {
+    // boltodds dates are local while polymarket start times are utc, so allow a day of drift
+    this.dateToleranceDays = 1;
+  }
+
+  // map a polymarket token to one boltodds game and team
+  match(polyData, games) {
+    const market = this.describeMarket(polyData);
+
+    if (market.teams.length === 0) {
+      return { status: 'unmatched', reason: 'No NHL teams recognised in market' };
+    }
+
+    let candidates = games
+      .map(([gameKey, boltData]) => this.describeGame(gameKey, boltData))
+      .filter(game => game.home && game.away)
+      .filter(game => market.teams.every(team => team === game.home || team === game.away));
+
+    if (candidates.length === 0) {
+      return {
+        status: 'unmatched',
+        reason: `No BoltOdds game found for ${market.teams.join(' / ')}`
+      };
+    }
+
+    if (market.date) {
+      candidates = candidates
+        .map(game => ({ ...game, dateDiff: this.daysBetween(market.date, game.date) }))
+        .filter(game => game.dateDiff === null || game.dateDiff <= this.dateToleranceDays);
+
+      if (candidates.length === 0) {
+        return {
+          status: 'unmatched',
+          reason: `No BoltOdds game for ${market.teams.join(' / ')} on ${market.date}`
+        };
+      }
+
+      // prefer the game closest to the market start date
+      const closest = Math.min(...candidates.map(game => game.dateDiff ?? Infinity));
+      candidates = candidates.filter(game => (game.dateDiff ?? Infinity) === closest);
+    }
+
+    if (candidates.length > 1) {
+      return {
+        status: 'ambiguous',
+        reason: `Market matches ${candidates.length} BoltOdds games`,
+        candidates: candidates.map(game => game.gameKey)
+      };
+    }
+
+    const game = candidates[0];
+
+    // totals pay on over/under rather than on a team
+    if (market.marketType === 'total') {
+      const selection = this.resolveTotalSelection(market);
+
+      if (!selection || market.line === null) {
+        return {
+          status: 'ambiguous',
+          reason: `Cannot tell which side of the total token outcome "${polyData.outcome}" represents`,
+          candidates: [game.gameKey]
+        };
+      }
+
+      return {
+        status: 'matched',
+        gameKey: game.gameKey,
+        marketType: 'total',
+        line: market.line,
+        selection,
+        team: null,
+        teamName: null,
+        side: null,
+        label: `${selection} ${market.line}`,
+        outcome: polyData.outcome
+      };
+    }
+
+    const team = this.resolveTokenTeam(market, game);
+
+    if (!team || (market.marketType === 'spread' && market.line === null)) {
+      return {
+        status: 'ambiguous',
+        reason: `Cannot tell which team token outcome "${polyData.outcome}" represents`,
+        candidates: [game.gameKey]
+      };
+    }
+
+    const teamName = getTeam(team).name;
+
+    // a spread question quotes the line of the first team named, the other team gets the opposite line
+    const line = market.marketType === 'spread'
+      ? (team === market.teams[0] ? market.line : -market.line)
+      : null;
+
+    return {
+      status: 'matched',
+      gameKey: game.gameKey,
+      marketType: market.marketType,
+      line,
+      selection: teamName,
+      team,
+      teamName,
+      side: team === game.home ? 'home' : 'away',
+      label: line === null ? teamName : `${teamName} ${line > 0 ? '+' : ''}${line}`,
+      outcome: polyData.outcome
+    };
+  }
+
+  // extract teams, token team and start date from polymarket data
+  describeMarket(polyData) {
+    const questionTeams = findTeamsInText(polyData.question);
+    const slugTeams = findTeamsInText(polyData.slug, { includeAbbreviations: true });
+    const teams = questionTeams.length > 0 ? questionTeams : slugTeams;
+
+    return {
+      ...this.parseMarketType(polyData.question),
+      teams: [...new Set(teams.map(team => team.abbreviation))],
+      outcomeTeam: resolveTeam(polyData.outcome)?.abbreviation || null,
+      outcome: polyData.outcome,
+      question: polyData.question,
+      outcomeAnswer: this.parseYesNo(polyData.outcome),
+      date: this.extractDate(polyData.gameStartTime)
+        || this.extractDate(polyData.slug)
+        || this.extractDate(polyData.endDate)
+    };
+  }
+
+  // extract teams and date from a boltodds game
+  describeGame(gameKey, boltData) {
+    const resolve = (name) => (resolveTeam(name) || findTeamsInText(name)[0])?.abbreviation || null;
+
+    return {
+      gameKey,
+      home: resolve(boltData.home_team),
+      away: resolve(boltData.away_team),
+      date: this.extractDate(boltData.game)
+    };
+  }
+
+  // work out which team a token pays out on
+  resolveTokenTeam(market, game) {
+    // team-named outcome, e.g. "Maple Leafs"
+    if (market.outcomeTeam) {
+      return [game.home, game.away].includes(market.outcomeTeam) ? market.outcomeTeam : null;
+    }
+
+    // yes/no outcome on "Will <team> beat <team>?", the first team named is the subject
+    if (market.outcomeAnswer !== null) {
+      const subject = market.teams[0];
+      const opponent = subject === game.home ? game.away : game.home;
+      return market.outcomeAnswer ? subject : opponent;
+    }
+
+    return null;
+  }
+
+  // detect moneyline, spread (puck line) or total markets and their line from the question
+  parseMarketType(question) {
+    const text = String(question || '');
+
+    if (/spread|puck ?line/i.test(text)) {
+      const match = text.match(/\(?\s*([-+]\d+(?:\.\d+)?)\s*\)?/);
+      return { marketType: 'spread', line: match ? parseFloat(match[1]) : null };
+    }
+
+    if (/o\/u|over\/under|total|over \d|under \d/i.test(text)) {
+      const match = text.match(/(?:o\/u|over\/under|over|under|total(?: goals)?)\s*:?\s*(\d+(?:\.\d+)?)/i);
+      return { marketType: 'total', line: match ? parseFloat(match[1]) : null };
+    }
+
+    return { marketType: 'moneyline', line: null };
+  }
+
+  // work out whether a totals token pays on over or under
+  resolveTotalSelection(market) {
+    const label = String(market.outcome || '').trim().toLowerCase();
+    if (label === 'over') return 'Over';
+    if (label === 'under') return 'Under';
+
+    // yes/no on "Will ... score over 6.5 goals?"
+    if (market.outcomeAnswer !== null) {
+      const asksUnder = /\bunder\b/i.test(market.question || '') && !/\bover\b/i.test(market.question || '');
+      return market.outcomeAnswer !== asksUnder ? 'Over' : 'Under';
+    }
+
+    return null;
+  }
+
+  // parse a yes/no outcome label (null when it is neither)
+  parseYesNo(outcome) {
+    const label = String(outcome || '').trim().toLowerCase();
+    if (label === 'yes') return true;
+    if (label === 'no') return false;
+    return null;
+  }
+
+  // find a yyyy-mm-dd date inside a string
+  extractDate(text) {
+    const match = String(text || '').match(/(\d{4})-(\d{2})-(\d{2})/);
+    return match ? match[0] : null;
+  }
+
+  // whole days between two yyyy-mm-dd dates (null when either is unknown)
+  daysBetween(a, b) {
+    if (!a || !b) return null;
+    return Math.abs(Date.parse(a) - Date.parse(b)) / DAY_MS;
+  }
+}
+
+export default MarketMatcher;
@@ -0,0 +1,96 @@
+import axios from 'axios';
+import config from '../config/config.js';
+import logger from '../utils/logger.js';
+import { parseClock } from './GameStateStore.js';
+
+const LIVE_STATES = ['LIVE', 'CRIT'];
+const FINAL_STATES = ['FINAL', 'OFF'];
+
+// polls the public nhl scoreboard for games boltodds does not report state for
+export class NhlScoreSource {
+  constructor(recorder = null) {
+    this.client = axios.create({
+      baseURL: config.NHL_API_URL,
+      timeout: 10000
+    });
+    recorder?.attachHttp(this.client, 'nhl-scoreboard', ['/score']);
+    this.pollInterval = config.GAME_STATE_POLL_INTERVAL * 1000;
+    this.pollTimer = null;
+    this.lastPoll = null;
+    this.messageHandlers = new Map();
+  }
+
+  // poll straight away and then on a schedule
+  start() {
+    this.poll();
+    this.pollTimer = setInterval(() => this.poll(), this.pollInterval);
+  }
+
+  stop() {
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+  }
+
+  // fetch today's scoreboard and emit the state of every game on it
+  async poll() {
+    try {
+      const response = await this.client.get('/score/now');
+
+      for (const game of response.data?.games || []) {
+        this.emit('gameState', this.parseGame(game));
+      }
+
+      this.lastPoll = Date.now();
+    } catch (error) {
+      logger.error('Error polling NHL scoreboard', { error: error.message });
+    }
+  }
+
+  // map one scoreboard game to team abbreviations and game state fields
+  parseGame(game) {
+    const home = game.situation?.homeTeam?.situationDescriptions || [];
+    const away = game.situation?.awayTeam?.situationDescriptions || [];
+
+    return {
+      homeTeam: game.homeTeam?.abbrev,
+      awayTeam: game.awayTeam?.abbrev,
+      startTime: game.startTimeUTC || null,
+      state: {
+        homeScore: game.homeTeam?.score ?? 0,
+        awayScore: game.awayTeam?.score ?? 0,
+        period: game.periodDescriptor?.number ?? game.period ?? null,
+        periodType: game.periodDescriptor?.periodType ?? null,
+        clockRemaining: game.clock?.secondsRemaining ?? parseClock(game.clock?.timeRemaining),
+        inIntermission: Boolean(game.clock?.inIntermission),
+        powerPlay: home.includes('PP') ? 'home' : away.includes('PP') ? 'away' : null,
+        homeEmptyNet: home.includes('EN'),
+        awayEmptyNet: away.includes('EN'),
+        live: LIVE_STATES.includes(game.gameState),
+        final: FINAL_STATES.includes(game.gameState)
+      }
+    };
+  }
+
+  // event emitter functionality
+  on(event, handler) {
+    if (!this.messageHandlers.has(event)) {
+      this.messageHandlers.set(event, []);
+    }
+    this.messageHandlers.get(event).push(handler);
+  }
+
+  emit(event, data) {
+    const handlers = this.messageHandlers.get(event) || [];
+    handlers.forEach(handler => {
+      try {
+        handler(data);
+      } catch (error) {
+        logger.error('Error in event handler', { event, error: error.message });
+      }
+    });
+  }
+}
+
+export default NhlScoreSource;
@@ -1,37 +1,183 @@
 import logger from '../utils/logger.js';
 import config from '../config/config.js';
+import MarketMatcher from './MarketMatcher.js';
+import WinProbabilityModel from './WinProbabilityModel.js';
+import { loadStrategies } from '../strategies/index.js';
+import { resolveTeam, getTeam } from '../utils/nhlTeams.js';
+import { devig } from '../utils/devig.js';
 
 export class OddsComparison {
-  constructor() {
-    this.boltOddsData = new Map(); // Store BoltOdds data by game
+  constructor(gameStateStore = null, strategies = loadStrategies()) {
+    this.gameStateStore = gameStateStore; // Optional live score, period and clock per game
+    this.strategies = strategies; // Strategies that turn comparisons into trade signals
+    this.boltOddsData = new Map(); // Store BoltOdds data by game, with lines kept per sportsbook
     this.polymarketData = new Map(); // Store Polymarket data by token
-    this.valueThreshold = config.MIN_VALUE_THRESHOLD;
+    this.unmatchedMarkets = new Map(); // Polymarket tokens that could not be tied to one game
+    this.marketMatcher = new MarketMatcher();
+    this.winProbabilityModel = new WinProbabilityModel();
+    this.pregameProbabilities = new Map(); // Last home moneyline fair probability before each game went live
+    this.modelBlendWeight = config.MODEL_BLEND_WEIGHT;
+    this.devigMethod = config.DEVIG_METHOD;
+    this.consensusMethod = config.CONSENSUS_METHOD;
+    this.maxBookAge = config.MAX_REFERENCE_AGE * 1000;
+    this.bookWeights = this.parseBookWeights(config.BOOK_WEIGHTS);
   }
 
-  // update boltodds data for a specific game
-  updateBoltOddsData(gameData) {
+  // update boltodds data for a specific game and sportsbook (replace drops that book's previous lines)
+  updateBoltOddsData(gameData, { replace = false } = {}) {
     const gameKey = this.createGameKey(gameData);
-    this.boltOddsData.set(gameKey, {
-      ...gameData,
-      timestamp: Date.now()
-    });
+    const now = Date.now();
+    const { outcomes, sportsbook, ...gameFields } = gameData;
+    const book = sportsbook || 'unknown';
+    
+    const entry = this.boltOddsData.get(gameKey) || { books: new Map() };
+    Object.assign(entry, gameFields, { timestamp: now });
+    this.boltOddsData.set(gameKey, entry);
+    
+    // a game update with only the score or clock merges its game state and keeps the book's lines
+    const hasOutcomes = Object.keys(outcomes || {}).length > 0;
+    if ((replace && hasOutcomes) || !entry.books.has(book)) {
+      entry.books.set(book, new Map());
+    }
+    const lines = entry.books.get(book);
+    
+    for (const [outcomeKey, outcome] of Object.entries(outcomes || {})) {
+      // a line without odds has been pulled by the book
+      if (!outcome || outcome.odds === null || outcome.odds === undefined || outcome.odds === '') {
+        lines.delete(outcomeKey);
+      } else {
+        lines.set(outcomeKey, { ...outcome, sportsbook: book, timestamp: now });
+      }
+    }
     
     logger.debug('Updated BoltOdds data', { 
       gameKey,
-      outcomes: Object.keys(gameData.outcomes || {})
+      sportsbook: book,
+      outcomes: Object.keys(outcomes || {})
     });
   }
 
-  // update polymarket data for a specific token
+  // when each sportsbook last updated a game, and the newest update overall
+  getGameFreshness(gameKey, now = Date.now()) {
+    const entry = this.boltOddsData.get(gameKey);
+    if (!entry) return null;
+    
+    const books = Array.from(entry.books.entries())
+      .filter(([, lines]) => lines.size > 0)
+      .map(([sportsbook, lines]) => {
+        const updatedAt = this.bookUpdatedAt(lines);
+        return { sportsbook, updatedAt, stale: now - updatedAt > this.maxBookAge };
+      });
+    
+    return {
+      gameKey,
+      books,
+      staleBooks: books.filter(book => book.stale).length,
+      newestLineAt: books.length > 0 ? Math.max(...books.map(book => book.updatedAt)) : null
+    };
+  }
+
+  // newest line timestamp of one sportsbook's lines for a game
+  bookUpdatedAt(lines) {
+    return Math.max(...Array.from(lines.values()).map(line => line.timestamp || 0));
+  }
+
+  // drop every line from a sportsbook after a book_clear event
+  clearSportsbook(sportsbook) {
+    let cleared = 0;
+    
+    for (const entry of this.boltOddsData.values()) {
+      if (entry.books.delete(sportsbook)) {
+        cleared++;
+      }
+    }
+    
+    logger.info('Cleared sportsbook lines', { sportsbook, games: cleared });
+    return cleared;
+  }
+
+  // parse "pinnacle:3,circa:2" into a map of lowercase sportsbook -> weight
+  parseBookWeights(value) {
+    const weights = new Map();
+    
+    for (const pair of (value || '').split(',')) {
+      const [book, weight] = pair.split(':').map(part => part.trim());
+      if (book && !Number.isNaN(parseFloat(weight))) {
+        weights.set(book.toLowerCase(), parseFloat(weight));
+      }
+    }
+    
+    return weights;
+  }
+
+  // get the consensus weight for a sportsbook (unlisted books weigh 1)
+  getBookWeight(sportsbook) {
+    return this.bookWeights.get(String(sportsbook).toLowerCase()) ?? 1;
+  }
+
+  // update polymarket data for a specific token, keeping fields the update does not carry
+  // (only a quote restamps the token, so a metadata refresh cannot make an old price look fresh)
   updatePolymarketData(tokenId, marketData) {
+    const previous = this.polymarketData.get(tokenId);
+    const quoted = ['price', 'bestBid', 'bestAsk'].some(field => marketData[field] !== undefined);
+    
     this.polymarketData.set(tokenId, {
+      ...previous,
       ...marketData,
-      timestamp: Date.now()
+      timestamp: quoted || !previous ? Date.now() : previous.timestamp
     });
     
     logger.debug('Updated Polymarket data', { tokenId });
   }
 
+  // the other token of tokenId's binary market, found from whichever side is known
+  findComplementTokenId(tokenId) {
+    const own = this.polymarketData.get(tokenId)?.complementTokenId;
+    if (own) return own;
+    
+    for (const [otherId, data] of this.polymarketData.entries()) {
+      if (data.complementTokenId === tokenId) return otherId;
+    }
+    return null;
+  }
+
+  // polymarket market (condition id) of a token, found through its complement when only that one is tracked
+  getMarketId(tokenId) {
+    const data = this.polymarketData.get(tokenId) ?? this.polymarketData.get(this.findComplementTokenId(tokenId));
+    return data?.marketId ?? null;
+  }
+
+  // best bid and ask of a token, mirrored from the other token of its market when only that side has a book
+  getTokenQuote(tokenId) {
+    const hasBook = (data) => (data?.bestBid ?? data?.bestAsk ?? null) !== null;
+    const own = this.polymarketData.get(tokenId);
+    
+    if (hasBook(own)) {
+      return { bestBid: own.bestBid ?? null, bestAsk: own.bestAsk ?? null, price: own.price ?? null, gameStartTime: own.gameStartTime ?? null, derived: false };
+    }
+    
+    // a yes bid at p is a no ask at 1 - p, and the other way round
+    const other = this.polymarketData.get(this.findComplementTokenId(tokenId));
+    if (hasBook(other)) {
+      const mirror = (price) => (price === null || price === undefined ? null : 1 - price);
+      return {
+        bestBid: mirror(other.bestAsk),
+        bestAsk: mirror(other.bestBid),
+        price: mirror(other.bestBid ?? other.price),
+        gameStartTime: other.gameStartTime ?? null,
+        derived: true
+      };
+    }
+    
+    return own ? { bestBid: null, bestAsk: null, price: own.price ?? null, gameStartTime: own.gameStartTime ?? null, derived: false } : null;
+  }
+
+  // remove polymarket data for a token that is no longer tradable
+  removePolymarketData(tokenId) {
+    this.polymarketData.delete(tokenId);
+    this.unmatchedMarkets.delete(tokenId);
+  }
+
   // create a unique key for a game
   createGameKey(gameData) {
     return `${gameData.sport}_${gameData.home_team}_${gameData.away_team}_${gameData.game}`;
@@ -137,24 +283,98 @@ export class OddsComparison {
     return 1 / decimalOdds;
   }
 
-  // find matching markets between boltodds and polymarket
+  // find matching markets between boltodds and polymarket (each token maps to one game and team)
   findMatchingMarkets() {
     const matches = [];
+    const games = Array.from(this.boltOddsData.entries());
     
-    for (const [gameKey, boltData] of this.boltOddsData) {
-      const gameInfo = this.extractGameInfo(boltData);
+    for (const [tokenId, polyData] of this.polymarketData) {
+      const marketMatch = this.marketMatcher.match(polyData, games);
       
-      for (const [tokenId, polyData] of this.polymarketData) {
-        const match = this.compareMarkets(gameKey, boltData, tokenId, polyData);
-        if (match) {
-          matches.push(match);
-        }
+      if (marketMatch.status !== 'matched') {
+        this.reportUnmatchedMarket(tokenId, polyData, marketMatch);
+        continue;
+      }
+      this.unmatchedMarkets.delete(tokenId);
+      
+      const boltData = this.boltOddsData.get(marketMatch.gameKey);
+      const comparison = this.compareMarkets(marketMatch.gameKey, boltData, tokenId, polyData, marketMatch);
+      if (comparison) {
+        matches.push(comparison);
       }
     }
     
     return matches;
   }
 
+  // current consensus fair probability of a single token (null when it cannot be matched or priced)
+  getFairProbability(tokenId, { consensusOnly = false } = {}) {
+    const polyData = this.polymarketData.get(tokenId);
+    if (!polyData) return null;
+    
+    const marketMatch = this.marketMatcher.match(polyData, Array.from(this.boltOddsData.entries()));
+    if (marketMatch.status !== 'matched') return null;
+    
+    const boltData = this.boltOddsData.get(marketMatch.gameKey);
+    const comparison = this.compareMarkets(marketMatch.gameKey, boltData, tokenId, polyData, marketMatch);
+    if (!comparison) return null;
+    
+    const pricing = this.getBlendedProbability(comparison);
+    return consensusOnly ? pricing.bookProbability : pricing.fairProbability;
+  }
+
+  // fair probability of any token, priced as one minus its complement when it cannot be matched itself
+  // (consensusOnly leaves the live model out, to measure against the books alone)
+  getTokenFairProbability(tokenId, options = {}) {
+    const fairProbability = this.getFairProbability(tokenId, options);
+    if (fairProbability !== null) return fairProbability;
+    
+    const otherTokenId = this.findComplementTokenId(tokenId);
+    const otherFair = otherTokenId ? this.getFairProbability(otherTokenId, options) : null;
+    return otherFair === null ? null : 1 - otherFair;
+  }
+
+  // find the boltodds game between two teams given by abbreviation (null when there is none)
+  findGameKeyByTeams(homeTeam, awayTeam) {
+    for (const [gameKey, boltData] of this.boltOddsData.entries()) {
+      if (resolveTeam(boltData.home_team)?.abbreviation === homeTeam
+        && resolveTeam(boltData.away_team)?.abbreviation === awayTeam) {
+        return gameKey;
+      }
+    }
+    return null;
+  }
+
+  // record a token that could not be matched to exactly one game
+  reportUnmatchedMarket(tokenId, polyData, marketMatch) {
+    const previous = this.unmatchedMarkets.get(tokenId);
+    
+    this.unmatchedMarkets.set(tokenId, {
+      tokenId,
+      question: polyData.question,
+      outcome: polyData.outcome,
+      status: marketMatch.status,
+      reason: marketMatch.reason,
+      candidates: marketMatch.candidates || [],
+      timestamp: Date.now()
+    });
+    
+    // only log when a token is first reported or its reason changes
+    if (!previous || previous.reason !== marketMatch.reason) {
+      logger.warn(`Polymarket market ${marketMatch.status}`, {
+        tokenId,
+        question: polyData.question,
+        outcome: polyData.outcome,
+        reason: marketMatch.reason
+      });
+    }
+  }
+
+  // get tokens that are unmatched or ambiguous
+  getUnmatchedMarkets() {
+    return Array.from(this.unmatchedMarkets.values());
+  }
+
   // extract game information from boltodds data
   extractGameInfo(boltData) {
     return {
@@ -166,10 +386,8 @@ export class OddsComparison {
     };
   }
 
-  // compare a boltodds market with a polymarket token
-  compareMarkets(gameKey, boltData, tokenId, polyData) {
-    // this is a simplified matching logic - you may need to enhance this based on how polymarket structures their nhl markets
-    
+  // compare a boltodds market with the polymarket token matched to it
+  compareMarkets(gameKey, boltData, tokenId, polyData, marketMatch) {
     const gameInfo = this.extractGameInfo(boltData);
     
     // check if this is an nhl game and if the market description matches
@@ -177,22 +395,35 @@ export class OddsComparison {
       return null;
     }
 
-    // look for moneyline markets in boltodds
-    const moneylineOutcomes = this.findMoneylineOutcomes(boltData);
+    // find the consensus boltodds outcome for what this token pays out on
+    const reference = this.findReferenceOutcome(boltData, marketMatch);
     
-    if (moneylineOutcomes.length === 0) {
+    if (!reference) {
       return null;
     }
 
-    // for now, we'll create a basic comparison structure - you'll need to enhance this based on polymarket's actual market structure
-    const polymarketPrice = polyData.price || 0.5;
+    // a token without a price has no quote to compare, and a closed market no longer trades
+    const polymarketPrice = polyData.price;
+    if (polyData.closed || !(polymarketPrice > 0 && polymarketPrice < 1)) {
+      return null;
+    }
+    
     const comparison = {
       gameKey,
       tokenId,
       gameInfo,
-      boltOdds: moneylineOutcomes,
+      marketType: marketMatch.marketType,
+      line: marketMatch.line,
+      boltOdds: reference.outcomes,
+      targetOutcome: reference.targetOutcome,
+      consensus: reference.consensus,
+      match: marketMatch,
+      complement: this.describeComplement(polyData, boltData, marketMatch),
+      gameState: this.gameStateStore?.getState(gameKey) ?? null,
       polymarket: {
         tokenId,
+        question: polyData.question,
+        outcome: polyData.outcome,
         price: polymarketPrice,
         decimalOdds: this.polymarketPriceToDecimal(polymarketPrice),
         americanOdds: this.polymarketPriceToAmerican(polymarketPrice),
@@ -201,100 +432,421 @@ export class OddsComparison {
       timestamp: Date.now()
     };
 
+    // the last moneyline before puck drop anchors the in-game model
+    if (comparison.marketType === 'moneyline' && !comparison.gameState?.live) {
+      this.recordPregameProbability(gameKey, gameInfo, reference.outcomes);
+    }
+
     return comparison;
   }
 
-  // find moneyline outcomes in boltodds data
+  // the other token of a binary market: what buying it costs and which team or selection it pays on
+  describeComplement(polyData, boltData, marketMatch) {
+    const tokenId = polyData.complementTokenId;
+    if (!tokenId) return null;
+    
+    const quote = this.getTokenQuote(tokenId);
+    const homeTeam = resolveTeam(boltData.home_team)?.abbreviation;
+    const awayTeam = resolveTeam(boltData.away_team)?.abbreviation;
+    const team = marketMatch.team ? (marketMatch.team === homeTeam ? awayTeam : homeTeam) : null;
+    const selection = marketMatch.marketType === 'total'
+      ? (marketMatch.selection === 'Over' ? 'Under' : 'Over')
+      : (team ? getTeam(team)?.name : null);
+    
+    return {
+      tokenId,
+      outcome: this.polymarketData.get(tokenId)?.outcome ?? null,
+      price: quote?.bestAsk ?? quote?.price ?? null,
+      derived: Boolean(quote?.derived),
+      team,
+      selection
+    };
+  }
+
+  // keep the home team's fair moneyline probability while the game has not started
+  recordPregameProbability(gameKey, gameInfo, outcomes) {
+    const homeTeam = resolveTeam(gameInfo.homeTeam)?.abbreviation;
+    const homeOutcome = outcomes.find(outcome => homeTeam && resolveTeam(outcome.team)?.abbreviation === homeTeam);
+    
+    if (homeOutcome?.fairProbability) {
+      this.pregameProbabilities.set(gameKey, homeOutcome.fairProbability);
+    }
+  }
+
+  // live model probability of a moneyline token (null before the game is live or without a pregame price)
+  getModelProbability(comparison) {
+    const state = comparison.gameState;
+    const pregameProbability = this.pregameProbabilities.get(comparison.gameKey);
+    
+    if (comparison.marketType !== 'moneyline' || !state?.live || pregameProbability === undefined) {
+      return null;
+    }
+    
+    const model = this.winProbabilityModel.winProbability({
+      pregameProbability,
+      goalDifferential: state.homeScore - state.awayScore,
+      period: state.period ?? 1,
+      clockRemaining: state.inIntermission ? 0 : state.clockRemaining,
+      powerPlay: state.powerPlay,
+      homeEmptyNet: state.homeEmptyNet,
+      awayEmptyNet: state.awayEmptyNet,
+      final: state.final
+    });
+    if (!model) return null;
+    
+    const isHome = resolveTeam(comparison.gameInfo.homeTeam)?.abbreviation === comparison.match.team;
+    return isHome ? model.probability : 1 - model.probability;
+  }
+
+  // book consensus blended with the live model by MODEL_BLEND_WEIGHT (books alone when the model has no price)
+  getBlendedProbability(comparison) {
+    const bookProbability = comparison.targetOutcome?.fairProbability ?? null;
+    const modelProbability = bookProbability === null ? null : this.getModelProbability(comparison);
+    const modelWeight = modelProbability === null ? 0 : this.modelBlendWeight;
+    
+    return {
+      fairProbability: bookProbability === null ? null : (1 - modelWeight) * bookProbability + modelWeight * modelProbability,
+      bookProbability,
+      modelProbability,
+      modelWeight
+    };
+  }
+
+  // find the consensus outcome matching a token, on the exact line or interpolated between alternate lines
+  findReferenceOutcome(boltData, marketMatch) {
+    const groups = this.buildConsensus(boltData, marketMatch.marketType);
+    const isTarget = (outcome) => marketMatch.marketType === 'total'
+      ? outcome.selection === marketMatch.selection
+      : resolveTeam(outcome.team)?.abbreviation === marketMatch.team;
+    
+    if (marketMatch.marketType === 'moneyline') {
+      const group = groups.get('moneyline');
+      const targetOutcome = group?.outcomes.find(isTarget);
+      return targetOutcome ? { ...group, targetOutcome } : null;
+    }
+    
+    // spread groups are keyed by the home line, total groups by the total
+    const groupLine = marketMatch.marketType === 'spread' && marketMatch.side === 'away'
+      ? -marketMatch.line
+      : marketMatch.line;
+    
+    const exact = groups.get(`${marketMatch.marketType}:${groupLine}`);
+    if (exact) {
+      const targetOutcome = exact.outcomes.find(isTarget);
+      return targetOutcome ? { ...exact, targetOutcome } : null;
+    }
+    
+    // otherwise interpolate between the nearest alternate lines on either side
+    const candidates = Array.from(groups.values())
+      .filter(group => group.outcomes.some(isTarget))
+      .sort((a, b) => a.line - b.line);
+    const below = candidates.filter(group => group.line < groupLine).pop();
+    const above = candidates.find(group => group.line > groupLine);
+    
+    if (!below || !above) {
+      return null;
+    }
+    
+    const weight = (groupLine - below.line) / (above.line - below.line);
+    const lerp = (a, b) => a + (b - a) * weight;
+    const lowOutcome = below.outcomes.find(isTarget);
+    const highOutcome = above.outcomes.find(isTarget);
+    const impliedProbability = lerp(lowOutcome.impliedProbability, highOutcome.impliedProbability);
+    const fairProbability = lerp(lowOutcome.fairProbability, highOutcome.fairProbability);
+    const decimalOdds = 1 / impliedProbability;
+    const americanOdds = this.decimalToAmerican(decimalOdds);
+    
+    const targetOutcome = {
+      ...lowOutcome,
+      line: marketMatch.marketType === 'spread' ? marketMatch.line : groupLine,
+      label: marketMatch.label,
+      odds: String(americanOdds),
+      americanOdds,
+      decimalOdds,
+      impliedProbability,
+      fairProbability,
+      bookCount: Math.min(lowOutcome.bookCount, highOutcome.bookCount),
+      quotes: [...lowOutcome.quotes, ...highOutcome.quotes],
+      interpolatedFrom: [lowOutcome.line, highOutcome.line],
+      formattedOdds: {
+        american: this.formatAmericanOdds(americanOdds),
+        decimal: this.formatDecimalOdds(decimalOdds),
+        impliedProbability: this.formatImpliedProbability(impliedProbability),
+        fairProbability: this.formatImpliedProbability(fairProbability)
+      }
+    };
+    
+    return {
+      outcomes: [targetOutcome],
+      targetOutcome,
+      consensus: {
+        ...below.consensus,
+        overround: lerp(below.consensus.overround, above.consensus.overround),
+        bookCount: Math.min(below.consensus.bookCount, above.consensus.bookCount),
+        interpolated: true
+      }
+    };
+  }
+
+  // find consensus moneyline outcomes in boltodds data
   findMoneylineOutcomes(boltData) {
-    const outcomes = [];
+    return this.buildConsensus(boltData, 'moneyline').get('moneyline') || { outcomes: [], consensus: null };
+  }
+
+  // classify a boltodds outcome as a full-game moneyline, spread (puck line) or total
+  classifyOutcome(line) {
+    const name = String(line.outcome_name || '').toLowerCase();
+    
+    // period, team and alternate-segment markets are not priced against full-game polymarket markets
+    if (/period|1st|2nd|3rd|half|team total/.test(name)) return null;
+    if (name === 'moneyline') return 'moneyline';
+    if (/spread|puck ?line/.test(name)) return 'spread';
+    if (/total|over\/under/.test(name)) return 'total';
+    return null;
+  }
+
+  // parse the line (spread or total) of a boltodds outcome
+  parseOutcomeLine(outcomeKey, line) {
+    const value = line.outcome_line ?? line.line ?? line.points;
+    if (value !== undefined && value !== null && value !== '') {
+      return parseFloat(value);
+    }
+    
+    const match = String(outcomeKey).match(/([-+]?\d+(?:\.\d+)?)\s*$/);
+    return match ? parseFloat(match[1]) : null;
+  }
+
+  // work out whether a boltodds total outcome is the over or the under
+  parseOverUnder(outcomeKey, line) {
+    const text = `${line.outcome_over_under || ''} ${line.outcome_target || ''} ${outcomeKey}`;
+    if (/\bover\b/i.test(text)) return 'Over';
+    if (/\bunder\b/i.test(text)) return 'Under';
+    return null;
+  }
+
+  // describe which market group and selection a boltodds line belongs to (null when unusable)
+  describeLine(boltData, outcomeKey, line, marketType) {
+    if (this.classifyOutcome(line) !== marketType) {
+      return null;
+    }
+    
+    if (marketType === 'moneyline') {
+      return { groupKey: 'moneyline', groupLine: null, line: null, selection: line.outcome_target, team: line.outcome_target };
+    }
+    
+    const value = this.parseOutcomeLine(outcomeKey, line);
+    if (value === null || Number.isNaN(value)) {
+      return null;
+    }
+    
+    if (marketType === 'total') {
+      const selection = this.parseOverUnder(outcomeKey, line);
+      return selection ? { groupKey: `total:${value}`, groupLine: value, line: value, selection, team: null } : null;
+    }
+    
+    // spreads pair the home line with the opposite away line, so group them by the home line
+    const isHome = resolveTeam(line.outcome_target)?.abbreviation === resolveTeam(boltData.home_team)?.abbreviation;
+    const homeLine = isHome ? value : -value;
+    return { groupKey: `spread:${homeLine}`, groupLine: homeLine, line: value, selection: line.outcome_target, team: line.outcome_target };
+  }
+
+  // devig every sportsbook's lines for a market type and combine them into consensus outcomes per line
+  // (a book with no line newer than MAX_REFERENCE_AGE is left out, however fresh the other books are)
+  buildConsensus(boltData, marketType, now = Date.now()) {
+    const quotesByGroup = new Map(); // group key -> { line, selections: selection -> quotes, overrounds }
+    
+    for (const [sportsbook, lines] of boltData.books || []) {
+      if (lines.size === 0 || now - this.bookUpdatedAt(lines) > this.maxBookAge) continue;
+      
+      const bookGroups = new Map();
+      
+      for (const [outcomeKey, line] of lines) {
+        const described = this.describeLine(boltData, outcomeKey, line, marketType);
+        if (!described) continue;
+        
+        if (!bookGroups.has(described.groupKey)) {
+          bookGroups.set(described.groupKey, []);
+        }
+        bookGroups.get(described.groupKey).push({ ...described, odds: line.odds, timestamp: line.timestamp, link: line.link });
+      }
+      
+      for (const [groupKey, bookOutcomes] of bookGroups) {
+        // remove the book's margin so value is measured against fair probabilities
+        const implied = bookOutcomes.map(outcome => this.calculateImpliedProbability(parseFloat(outcome.odds)));
+        const devigResult = devig(implied, this.devigMethod);
+        
+        // a book quoting a single side cannot be devigged, so it has no fair price to contribute
+        if (!devigResult) {
+          continue;
+        }
+        
+        if (!quotesByGroup.has(groupKey)) {
+          quotesByGroup.set(groupKey, { line: bookOutcomes[0].groupLine, selections: new Map(), overrounds: [] });
+        }
+        const group = quotesByGroup.get(groupKey);
+        const weight = this.getBookWeight(sportsbook);
+        group.overrounds.push({ value: devigResult.overround, weight });
+        
+        bookOutcomes.forEach((outcome, index) => {
+          if (!group.selections.has(outcome.selection)) {
+            group.selections.set(outcome.selection, { ...outcome, quotes: [] });
+          }
+          group.selections.get(outcome.selection).quotes.push({
+            sportsbook,
+            weight,
+            odds: outcome.odds,
+            impliedProbability: implied[index],
+            fairProbability: devigResult.probabilities[index],
+            timestamp: outcome.timestamp,
+            link: outcome.link
+          });
+        });
+      }
+    }
+    
+    const groups = new Map();
     
-    for (const [outcomeKey, outcome] of Object.entries(boltData.outcomes || {})) {
-      if (outcome.outcome_name === 'Moneyline' && outcome.odds) {
-        const americanOdds = parseFloat(outcome.odds);
-        const decimalOdds = this.americanToDecimal(americanOdds);
-        const impliedProbability = this.calculateImpliedProbability(americanOdds);
+    for (const [groupKey, group] of quotesByGroup) {
+      const outcomes = [];
+      
+      for (const [selection, { team, line, quotes }] of group.selections) {
+        const impliedProbability = this.aggregateConsensus(quotes.map(q => ({ value: q.impliedProbability, weight: q.weight })));
+        const fairProbability = this.aggregateConsensus(quotes.map(q => ({ value: q.fairProbability, weight: q.weight })));
+        const decimalOdds = 1 / impliedProbability;
+        const americanOdds = this.decimalToAmerican(decimalOdds);
         
         outcomes.push({
-          team: outcome.outcome_target,
-          odds: outcome.odds,
-          americanOdds: americanOdds,
-          decimalOdds: decimalOdds,
-          impliedProbability: impliedProbability,
+          team,
+          selection,
+          line,
+          label: this.formatOutcomeLabel(marketType, selection, line),
+          odds: String(americanOdds),
+          americanOdds,
+          decimalOdds,
+          impliedProbability,
+          fairProbability,
+          bookCount: quotes.length,
+          quotes,
           formattedOdds: {
             american: this.formatAmericanOdds(americanOdds),
             decimal: this.formatDecimalOdds(decimalOdds),
             impliedProbability: this.formatImpliedProbability(impliedProbability)
           },
-          link: outcome.link
+          link: quotes[0].link
         });
       }
+      
+      // a median does not preserve the sum, so renormalize fair probabilities across the sides
+      const fairTotal = outcomes.reduce((total, outcome) => total + outcome.fairProbability, 0);
+      for (const outcome of outcomes) {
+        outcome.fairProbability = outcome.fairProbability / fairTotal;
+        outcome.formattedOdds.fairProbability = this.formatImpliedProbability(outcome.fairProbability);
+      }
+      
+      groups.set(groupKey, {
+        marketType,
+        line: group.line,
+        outcomes,
+        consensus: {
+          method: this.consensusMethod,
+          devigMethod: this.devigMethod,
+          overround: this.aggregateConsensus(group.overrounds),
+          bookCount: group.overrounds.length
+        }
+      });
     }
     
-    return outcomes;
+    return groups;
   }
 
-  // calculate value for a potential trade (todo: implement your custom value calculation formula here)
-  calculateValue(comparison) {
-    // this is a placeholder for your value calculation formula - you mentioned you'll provide the formula later
-    
-    const { boltOdds, polymarket } = comparison;
-    
-    if (boltOdds.length === 0 || !polymarket.decimalOdds) {
-      return null;
+  // label an outcome for display, e.g. "Toronto Maple Leafs -1.5" or "Over 6.5"
+  formatOutcomeLabel(marketType, selection, line) {
+    if (marketType === 'moneyline' || line === null) {
+      return selection;
     }
-
-    // basic value calculation example (replace with your formula)
-    let bestValue = null;
-    let bestOutcome = null;
-
-    for (const outcome of boltOdds) {
-      // calculate value as difference between implied probabilities
-      const value = outcome.impliedProbability - (1 / polymarket.decimalOdds);
-      
-      if (value > this.valueThreshold) {
-        if (!bestValue || value > bestValue) {
-          bestValue = value;
-          bestOutcome = outcome;
-        }
-      }
+    if (marketType === 'spread') {
+      return `${selection} ${line > 0 ? '+' : ''}${line}`;
     }
+    return `${selection} ${line}`;
+  }
 
-    if (bestValue && bestOutcome) {
-      return {
-        value: bestValue,
-        outcome: bestOutcome,
-        polymarketOdds: polymarket.decimalOdds,
-        recommendedAction: 'buy',
-        confidence: this.calculateConfidence(bestValue)
-      };
+  // combine per-book values with a median or a weighted average
+  aggregateConsensus(entries) {
+    if (entries.length === 0) {
+      return null;
     }
-
-    return null;
+    
+    if (this.consensusMethod === 'weighted') {
+      const totalWeight = entries.reduce((total, entry) => total + entry.weight, 0);
+      if (totalWeight > 0) {
+        return entries.reduce((total, entry) => total + entry.value * entry.weight, 0) / totalWeight;
+      }
+    }
+    
+    const sorted = entries.map(entry => entry.value).sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
   }
 
-  // calculate confidence score for a trade recommendation
-  calculateConfidence(value) {
-    // simple confidence calculation based on value magnitude
-    if (value > 0.15) return 'high';
-    if (value > 0.1) return 'medium';
-    return 'low';
+  // describe a strategy signal the way trades, sizing and the cli read it
+  buildValueAnalysis(comparison, signal, pricing) {
+    const { targetOutcome, polymarket, consensus } = comparison;
+    
+    // probabilities are quoted for the token traded, so a complement gets one minus the reference side
+    const side = (probability) => (signal.complementOf && probability !== null ? 1 - probability : probability);
+    
+    return {
+      value: signal.edge,
+      outcome: targetOutcome,
+      fairProbability: signal.fairProbability,
+      bookProbability: side(pricing.bookProbability),
+      modelProbability: side(pricing.modelProbability),
+      modelWeight: pricing.modelWeight,
+      complementOf: signal.complementOf ?? null,
+      polymarketOdds: polymarket.decimalOdds,
+      devigMethod: consensus.devigMethod,
+      overround: consensus.overround,
+      consensusMethod: consensus.method,
+      bookCount: consensus.bookCount,
+      marketType: comparison.marketType,
+      line: comparison.line,
+      interpolated: Boolean(consensus.interpolated),
+      strategy: signal.strategy,
+      sizeHint: signal.sizeHint,
+      recommendedAction: signal.side,
+      confidence: signal.confidence
+    };
   }
 
-  // find all trading opportunities
+  // run every strategy over every matched market (a market can yield one opportunity per strategy)
   findTradingOpportunities() {
     const opportunities = [];
     const matches = this.findMatchingMarkets();
     
     for (const match of matches) {
-      const value = this.calculateValue(match);
+      if (!match.targetOutcome?.fairProbability || !match.polymarket.decimalOdds) continue;
       
-      if (value) {
+      const context = { gameState: match.gameState, pricing: this.getBlendedProbability(match) };
+      
+      for (const strategy of this.strategies) {
+        let signal = null;
+        try {
+          signal = strategy.evaluate(match, context);
+        } catch (error) {
+          logger.error('Strategy failed to evaluate market', { strategy: strategy.name, tokenId: match.tokenId, error: error.message });
+        }
+        if (!signal) continue;
+        
+        // a complement signal trades the other token, on the other team or side of the total
+        const traded = signal.complementOf ? this.toComplementComparison(match) : match;
+        const value = this.buildValueAnalysis(traded, signal, context.pricing);
         opportunities.push({
-          ...match,
+          ...traded,
           valueAnalysis: value,
           recommendation: {
             action: value.recommendedAction,
-            tokenId: match.tokenId,
+            tokenId: traded.tokenId,
+            strategy: value.strategy,
             confidence: value.confidence,
             expectedValue: value.value
           }
@@ -302,7 +854,51 @@ export class OddsComparison {
       }
     }
     
-    return opportunities.sort((a, b) => b.valueAnalysis.value - a.valueAnalysis.value);
+    // both tokens of a market can point at the same trade, keep the best signal per strategy and token
+    const best = new Map();
+    for (const opportunity of opportunities) {
+      const key = `${opportunity.valueAnalysis.strategy}:${opportunity.tokenId}`;
+      if (!best.has(key) || opportunity.valueAnalysis.value > best.get(key).valueAnalysis.value) {
+        best.set(key, opportunity);
+      }
+    }
+    
+    return Array.from(best.values()).sort((a, b) => b.valueAnalysis.value - a.valueAnalysis.value);
+  }
+
+  // view a comparison from its complement token (the reference outcome stays the one the books priced)
+  toComplementComparison(comparison) {
+    const { complement } = comparison;
+    
+    return {
+      ...comparison,
+      tokenId: complement.tokenId,
+      complementOf: comparison.tokenId,
+      match: {
+        ...comparison.match,
+        team: complement.team,
+        teamName: complement.team ? complement.selection : null,
+        selection: complement.selection,
+        side: comparison.match.side === 'home' ? 'away' : comparison.match.side === 'away' ? 'home' : null,
+        line: comparison.match.marketType === 'spread' && comparison.match.line !== null ? -comparison.match.line : comparison.match.line,
+        label: complement.selection,
+        outcome: complement.outcome
+      },
+      polymarket: {
+        ...comparison.polymarket,
+        tokenId: complement.tokenId,
+        outcome: complement.outcome,
+        price: complement.price,
+        decimalOdds: this.polymarketPriceToDecimal(complement.price),
+        americanOdds: this.polymarketPriceToAmerican(complement.price),
+        formattedOdds: this.formatPolymarketOdds(complement.price)
+      }
+    };
+  }
+
+  // get a loaded strategy by name
+  getStrategy(name) {
+    return this.strategies.find(strategy => strategy.name === name) || null;
   }
 
   // get current data status
@@ -310,6 +906,7 @@ export class OddsComparison {
     return {
       boltOddsGames: this.boltOddsData.size,
       polymarketTokens: this.polymarketData.size,
+      unmatchedMarkets: this.unmatchedMarkets.size,
       lastUpdate: Math.max(
         ...Array.from(this.boltOddsData.values()).map(d => d.timestamp || 0),
         ...Array.from(this.polymarketData.values()).map(d => d.timestamp || 0)
@@ -321,10 +918,15 @@ export class OddsComparison {
   displayOddsComparison(comparison) {
     if (!comparison) return 'No comparison data available';
 
-    const { gameInfo, boltOdds, polymarket } = comparison;
+    const { gameInfo, boltOdds, polymarket, match, consensus } = comparison;
     
     let output = `\n=== ${gameInfo.homeTeam} vs ${gameInfo.awayTeam} ===\n`;
-    output += `Token ID: ${polymarket.tokenId}\n\n`;
+    output += `Token ID: ${polymarket.tokenId}\n`;
+    if (match) {
+      output += `Market: ${match.marketType}\n`;
+      output += `Token Pays On: ${match.label}${match.side ? ` (${match.side})` : ''}, outcome "${match.outcome}"\n`;
+    }
+    output += '\n';
     
     // display polymarket odds
     output += `📊 POLYMARKET ODDS:\n`;
@@ -335,18 +937,29 @@ export class OddsComparison {
     
     // display boltodds for each team
     output += `🏒 BOLTODDS COMPARISON:\n`;
+    if (consensus) {
+      output += `   Books: ${consensus.bookCount} (${consensus.method} consensus, devig: ${consensus.devigMethod})\n`;
+      output += `   Overround: ${(consensus.overround * 100).toFixed(2)}%\n`;
+      if (consensus.interpolated) {
+        output += `   Interpolated between lines ${comparison.targetOutcome.interpolatedFrom.join(' and ')}\n`;
+      }
+    }
     for (const outcome of boltOdds) {
-      output += `   ${outcome.team}:\n`;
+      output += `   ${outcome.label || outcome.team}:\n`;
       output += `     American: ${outcome.formattedOdds.american}\n`;
       output += `     Decimal: ${outcome.formattedOdds.decimal}x\n`;
       output += `     Implied Probability: ${outcome.formattedOdds.impliedProbability}\n`;
+      output += `     Fair Probability: ${outcome.formattedOdds.fairProbability}\n`;
       
-      // calculate difference
-      const polyProb = parseFloat(polymarket.formattedOdds.impliedProbability);
-      const boltProb = parseFloat(outcome.formattedOdds.impliedProbability.replace('%', ''));
-      const difference = boltProb - polyProb;
-      
-      output += `     Difference: ${difference > 0 ? '+' : ''}${difference.toFixed(1)}%\n\n`;
+      // calculate difference against the fair probability
+      if (outcome.fairProbability) {
+        const polyProb = parseFloat(polymarket.formattedOdds.impliedProbability);
+        const boltProb = outcome.fairProbability * 100;
+        const difference = boltProb - polyProb;
+        
+        output += `     Difference: ${difference > 0 ? '+' : ''}${difference.toFixed(1)}%\n`;
+      }
+      output += '\n';
     }
     
     return output;
@@ -370,8 +983,14 @@ export class OddsComparison {
       if (opp.valueAnalysis) {
         output += `💡 VALUE ANALYSIS:\n`;
         output += `   Expected Value: ${(opp.valueAnalysis.value * 100).toFixed(2)}%\n`;
+        output += `   Fair Probability: ${this.formatImpliedProbability(opp.valueAnalysis.fairProbability)} (${opp.valueAnalysis.devigMethod}, overround ${(opp.valueAnalysis.overround * 100).toFixed(2)}%)\n`;
+        if (opp.valueAnalysis.modelProbability !== null) {
+          output += `   Model Probability: ${this.formatImpliedProbability(opp.valueAnalysis.modelProbability)} (books ${this.formatImpliedProbability(opp.valueAnalysis.bookProbability)}, model weight ${opp.valueAnalysis.modelWeight})\n`;
+        }
+        output += `   Strategy: ${opp.valueAnalysis.strategy}\n`;
         output += `   Confidence: ${opp.valueAnalysis.confidence.toUpperCase()}\n`;
-        output += `   Recommendation: ${opp.valueAnalysis.recommendedAction.toUpperCase()}\n`;
+        output += `   Recommendation: ${opp.valueAnalysis.recommendedAction.toUpperCase()}`;
+        output += opp.complementOf ? ` ${opp.match.selection || opp.polymarket.outcome} (the other token of this market)\n` : '\n';
       }
       
       output += '\n' + '-'.repeat(60) + '\n';
@@ -385,6 +1004,7 @@ export class OddsComparison {
     const summary = {
       boltOddsGames: this.boltOddsData.size,
       polymarketTokens: this.polymarketData.size,
+      unmatchedMarkets: this.unmatchedMarkets.size,
       opportunities: this.findTradingOpportunities().length,
       lastUpdate: new Date(this.getDataStatus().lastUpdate).toLocaleString()
     };
@@ -399,12 +1019,26 @@ export class OddsComparison {
     for (const [key, data] of this.boltOddsData.entries()) {
       if (data.timestamp < cutoffTime) {
         this.boltOddsData.delete(key);
+        this.pregameProbabilities.delete(key);
+        continue;
+      }
+      
+      // drop individual sportsbook lines that have not been refreshed
+      for (const [sportsbook, lines] of data.books) {
+        for (const [outcomeKey, line] of lines) {
+          if (line.timestamp < cutoffTime) {
+            lines.delete(outcomeKey);
+          }
+        }
+        if (lines.size === 0) {
+          data.books.delete(sportsbook);
+        }
       }
     }
     
     for (const [key, data] of this.polymarketData.entries()) {
       if (data.timestamp < cutoffTime) {
-        this.polymarketData.delete(key);
+        this.removePolymarketData(key);
       }
     }
     
@@ -0,0 +1,304 @@
+import config from '../config/config.js';
+import logger from '../utils/logger.js';
+
+// polymarket clob statuses mapped to our lifecycle (paper orders already use the lifecycle names)
+const STATUS_MAP = {
+  live: 'pending',
+  unmatched: 'pending',
+  delayed: 'pending',
+  pending: 'pending',
+  partially_filled: 'partially_filled',
+  matched: 'filled',
+  filled: 'filled',
+  canceled: 'cancelled',
+  cancelled: 'cancelled',
+  expired: 'expired'
+};
+
+export const OPEN_STATUSES = ['pending', 'partially_filled'];
+
+// read the order id from a placement or getOrder response
+export function orderIdOf(raw) {
+  return raw.order_id ?? raw.orderID ?? raw.id;
+}
+
+// shares and usdc matched at placement, which the clob reports as maker and taker amounts
+// (a buy makes usdc and takes shares, a sell the other way round)
+function placementMatch(raw, side) {
+  const making = parseFloat(raw.makingAmount);
+  const taking = parseFloat(raw.takingAmount);
+
+  if (!(making > 0) || !(taking > 0)) {
+    return null;
+  }
+  return side === 'buy' ? { size: taking, amount: making } : { size: making, amount: taking };
+}
+
+// our share of a trade, either as its taker or as one of the maker orders it matched
+function tradeFill(trade, orderId) {
+  if (trade.taker_order_id === orderId) {
+    return { size: parseFloat(trade.size), price: parseFloat(trade.price) };
+  }
+  const maker = (trade.maker_orders || []).find(makerOrder => makerOrder.order_id === orderId);
+  return maker ? { size: parseFloat(maker.matched_amount), price: parseFloat(maker.price) } : null;
+}
+
+// follows every order through getOrder() until it is filled, cancelled or expired
+export class OrderManager {
+  constructor(polymarketClient) {
+    this.polymarketClient = polymarketClient;
+    this.orders = new Map(); // Store tracked orders by order id
+    this.pollInterval = config.ORDER_POLL_INTERVAL * 1000;
+    this.orderTimeout = config.ORDER_TIMEOUT * 1000;
+    this.maxRefreshFailures = config.ORDER_MAX_REFRESH_FAILURES;
+    this.refreshFailures = new Map(); // Consecutive failed status checks by order id
+    this.pollTimer = null;
+    this.isPolling = false;
+    this.messageHandlers = new Map();
+  }
+
+  // start polling tracked orders
+  start() {
+    this.pollTimer = setInterval(() => {
+      this.pollOrders().catch((error) => {
+        logger.error('Error polling orders', { error: error.message });
+      });
+    }, this.pollInterval);
+  }
+
+  // stop polling
+  stop() {
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+  }
+
+  // start tracking an order from its placement response
+  track(orderResult, meta = {}) {
+    const order = {
+      ...this.normalizeOrder(orderResult, {
+        purpose: meta.purpose || 'entry',
+        exit_rule: meta.exitRule || null,
+        exit_reason: meta.exitReason || null,
+        game_key: meta.gameKey || null,
+        lines: meta.lines || null,
+        original_size: meta.size,
+        placed_at: Date.now()
+      }),
+      size_matched: 0,
+      amount_matched: 0,
+      avg_price: null,
+      status: 'pending'
+    };
+
+    this.orders.set(order.order_id, order);
+    logger.info('Tracking order', { orderId: order.order_id, tokenId: order.token_id, side: order.side, purpose: order.purpose });
+
+    // the placement response may already report fills
+    this.applyUpdate(order, orderResult);
+    return order;
+  }
+
+  // resume tracking a journaled order after a restart, its recorded fills are already applied
+  resume(order) {
+    this.orders.set(order.order_id, { ...order });
+    logger.info('Resumed tracking order', { orderId: order.order_id, tokenId: order.token_id, status: order.status });
+  }
+
+  // check every open order once
+  async pollOrders() {
+    if (this.isPolling) return;
+    this.isPolling = true;
+
+    try {
+      for (const order of Array.from(this.orders.values())) {
+        await this.refreshOrder(order);
+      }
+    } finally {
+      this.isPolling = false;
+    }
+  }
+
+  // fetch an order, apply fills and cancel it if it has rested too long
+  async refreshOrder(order) {
+    try {
+      const latest = await this.withTradeAmounts(order, await this.polymarketClient.getOrder(order.order_id));
+      this.refreshFailures.delete(order.order_id);
+      this.applyUpdate(order, latest);
+
+      if (OPEN_STATUSES.includes(order.status) && Date.now() - order.placed_at > this.orderTimeout) {
+        await this.cancelStaleOrder(order);
+      }
+
+    } catch (error) {
+      const failures = (this.refreshFailures.get(order.order_id) || 0) + 1;
+      this.refreshFailures.set(order.order_id, failures);
+      logger.warn('Failed to refresh order', { orderId: order.order_id, failures, error: error.message });
+
+      if (failures >= this.maxRefreshFailures) {
+        this.dropOrder(order, error);
+      }
+    }
+  }
+
+  // stop following an order the exchange keeps failing to return (reconciliation picks it up again if it is still open)
+  dropOrder(order, error) {
+    this.orders.delete(order.order_id);
+    this.refreshFailures.delete(order.order_id);
+    Object.assign(order, { status: 'lost', updated_at: Date.now() });
+
+    logger.error('Dropped order after repeated status check failures', {
+      orderId: order.order_id,
+      tokenId: order.token_id,
+      failures: this.maxRefreshFailures,
+      sizeMatched: order.size_matched,
+      error: error.message
+    });
+    this.emit('orderLost', { ...order });
+  }
+
+  // cancel an order that has not filled within the timeout
+  async cancelStaleOrder(order) {
+    logger.info('Cancelling stale order', {
+      orderId: order.order_id,
+      tokenId: order.token_id,
+      ageSeconds: Math.round((Date.now() - order.placed_at) / 1000),
+      sizeMatched: order.size_matched
+    });
+
+    await this.polymarketClient.cancelOrder(order.order_id);
+
+    // re-read so fills that landed before the cancel are not lost
+    const latest = await this.polymarketClient.getOrder(order.order_id)
+      .then(raw => this.withTradeAmounts(order, raw))
+      .catch(() => null);
+    this.applyUpdate(order, { ...(latest || {}), status: 'cancelled' });
+  }
+
+  // the clob getOrder response has no fill prices, so new fills are valued from the order's trades
+  async withTradeAmounts(order, raw) {
+    const tradeIds = raw?.associate_trades;
+    if (!raw || raw.amount_matched !== undefined || raw.avg_price !== undefined || !tradeIds?.length
+      || !this.polymarketClient.getTradesById || !(parseFloat(raw.size_matched) > order.size_matched)) {
+      return raw;
+    }
+
+    try {
+      const fills = (await this.polymarketClient.getTradesById(tradeIds))
+        .map(trade => tradeFill(trade, order.order_id))
+        .filter(Boolean);
+      const size = fills.reduce((sum, fill) => sum + fill.size, 0);
+
+      // trades that do not add up to the matched size are still settling, normalizeOrder falls back to the limit
+      if (Math.abs(size - parseFloat(raw.size_matched)) > 1e-6) {
+        return raw;
+      }
+      return { ...raw, amount_matched: fills.reduce((sum, fill) => sum + fill.size * fill.price, 0) };
+    } catch (error) {
+      logger.warn('Failed to value order fills from its trades', { orderId: order.order_id, error: error.message });
+      return raw;
+    }
+  }
+
+  // apply an exchange update: emit new fills, then close the order if it is finished
+  applyUpdate(order, update) {
+    const latest = this.normalizeOrder(update, order);
+    const deltaSize = latest.size_matched - order.size_matched;
+
+    if (deltaSize > 1e-9) {
+      const deltaAmount = latest.amount_matched - order.amount_matched;
+      Object.assign(order, latest);
+      this.emit('fill', { order: { ...order }, size: deltaSize, amount: deltaAmount, price: deltaAmount / deltaSize });
+    }
+
+    if (latest.status !== order.status) {
+      Object.assign(order, latest);
+      this.emit('orderUpdated', { ...order });
+    }
+
+    if (!OPEN_STATUSES.includes(order.status)) {
+      this.orders.delete(order.order_id);
+      this.refreshFailures.delete(order.order_id);
+      logger.info('Order closed', {
+        orderId: order.order_id,
+        status: order.status,
+        sizeMatched: order.size_matched,
+        avgPrice: order.avg_price
+      });
+      this.emit('orderClosed', { ...order });
+    }
+  }
+
+  // normalize a placement or getOrder response, falling back to what we already know
+  normalizeOrder(raw, previous = {}) {
+    const price = parseFloat(raw.price ?? previous.price);
+    const side = String(raw.side ?? previous.side).toLowerCase();
+    const placed = raw.size_matched === undefined ? placementMatch(raw, side) : null;
+    const sizeMatched = placed ? placed.size : parseFloat(raw.size_matched ?? previous.size_matched ?? 0);
+    const originalSize = parseFloat(raw.original_size ?? previous.original_size ?? 0);
+    // without reported amounts only the size matched since the last update is valued at the limit price
+    let amountMatched = (previous.amount_matched ?? 0) + (sizeMatched - (previous.size_matched ?? 0)) * price;
+    if (placed) {
+      amountMatched = placed.amount;
+    } else if (raw.amount_matched !== undefined) {
+      amountMatched = parseFloat(raw.amount_matched);
+    } else if (raw.avg_price !== undefined) {
+      amountMatched = sizeMatched * parseFloat(raw.avg_price);
+    }
+
+    let status = STATUS_MAP[String(raw.status ?? previous.status ?? 'pending').toLowerCase()] || 'pending';
+    // a match reported without its size stays open until a status check says how much filled
+    if (status === 'filled' && !(sizeMatched > 0)) {
+      status = 'pending';
+    }
+    if (status === 'pending' && sizeMatched > 0) {
+      status = 'partially_filled';
+    }
+
+    return {
+      ...previous,
+      order_id: orderIdOf(raw) ?? previous.order_id,
+      token_id: raw.token_id ?? raw.asset_id ?? previous.token_id,
+      side,
+      price,
+      original_size: originalSize,
+      size_matched: sizeMatched,
+      amount_matched: amountMatched,
+      avg_price: sizeMatched > 0 ? amountMatched / sizeMatched : null,
+      status,
+      updated_at: Date.now()
+    };
+  }
+
+  // get tracked open orders
+  getOpenOrders() {
+    return Array.from(this.orders.values()).map(order => ({ ...order }));
+  }
+
+  // check whether an order is still being tracked
+  isTracking(orderId) {
+    return this.orders.has(orderId);
+  }
+
+  // event emitter functionality
+  on(event, handler) {
+    if (!this.messageHandlers.has(event)) {
+      this.messageHandlers.set(event, []);
+    }
+    this.messageHandlers.get(event).push(handler);
+  }
+
+  emit(event, data) {
+    const handlers = this.messageHandlers.get(event) || [];
+    handlers.forEach(handler => {
+      try {
+        handler(data);
+      } catch (error) {
+        logger.error('Error in event handler', { event, error: error.message });
+      }
+    });
+  }
+}
+
+export default OrderManager;
@@ -0,0 +1,314 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import PolymarketClient from './PolymarketClient.js';
+import config from '../config/config.js';
+import logger from '../utils/logger.js';
+import { normalizeLevels, walkBook } from '../utils/orderbook.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// simulated polymarket exchange: reads real orderbooks but fills orders against a virtual usdc balance
+export class PaperPolymarketClient extends PolymarketClient {
+  constructor(recorder = null, filePath = config.PAPER_STATE_FILE) {
+    super(recorder);
+    this.isPaper = true;
+    this.filePath = path.isAbsolute(filePath) ? filePath : path.join(__dirname, '../../', filePath);
+    this.persistent = false; // Only a loaded client saves, so throwaway clients never touch the state file
+    this.balance = config.PAPER_STARTING_BALANCE;
+    this.slippageBps = config.PAPER_SLIPPAGE_BPS;
+    this.feeRate = config.FEE_RATE_BPS / 10000;
+    this.orders = new Map(); // Store simulated orders by order id
+    this.positions = new Map(); // Store simulated holdings by token
+    this.lastBooks = new Map(); // Store the last fetched orderbook by token
+    this.orderSequence = 0;
+  }
+
+  // load the balance, orders and holdings of the previous run, then save every change
+  load() {
+    this.persistent = true;
+
+    if (!fs.existsSync(this.filePath)) {
+      return;
+    }
+
+    try {
+      const saved = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      this.balance = saved.balance;
+      this.orders = new Map((saved.orders || []).map(order => [order.order_id, order]));
+      this.positions = new Map(saved.positions || []);
+      this.orderSequence = saved.orderSequence || 0;
+
+      logger.info('Restored paper trading state', {
+        balance: this.balance,
+        orders: this.orders.size,
+        positions: this.positions.size
+      });
+    } catch (error) {
+      // starting over would overwrite the file, so an unreadable one stops the bot instead
+      this.persistent = false;
+      throw new Error(`Failed to load paper state from ${this.filePath}: ${error.message}`);
+    }
+  }
+
+  // write state atomically so a crash cannot leave a half-written file
+  save() {
+    if (!this.persistent) return;
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify({
+      balance: this.balance,
+      orders: Array.from(this.orders.values()),
+      positions: Array.from(this.positions.entries()),
+      orderSequence: this.orderSequence
+    }));
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  // get market orderbook and remember it for simulated fills
+  async getOrderbook(tokenId) {
+    const orderbook = await super.getOrderbook(tokenId);
+    this.lastBooks.set(tokenId, {
+      asks: normalizeLevels(orderbook.asks, 'asks'),
+      bids: normalizeLevels(orderbook.bids, 'bids')
+    });
+    return orderbook;
+  }
+
+  // place a simulated order (amount is usdc notional at the order price)
+  async placeOrder(orderData) {
+    const price = parseFloat(orderData.price);
+
+    if (!(price > 0 && price < 1)) {
+      throw new Error(`Invalid order price: ${orderData.price}`);
+    }
+
+    const order = {
+      order_id: `paper-${Date.now()}-${++this.orderSequence}`,
+      token_id: orderData.token_id,
+      side: orderData.side,
+      price,
+      order_type: orderData.order_type || 'limit',
+      original_size: orderData.amount / price,
+      size_matched: 0,
+      amount_matched: 0,
+      avg_price: null,
+      fills: [],
+      status: 'pending',
+      created_at: Date.now(),
+      updated_at: Date.now(),
+      paper: true
+    };
+
+    logger.info('Placing paper order', {
+      token_id: order.token_id,
+      side: order.side,
+      amount: orderData.amount,
+      price
+    });
+
+    this.orders.set(order.order_id, order);
+    this.matchOrder(order);
+
+    // market orders do not rest on the book, any unfilled remainder is cancelled
+    if (order.order_type === 'market' && order.status !== 'filled') {
+      order.status = 'cancelled';
+    }
+
+    this.save();
+    return { ...order };
+  }
+
+  // place multiple simulated orders
+  async placeMultipleOrders(orders) {
+    const results = [];
+    for (const order of orders) {
+      results.push(await this.placeOrder(order));
+    }
+    return results;
+  }
+
+  // get simulated order details, retrying resting orders against the last fetched book
+  async getOrder(orderId) {
+    const order = this.orders.get(orderId);
+
+    if (!order) {
+      throw new Error(`Paper order not found: ${orderId}`);
+    }
+
+    if (order.status === 'pending' || order.status === 'partially_filled') {
+      this.matchOrder(order);
+      this.save();
+    }
+
+    return { ...order };
+  }
+
+  // get resting simulated orders
+  async getActiveOrders() {
+    return Array.from(this.orders.values())
+      .filter(order => order.status === 'pending' || order.status === 'partially_filled')
+      .map(order => ({ ...order }));
+  }
+
+  // cancel a simulated order
+  async cancelOrder(orderId) {
+    const order = this.orders.get(orderId);
+
+    if (!order) {
+      throw new Error(`Paper order not found: ${orderId}`);
+    }
+
+    if (order.status === 'pending' || order.status === 'partially_filled') {
+      order.status = 'cancelled';
+      order.updated_at = Date.now();
+      this.save();
+    }
+
+    return { ...order };
+  }
+
+  // cancel multiple simulated orders
+  async cancelMultipleOrders(orderIds) {
+    const results = [];
+    for (const orderId of orderIds) {
+      results.push(await this.cancelOrder(orderId));
+    }
+    return results;
+  }
+
+  // get virtual wallet balance and positions
+  async getWalletInfo() {
+    return {
+      address: this.walletAddress,
+      balance: this.balance,
+      positions: Array.from(this.positions.entries()).map(([tokenId, position]) => ({
+        token_id: tokenId,
+        size: position.size,
+        avg_price: position.size > 0 ? position.cost / position.size : 0
+      })),
+      paper: true
+    };
+  }
+
+  // pay a resolved token's holding into the virtual balance
+  redeem(tokenId, payout) {
+    const position = this.positions.get(tokenId);
+    if (!position) return 0;
+
+    const proceeds = position.size * payout;
+    this.balance += proceeds;
+    this.positions.delete(tokenId);
+    this.save();
+
+    logger.info('Paper position redeemed', { tokenId, shares: position.size, payout, balance: this.balance });
+    return proceeds;
+  }
+
+  // fill as much of an order as the last fetched book allows
+  matchOrder(order) {
+    const book = this.lastBooks.get(order.token_id);
+    const remaining = order.original_size - order.size_matched;
+
+    if (!book || remaining <= 0) {
+      return;
+    }
+
+    const isBuy = order.side === 'buy';
+    const levels = isBuy ? book.asks : book.bids;
+    const limitPrice = order.order_type === 'market' ? null : order.price;
+    let size = remaining;
+
+    // cannot spend more usdc than the virtual balance or sell more shares than held
+    if (isBuy) {
+      const affordable = walkBook(levels, { size, limitPrice, side: order.side });
+      const cost = affordable.notional * (1 + this.feeRate);
+      if (cost > this.balance) {
+        size = size * (this.balance / cost);
+      }
+    } else {
+      size = Math.min(size, this.positions.get(order.token_id)?.size || 0);
+    }
+
+    const result = walkBook(levels, { size, limitPrice, side: order.side });
+
+    if (result.filledSize <= 0) {
+      return;
+    }
+
+    // apply slippage on every fill, never worse than the limit price
+    const slip = this.slippageBps / 10000;
+    let notional = 0;
+    for (const fill of result.fills) {
+      let fillPrice = isBuy ? fill.price * (1 + slip) : fill.price * (1 - slip);
+      if (limitPrice !== null) {
+        fillPrice = isBuy ? Math.min(fillPrice, limitPrice) : Math.max(fillPrice, limitPrice);
+      }
+      order.fills.push({ price: fillPrice, size: fill.size, timestamp: Date.now() });
+      notional += fillPrice * fill.size;
+    }
+
+    this.consumeLiquidity(levels, result.fills);
+    this.applyFill(order, result.filledSize, notional);
+  }
+
+  // remove filled size from the cached book so it cannot be filled twice
+  consumeLiquidity(levels, fills) {
+    for (const fill of fills) {
+      const level = levels.find(l => l.price === fill.price);
+      if (level) {
+        level.size -= fill.size;
+      }
+    }
+
+    for (let i = levels.length - 1; i >= 0; i--) {
+      if (levels[i].size <= 1e-9) {
+        levels.splice(i, 1);
+      }
+    }
+  }
+
+  // update order, balance and holdings after a fill
+  applyFill(order, size, notional) {
+    const position = this.positions.get(order.token_id) || { size: 0, cost: 0 };
+
+    // fees are charged on top of buys and out of sell proceeds
+    const fee = notional * this.feeRate;
+    if (order.side === 'buy') {
+      this.balance -= notional + fee;
+      position.size += size;
+      position.cost += notional;
+    } else {
+      const averageCost = position.size > 0 ? position.cost / position.size : 0;
+      this.balance += notional - fee;
+      position.cost -= averageCost * size;
+      position.size -= size;
+    }
+
+    if (position.size <= 1e-9) {
+      this.positions.delete(order.token_id);
+    } else {
+      this.positions.set(order.token_id, position);
+    }
+
+    order.amount_matched += notional;
+    order.size_matched += size;
+    order.avg_price = order.amount_matched / order.size_matched;
+    order.status = order.size_matched >= order.original_size - 1e-9 ? 'filled' : 'partially_filled';
+    order.updated_at = Date.now();
+
+    logger.info('Paper order filled', {
+      orderId: order.order_id,
+      tokenId: order.token_id,
+      side: order.side,
+      size,
+      avgPrice: notional / size,
+      status: order.status,
+      balance: this.balance
+    });
+  }
+}
+
+export default PaperPolymarketClient;
@@ -1,12 +1,34 @@
 import axios from 'axios';
+import { Wallet } from 'ethers';
 import config from '../config/config.js';
 import logger from '../utils/logger.js';
+import ExecutionPlanner from './ExecutionPlanner.js';
+import {
+  SIGNATURE_TYPES,
+  orderDomain,
+  buildOrder,
+  signOrder,
+  orderToJson,
+  buildL1Headers,
+  buildL2Headers,
+  redactSecrets
+} from '../utils/clobAuth.js';
+
+// public market data responses kept by a FeedRecorder
+const RECORDED_PATHS = ['/book', '/pricing', '/markets'];
 
 export class PolymarketClient {
-  constructor() {
+  constructor(recorder = null) {
     this.baseURL = config.POLYMARKET_CLOB_URL;
     this.privateKey = config.POLYMARKET_PRIVATE_KEY;
     this.walletAddress = config.POLYMARKET_WALLET_ADDRESS;
+    this.chainId = config.POLYMARKET_CHAIN_ID;
+    this.signatureType = config.POLYMARKET_SIGNATURE_TYPE;
+    this.domain = orderDomain(this.chainId, config.POLYMARKET_EXCHANGE_ADDRESS);
+    this.wallet = null; // Created on first signature so paper mode never needs a real key
+    this.credentials = config.POLYMARKET_API_KEY
+      ? { apiKey: config.POLYMARKET_API_KEY, secret: config.POLYMARKET_API_SECRET, passphrase: config.POLYMARKET_API_PASSPHRASE }
+      : null;
     this.client = axios.create({
       baseURL: this.baseURL,
       headers: {
@@ -21,7 +43,7 @@ export class PolymarketClient {
         logger.debug('Polymarket API request', {
           method: config.method,
           url: config.url,
-          data: config.data ? { ...config.data, privateKey: '***' } : undefined
+          data: config.data ? redactSecrets(config.data) : undefined
         });
         return config;
       },
@@ -37,7 +59,7 @@ export class PolymarketClient {
         logger.debug('Polymarket API response', {
           status: response.status,
           url: response.config.url,
-          data: response.data
+          data: redactSecrets(response.data)
         });
         return response;
       },
@@ -46,11 +68,13 @@ export class PolymarketClient {
           status: error.response?.status,
           url: error.config?.url,
           message: error.message,
-          data: error.response?.data
+          data: redactSecrets(error.response?.data)
         });
         return Promise.reject(error);
       }
     );
+
+    recorder?.attachHttp(this.client, 'polymarket-rest', RECORDED_PATHS);
   }
 
   // get market orderbook
@@ -107,27 +131,124 @@ export class PolymarketClient {
     }
   }
 
+  // signing wallet for orders and api credentials
+  getWallet() {
+    if (!this.wallet) {
+      this.wallet = new Wallet(this.privateKey);
+    }
+    return this.wallet;
+  }
+
+  // use configured l2 api credentials, or derive them with an l1 signature (creating them the first time)
+  async getApiCredentials() {
+    if (this.credentials) {
+      return this.credentials;
+    }
+
+    const wallet = this.getWallet();
+    let data;
+
+    try {
+      const response = await this.client.get('/auth/derive-api-key', {
+        headers: await buildL1Headers(wallet, this.chainId)
+      });
+      data = response.data;
+    } catch (error) {
+      logger.info('No Polymarket API key to derive, creating one', { address: wallet.address });
+      const response = await this.client.post('/auth/api-key', null, {
+        headers: await buildL1Headers(wallet, this.chainId)
+      });
+      data = response.data;
+    }
+
+    if (!data?.apiKey || !data?.secret || !data?.passphrase) {
+      throw new Error('Polymarket did not return API credentials');
+    }
+
+    this.credentials = { apiKey: data.apiKey, secret: data.secret, passphrase: data.passphrase };
+    logger.info('Derived Polymarket API credentials', { address: wallet.address });
+    return this.credentials;
+  }
+
+  // send a request signed with l2 hmac headers
+  async authRequest(method, requestPath, { data, params } = {}) {
+    const credentials = await this.getApiCredentials();
+    const body = data === undefined ? '' : JSON.stringify(data);
+
+    const response = await this.client.request({
+      method,
+      url: requestPath,
+      params,
+      data: body || undefined,
+      headers: buildL2Headers(this.getWallet().address, credentials, { method, requestPath, body })
+    });
+    return response.data;
+  }
+
+  // build and sign a clob order (amount is usdc notional at the order price)
+  async createSignedOrder(orderData) {
+    const wallet = this.getWallet();
+    const price = parseFloat(orderData.price);
+
+    // an eoa signs for itself, proxy and safe wallets are funded by POLYMARKET_WALLET_ADDRESS
+    if (this.signatureType === SIGNATURE_TYPES.EOA && this.walletAddress.toLowerCase() !== wallet.address.toLowerCase()) {
+      throw new Error('POLYMARKET_WALLET_ADDRESS must be the signing key address when POLYMARKET_SIGNATURE_TYPE is 0');
+    }
+
+    const order = buildOrder({
+      maker: this.walletAddress,
+      signer: wallet.address,
+      tokenId: orderData.token_id,
+      side: orderData.side,
+      price,
+      size: orderData.amount / price,
+      signatureType: this.signatureType
+    });
+
+    return signOrder(wallet, order, this.domain);
+  }
+
+  // post order payload; market orders fill what they can immediately and cancel the rest
+  async buildOrderPayload(orderData) {
+    const signedOrder = await this.createSignedOrder(orderData);
+    const credentials = await this.getApiCredentials();
+    return orderToJson(signedOrder, credentials.apiKey, orderData.order_type === 'market' ? 'FAK' : 'GTC');
+  }
+
+  // keep what we asked for alongside the exchange response so the order can be tracked
+  describePlacedOrder(orderData, response) {
+    const price = parseFloat(orderData.price);
+    return {
+      ...response,
+      order_id: response?.orderID,
+      token_id: orderData.token_id,
+      side: orderData.side,
+      price,
+      original_size: orderData.amount / price
+    };
+  }
+
   // place a single order
   async placeOrder(orderData) {
     try {
-      const orderPayload = {
-        ...orderData,
-        maker: this.walletAddress,
-        private_key: this.privateKey
-      };
-
       logger.info('Placing order', {
-        token_id: orderPayload.token_id,
-        side: orderPayload.side,
-        amount: orderPayload.amount,
-        price: orderPayload.price
+        token_id: orderData.token_id,
+        side: orderData.side,
+        amount: orderData.amount,
+        price: orderData.price
       });
 
-      const response = await this.client.post('/orders', orderPayload);
-      return response.data;
+      const payload = await this.buildOrderPayload(orderData);
+      const response = await this.authRequest('POST', '/order', { data: payload });
+
+      if (response?.success === false) {
+        throw new Error(response.errorMsg || 'Order rejected');
+      }
+
+      return this.describePlacedOrder(orderData, response);
     } catch (error) {
       logger.error('Failed to place order', { 
-        orderData: { ...orderData, private_key: '***' },
+        orderData,
         error: error.message 
       });
       throw error;
@@ -137,18 +258,15 @@ export class PolymarketClient {
   // place multiple orders (batching)
   async placeMultipleOrders(orders) {
     try {
-      const ordersPayload = orders.map(order => ({
-        ...order,
-        maker: this.walletAddress,
-        private_key: this.privateKey
-      }));
-
       logger.info('Placing multiple orders', { count: orders.length });
 
-      const response = await this.client.post('/orders/batch', {
-        orders: ordersPayload
-      });
-      return response.data;
+      const payloads = [];
+      for (const order of orders) {
+        payloads.push(await this.buildOrderPayload(order));
+      }
+
+      const response = await this.authRequest('POST', '/orders', { data: payloads });
+      return (Array.isArray(response) ? response : []).map((result, index) => this.describePlacedOrder(orders[index], result));
     } catch (error) {
       logger.error('Failed to place multiple orders', { 
         ordersCount: orders.length,
@@ -161,8 +279,7 @@ export class PolymarketClient {
   // get specific order details
   async getOrder(orderId) {
     try {
-      const response = await this.client.get(`/orders/${orderId}`);
-      return response.data;
+      return await this.authRequest('GET', `/data/order/${orderId}`);
     } catch (error) {
       logger.error('Failed to get order', { orderId, error: error.message });
       throw error;
@@ -172,13 +289,8 @@ export class PolymarketClient {
   // get active orders for the wallet
   async getActiveOrders() {
     try {
-      const response = await this.client.get('/orders', {
-        params: {
-          maker: this.walletAddress,
-          status: 'active'
-        }
-      });
-      return response.data;
+      const response = await this.authRequest('GET', '/data/orders');
+      return Array.isArray(response) ? response : (response?.data || []);
     } catch (error) {
       logger.error('Failed to get active orders', { error: error.message });
       throw error;
@@ -188,12 +300,7 @@ export class PolymarketClient {
   // cancel specific order(s)
   async cancelOrder(orderId) {
     try {
-      const response = await this.client.delete(`/orders/${orderId}`, {
-        data: {
-          private_key: this.privateKey
-        }
-      });
-      return response.data;
+      return await this.authRequest('DELETE', '/order', { data: { orderID: orderId } });
     } catch (error) {
       logger.error('Failed to cancel order', { orderId, error: error.message });
       throw error;
@@ -203,13 +310,7 @@ export class PolymarketClient {
   // cancel multiple orders
   async cancelMultipleOrders(orderIds) {
     try {
-      const response = await this.client.delete('/orders/batch', {
-        data: {
-          order_ids: orderIds,
-          private_key: this.privateKey
-        }
-      });
-      return response.data;
+      return await this.authRequest('DELETE', '/orders', { data: orderIds });
     } catch (error) {
       logger.error('Failed to cancel multiple orders', { orderIds, error: error.message });
       throw error;
@@ -232,7 +333,22 @@ export class PolymarketClient {
     }
   }
 
-  // buy contract (YES side)
+  // get our own trades by id (an order lists its trades in associate_trades)
+  async getTradesById(tradeIds) {
+    try {
+      const trades = [];
+      for (const id of tradeIds) {
+        const response = await this.authRequest('GET', '/data/trades', { params: { id } });
+        trades.push(...(Array.isArray(response) ? response : (response?.data || [])));
+      }
+      return trades;
+    } catch (error) {
+      logger.error('Failed to get trades by id', { tradeIds, error: error.message });
+      throw error;
+    }
+  }
+
+  // buy outcome tokens (either side of a binary market has its own token, the NO side is bought by its token id)
   async buyContract(tokenId, amount, price) {
     return this.placeOrder({
       token_id: tokenId,
@@ -243,7 +359,7 @@ export class PolymarketClient {
     });
   }
 
-  // sell contract (NO side)
+  // sell outcome tokens we hold (closing a position, not taking the other side)
   async sellContract(tokenId, amount, price) {
     return this.placeOrder({
       token_id: tokenId,
@@ -254,22 +370,21 @@ export class PolymarketClient {
     });
   }
 
-  // create a market order to buy
+  // create a market order to buy, walking the asks within the slippage limit
   async marketBuy(tokenId, amount) {
     try {
-      // get current orderbook to determine market price
       const orderbook = await this.getOrderbook(tokenId);
-      const bestAsk = orderbook.asks?.[0];
+      const plan = new ExecutionPlanner().plan(orderbook, { side: 'buy', amount });
       
-      if (!bestAsk) {
-        throw new Error('No asks available for market buy');
+      if (!plan.executable) {
+        throw new Error(`Cannot market buy: ${plan.reason}`);
       }
 
       return this.placeOrder({
         token_id: tokenId,
         side: 'buy',
-        amount: amount,
-        price: bestAsk.price,
+        amount: plan.size * plan.worstPrice,
+        price: plan.worstPrice,
         order_type: 'market'
       });
     } catch (error) {
@@ -278,22 +393,21 @@ export class PolymarketClient {
     }
   }
 
-  // create a market order to sell
+  // create a market order to sell, walking the bids within the slippage limit
   async marketSell(tokenId, amount) {
     try {
-      // get current orderbook to determine market price
       const orderbook = await this.getOrderbook(tokenId);
-      const bestBid = orderbook.bids?.[0];
+      const plan = new ExecutionPlanner().plan(orderbook, { side: 'sell', amount });
       
-      if (!bestBid) {
-        throw new Error('No bids available for market sell');
+      if (!plan.executable) {
+        throw new Error(`Cannot market sell: ${plan.reason}`);
       }
 
       return this.placeOrder({
         token_id: tokenId,
         side: 'sell',
-        amount: amount,
-        price: bestBid.price,
+        amount: plan.size * plan.worstPrice,
+        price: plan.worstPrice,
         order_type: 'market'
       });
     } catch (error) {
@@ -0,0 +1,346 @@
+import WebSocket from 'ws';
+import config from '../config/config.js';
+import logger from '../utils/logger.js';
+
+// subscriber for the clob market channel, keeps a local orderbook per token
+export class PolymarketMarketFeed {
+  constructor(recorder = null) {
+    this.ws = null;
+    this.recorder = recorder; // FeedRecorder that keeps every raw message, when recording
+    this.isConnected = false;
+    this.isClosing = false;
+    this.reconnectAttempts = 0;
+    this.maxReconnectAttempts = 10;
+    this.reconnectDelay = 5000;
+    this.pingInterval = 10000; // the server drops sockets that stay quiet
+    this.pingTimer = null;
+    this.assetIds = new Set(); // Tokens to stay subscribed to across reconnects
+    this.books = new Map(); // Store local orderbooks by token id
+    this.connectedAt = null;
+    this.disconnectedAt = null;
+    this.lastMessageAt = null;
+    this.messageHandlers = new Map();
+  }
+
+  // initialize websocket connection
+  async connect() {
+    try {
+      this.isClosing = false;
+      logger.info('Connecting to Polymarket market WebSocket...', { uri: config.POLYMARKET_WS_URL });
+
+      this.ws = new WebSocket(config.POLYMARKET_WS_URL);
+
+      this.ws.on('open', () => {
+        logger.info('Connected to Polymarket market WebSocket');
+        this.isConnected = true;
+        this.reconnectAttempts = 0;
+        this.connectedAt = Date.now();
+        this.startPing();
+        this.resubscribe();
+      });
+
+      this.ws.on('message', (data) => {
+        this.handleMessage(data);
+      });
+
+      this.ws.on('close', (code, reason) => {
+        logger.warn('Polymarket market WebSocket connection closed', { code, reason: reason.toString() });
+        this.isConnected = false;
+        this.disconnectedAt = Date.now();
+        this.stopPing();
+
+        if (!this.isClosing) {
+          this.handleReconnection();
+        }
+      });
+
+      this.ws.on('error', (error) => {
+        logger.error('Polymarket market WebSocket error', { error: error.message });
+        this.isConnected = false;
+      });
+
+    } catch (error) {
+      logger.error('Failed to connect to Polymarket market WebSocket', { error: error.message });
+      this.handleReconnection();
+    }
+  }
+
+  // subscribe to more tokens, sent straight away when connected
+  subscribe(assetIds) {
+    const added = assetIds.filter(assetId => assetId && !this.assetIds.has(assetId));
+    if (added.length === 0) return;
+
+    added.forEach(assetId => this.assetIds.add(assetId));
+
+    if (this.isConnected && this.ws) {
+      logger.info('Subscribing to Polymarket tokens', { count: added.length });
+      this.ws.send(JSON.stringify({ assets_ids: added, operation: 'subscribe' }));
+    }
+  }
+
+  // stop following tokens and drop their books
+  unsubscribe(assetIds) {
+    const removed = assetIds.filter(assetId => this.assetIds.delete(assetId));
+    if (removed.length === 0) return;
+
+    removed.forEach(assetId => this.books.delete(assetId));
+
+    if (this.isConnected && this.ws) {
+      logger.info('Unsubscribing from Polymarket tokens', { count: removed.length });
+      this.ws.send(JSON.stringify({ assets_ids: removed, operation: 'unsubscribe' }));
+    }
+  }
+
+  // send the full subscription after (re)connecting, the server replies with fresh book snapshots
+  resubscribe() {
+    if (!this.isConnected || !this.ws) {
+      logger.error('Cannot subscribe: WebSocket not connected');
+      return;
+    }
+
+    const assetIds = Array.from(this.assetIds);
+    logger.info('Subscribing to Polymarket market channel', { tokens: assetIds.length });
+    this.ws.send(JSON.stringify({ assets_ids: assetIds, type: 'market' }));
+  }
+
+  // handle incoming messages (a single event or an array of events)
+  handleMessage(data) {
+    const text = data.toString();
+
+    if (text === 'PONG') {
+      return;
+    }
+
+    this.recorder?.record('polymarket-market', text, Date.now());
+
+    try {
+      const message = JSON.parse(text);
+      const events = Array.isArray(message) ? message : [message];
+
+      for (const event of events) {
+        this.handleEvent(event);
+      }
+    } catch (error) {
+      logger.error('Error parsing Polymarket market message', { error: error.message, data: text });
+    }
+  }
+
+  // dispatch one market channel event (only book and price events count as market data for the health checks)
+  handleEvent(event) {
+    if (['book', 'price_change', 'last_trade_price'].includes(event.event_type)) {
+      this.lastMessageAt = Date.now();
+    }
+
+    switch (event.event_type) {
+      case 'book':
+        this.applyBook(event);
+        break;
+
+      case 'price_change':
+        this.applyPriceChange(event);
+        break;
+
+      case 'last_trade_price':
+        logger.debug('Polymarket trade', { tokenId: event.asset_id, price: event.price, size: event.size });
+        this.emit('lastTrade', {
+          tokenId: event.asset_id,
+          price: parseFloat(event.price),
+          size: parseFloat(event.size),
+          side: event.side,
+          timestamp: parseInt(event.timestamp, 10) || Date.now()
+        });
+        break;
+
+      case 'tick_size_change':
+        logger.info('Polymarket tick size changed', { tokenId: event.asset_id, tickSize: event.new_tick_size });
+        break;
+
+      default:
+        logger.warn('Unknown Polymarket market event received', { eventType: event.event_type });
+    }
+  }
+
+  // replace a token's book with a full snapshot
+  applyBook(event) {
+    const book = {
+      bids: new Map(),
+      asks: new Map(),
+      timestamp: parseInt(event.timestamp, 10) || Date.now(),
+      hash: event.hash || null
+    };
+
+    for (const level of event.bids || event.buys || []) {
+      this.setLevel(book.bids, level.price, level.size);
+    }
+    for (const level of event.asks || event.sells || []) {
+      this.setLevel(book.asks, level.price, level.size);
+    }
+
+    const previous = this.getBestPrices(event.asset_id);
+    this.books.set(event.asset_id, book);
+    this.emitIfTopChanged(event.asset_id, previous, 'book');
+  }
+
+  // apply price level deltas (newer messages list changes per asset, older ones carry a single asset_id)
+  applyPriceChange(event) {
+    const changes = event.price_changes
+      || (event.changes || []).map(change => ({ ...change, asset_id: event.asset_id }));
+    const touched = new Map();
+
+    for (const change of changes) {
+      const book = this.books.get(change.asset_id);
+
+      // deltas are meaningless until the snapshot arrives
+      if (!book) continue;
+
+      if (!touched.has(change.asset_id)) {
+        touched.set(change.asset_id, this.getBestPrices(change.asset_id));
+      }
+
+      const levels = String(change.side).toUpperCase() === 'BUY' ? book.bids : book.asks;
+      this.setLevel(levels, change.price, change.size);
+      book.timestamp = parseInt(event.timestamp, 10) || Date.now();
+      book.hash = change.hash || book.hash;
+    }
+
+    for (const [assetId, previous] of touched.entries()) {
+      this.emitIfTopChanged(assetId, previous, 'price_change');
+    }
+  }
+
+  // set or remove one price level
+  setLevel(levels, price, size) {
+    const key = parseFloat(price);
+    const amount = parseFloat(size);
+
+    if (amount > 0) {
+      levels.set(key, amount);
+    } else {
+      levels.delete(key);
+    }
+  }
+
+  // emit a book update when the best bid or ask moved
+  emitIfTopChanged(tokenId, previous, source) {
+    const current = this.getBestPrices(tokenId);
+
+    if (previous && previous.bestBid === current.bestBid && previous.bestAsk === current.bestAsk) {
+      return;
+    }
+
+    this.emit('bookUpdate', { tokenId, ...current, source });
+  }
+
+  // get a token's book in /book response shape, best price first
+  getOrderbook(tokenId) {
+    const book = this.books.get(tokenId);
+    if (!book) return null;
+
+    const toLevels = (levels) => Array.from(levels.entries()).map(([price, size]) => ({ price, size }));
+
+    return {
+      asset_id: tokenId,
+      bids: toLevels(book.bids).sort((a, b) => b.price - a.price),
+      asks: toLevels(book.asks).sort((a, b) => a.price - b.price),
+      timestamp: book.timestamp,
+      hash: book.hash
+    };
+  }
+
+  // best bid, best ask and midpoint for a token
+  getBestPrices(tokenId) {
+    const book = this.books.get(tokenId);
+    if (!book) return null;
+
+    const bestBid = book.bids.size > 0 ? Math.max(...book.bids.keys()) : null;
+    const bestAsk = book.asks.size > 0 ? Math.min(...book.asks.keys()) : null;
+
+    return {
+      bestBid,
+      bestAsk,
+      midpoint: bestBid !== null && bestAsk !== null ? (bestBid + bestAsk) / 2 : null,
+      timestamp: book.timestamp
+    };
+  }
+
+  // keep the socket alive with text pings
+  startPing() {
+    this.stopPing();
+    this.pingTimer = setInterval(() => {
+      if (this.isConnected && this.ws) {
+        this.ws.send('PING');
+      }
+    }, this.pingInterval);
+  }
+
+  stopPing() {
+    if (this.pingTimer) {
+      clearInterval(this.pingTimer);
+      this.pingTimer = null;
+    }
+  }
+
+  // handle reconnection logic
+  handleReconnection() {
+    if (this.reconnectAttempts >= this.maxReconnectAttempts) {
+      logger.error('Max Polymarket market reconnection attempts reached. Stopping reconnection.');
+      return;
+    }
+
+    this.reconnectAttempts++;
+    const delay = this.reconnectDelay * Math.pow(2, this.reconnectAttempts - 1);
+
+    logger.info(`Attempting Polymarket market reconnection ${this.reconnectAttempts}/${this.maxReconnectAttempts} in ${delay}ms`);
+
+    setTimeout(() => {
+      this.connect();
+    }, delay);
+  }
+
+  // event emitter functionality
+  on(event, handler) {
+    if (!this.messageHandlers.has(event)) {
+      this.messageHandlers.set(event, []);
+    }
+    this.messageHandlers.get(event).push(handler);
+  }
+
+  emit(event, data) {
+    const handlers = this.messageHandlers.get(event) || [];
+    handlers.forEach(handler => {
+      try {
+        handler(data);
+      } catch (error) {
+        logger.error('Error in event handler', { event, error: error.message });
+      }
+    });
+  }
+
+  // get current connection status
+  getConnectionStatus() {
+    return {
+      isConnected: this.isConnected,
+      reconnectAttempts: this.reconnectAttempts,
+      maxReconnectAttempts: this.maxReconnectAttempts,
+      subscribedTokens: this.assetIds.size,
+      books: this.books.size,
+      connectedAt: this.connectedAt,
+      disconnectedAt: this.disconnectedAt,
+      lastMessageAt: this.lastMessageAt
+    };
+  }
+
+  // close connection without reconnecting
+  close() {
+    this.isClosing = true;
+    this.stopPing();
+
+    if (this.ws) {
+      this.ws.close();
+      this.isConnected = false;
+      logger.info('Polymarket market WebSocket connection closed');
+    }
+  }
+}
+
+export default PolymarketMarketFeed;
@@ -0,0 +1,168 @@
+import logger from '../utils/logger.js';
+import { orderIdOf } from './OrderManager.js';
+
+// share differences smaller than this are rounding, not discrepancies
+const SIZE_TOLERANCE = 0.01;
+
+// compares local positions and tracked orders with what the exchange reports
+export class PositionReconciler {
+  constructor(polymarketClient, orderManager) {
+    this.polymarketClient = polymarketClient;
+    this.orderManager = orderManager;
+    this.lastReport = null;
+  }
+
+  // reconcile the local position map in place and return a discrepancy report
+  // (settled tokens are left out, any still in the wallet have already been paid out)
+  async reconcile(activePositions, { paper = false, settledTokens = new Set() } = {}) {
+    const walletInfo = await this.polymarketClient.getWalletInfo();
+    const openOrders = await this.polymarketClient.getActiveOrders();
+
+    const exchangePositions = new Map();
+    for (const raw of walletInfo?.positions || []) {
+      const position = this.normalizePosition(raw);
+      if (position.tokenId && position.shares > SIZE_TOLERANCE && !settledTokens.has(position.tokenId)) {
+        exchangePositions.set(position.tokenId, position);
+      }
+    }
+
+    const report = {
+      timestamp: Date.now(),
+      exchangePositions: exchangePositions.size,
+      localPositions: activePositions.size,
+      openOrders: (openOrders || []).length,
+      adopted: [],
+      missingOnChain: [],
+      sizeMismatches: [],
+      untrackedOrders: [],
+      changedPositions: []
+    };
+
+    // positions held on the exchange
+    for (const [tokenId, held] of exchangePositions.entries()) {
+      const local = activePositions.get(tokenId);
+
+      if (!local) {
+        const adopted = this.adoptPosition(held, paper);
+        activePositions.set(tokenId, adopted);
+        report.adopted.push({ tokenId, shares: held.shares, price: held.price });
+        report.changedPositions.push(adopted);
+        continue;
+      }
+
+      if (local.reconcileFlag) {
+        delete local.reconcileFlag;
+        report.changedPositions.push(local);
+      }
+
+      // fills still being reported for an open order explain a temporary difference
+      if (this.hasOpenOrder(tokenId)) {
+        continue;
+      }
+
+      if (Math.abs((local.shares || 0) - held.shares) > SIZE_TOLERANCE) {
+        report.sizeMismatches.push({ tokenId, localShares: local.shares || 0, exchangeShares: held.shares });
+
+        // the exchange is the source of truth, keep the local average price
+        local.shares = held.shares;
+        local.amount = held.shares * local.price;
+        local.status = 'open';
+        report.changedPositions.push(local);
+      }
+    }
+
+    // positions we think we hold that the exchange does not know about
+    for (const [tokenId, local] of activePositions.entries()) {
+      if (exchangePositions.has(tokenId) || !(local.shares > SIZE_TOLERANCE) || this.hasOpenOrder(tokenId)) {
+        continue;
+      }
+
+      report.missingOnChain.push({ tokenId, localShares: local.shares, amount: local.amount });
+
+      if (local.reconcileFlag !== 'missing_on_chain') {
+        local.reconcileFlag = 'missing_on_chain';
+        report.changedPositions.push(local);
+      }
+    }
+
+    // open exchange orders nobody is following yet
+    for (const raw of openOrders || []) {
+      const orderId = orderIdOf(raw);
+      if (!orderId || this.orderManager.isTracking(orderId)) {
+        continue;
+      }
+
+      const order = this.orderManager.normalizeOrder(raw, { purpose: 'adopted', placed_at: Date.now() });
+      this.orderManager.resume(order);
+      report.untrackedOrders.push({ orderId, tokenId: order.token_id, side: order.side, price: order.price, sizeMatched: order.size_matched });
+    }
+
+    this.logReport(report);
+    this.lastReport = report;
+    return report;
+  }
+
+  // build a local position from an exchange holding
+  adoptPosition(held, paper) {
+    return {
+      tokenId: held.tokenId,
+      gameKey: null,
+      gameInfo: null,
+      orderId: null,
+      amount: held.shares * held.price,
+      shares: held.shares,
+      price: held.price,
+      pendingAmount: 0,
+      buyTime: Date.now(),
+      valueAnalysis: null,
+      paper,
+      exitOrderId: null,
+      exitPending: false,
+      status: 'open',
+      adopted: true
+    };
+  }
+
+  // normalize a wallet position entry
+  normalizePosition(raw) {
+    return {
+      tokenId: raw.token_id ?? raw.asset_id ?? raw.asset,
+      shares: parseFloat(raw.size ?? raw.shares ?? raw.balance ?? 0),
+      price: parseFloat(raw.avg_price ?? raw.avgPrice ?? raw.price ?? 0)
+    };
+  }
+
+  // check whether a tracked order is still working on a token
+  hasOpenOrder(tokenId) {
+    return this.orderManager.getOpenOrders().some(order => order.token_id === tokenId);
+  }
+
+  // log every discrepancy and a summary
+  logReport(report) {
+    report.adopted.forEach(entry => logger.warn('Adopted position found on exchange', entry));
+    report.missingOnChain.forEach(entry => logger.warn('Local position not found on exchange', entry));
+    report.sizeMismatches.forEach(entry => logger.warn('Position size differs from exchange', entry));
+    report.untrackedOrders.forEach(entry => logger.warn('Tracking open order placed outside this session', entry));
+
+    logger.info('Position reconciliation complete', {
+      exchangePositions: report.exchangePositions,
+      localPositions: report.localPositions,
+      openOrders: report.openOrders,
+      discrepancies: this.countDiscrepancies(report)
+    });
+  }
+
+  countDiscrepancies(report) {
+    return report.adopted.length + report.missingOnChain.length + report.sizeMismatches.length + report.untrackedOrders.length;
+  }
+
+  // get the last report for status output
+  getStatus() {
+    return {
+      lastRun: this.lastReport?.timestamp || null,
+      discrepancies: this.lastReport ? this.countDiscrepancies(this.lastReport) : null
+    };
+  }
+}
+
+export default PositionReconciler;
@@ -0,0 +1,73 @@
+import config from '../config/config.js';
+
+// sizes entries with fractional kelly, then clips them to the exposure caps
+export class PositionSizer {
+  constructor() {
+    this.kellyMultiplier = config.KELLY_FRACTION;
+    this.maxPositionSize = config.MAX_POSITION_SIZE;
+    this.maxGameExposure = config.MAX_GAME_EXPOSURE;
+    this.maxTeamExposure = config.MAX_TEAM_EXPOSURE;
+    this.maxDailyExposure = config.MAX_DAILY_EXPOSURE;
+    this.minOrderSize = config.MIN_ORDER_SIZE;
+  }
+
+  // full kelly fraction of bankroll for a contract paying 1 bought at price
+  kellyFraction(fairProbability, price) {
+    if (!(price > 0 && price < 1) || !(fairProbability > 0 && fairProbability < 1)) {
+      return 0;
+    }
+    return Math.max((fairProbability - price) / (1 - price), 0);
+  }
+
+  // work out the usdc amount to buy and why (exposure holds current usdc at risk, sizeHint and budget come from the strategy)
+  size({ fairProbability, price, bankroll, exposure = {}, sizeHint = 1, budget = null }) {
+    const fullKelly = this.kellyFraction(fairProbability, price);
+    const kellyAmount = Math.max(bankroll, 0) * fullKelly * this.kellyMultiplier * sizeHint;
+
+    // room left under each cap
+    const caps = {
+      kelly: kellyAmount,
+      bankroll: Math.max(bankroll, 0),
+      total: this.maxPositionSize - (exposure.total || 0),
+      game: this.maxGameExposure - (exposure.game || 0),
+      // totals have no team, so only the other caps apply
+      team: exposure.team === null ? Infinity : this.maxTeamExposure - (exposure.team || 0),
+      daily: this.maxDailyExposure - (exposure.daily || 0),
+      strategy: budget === null ? Infinity : budget - (exposure.strategy || 0)
+    };
+
+    let limitedBy = 'kelly';
+    for (const [name, room] of Object.entries(caps)) {
+      if (room < caps[limitedBy]) {
+        limitedBy = name;
+      }
+    }
+
+    let amount = Math.max(caps[limitedBy], 0);
+    let reason = null;
+
+    if (fullKelly <= 0) {
+      amount = 0;
+      reason = 'No edge at the executable price';
+    } else if (amount < this.minOrderSize) {
+      amount = 0;
+      reason = `Size below minimum order of $${this.minOrderSize} (limited by ${limitedBy})`;
+    }
+
+    return {
+      amount: Math.floor(amount * 100 + 1e-9) / 100, // whole cents, never above a cap
+      fairProbability,
+      price,
+      bankroll,
+      fullKelly,
+      kellyMultiplier: this.kellyMultiplier,
+      sizeHint,
+      kellyAmount,
+      limitedBy,
+      caps: Object.fromEntries(Object.entries(caps).map(([name, room]) => [name, Number.isFinite(room) ? room : null])),
+      reason
+    };
+  }
+}
+
+export default PositionSizer;
@@ -0,0 +1,32 @@
+import BoltOddsClient from './BoltOddsClient.js';
+import logger from '../utils/logger.js';
+
+// boltodds client that plays recorded messages from a FeedReplay instead of opening a socket
+export class ReplayBoltOddsClient extends BoltOddsClient {
+  constructor(replay) {
+    super();
+    this.replay = replay;
+
+    this.replay.on('boltodds', (record) => {
+      if (this.isConnected) {
+        this.handleMessage(record.data);
+      }
+    });
+  }
+
+  async connect() {
+    this.isConnected = true;
+    this.connectedAt = Date.now();
+    logger.info('Replaying BoltOdds feed');
+  }
+
+  // recorded messages already reflect the subscription that was active when they were received
+  subscribe() {}
+
+  close() {
+    this.isConnected = false;
+    this.disconnectedAt = Date.now();
+  }
+}
+
+export default ReplayBoltOddsClient;
@@ -0,0 +1,34 @@
+import PolymarketMarketFeed from './PolymarketMarketFeed.js';
+import logger from '../utils/logger.js';
+
+// polymarket market feed that plays recorded messages from a FeedReplay instead of opening a socket
+export class ReplayMarketFeed extends PolymarketMarketFeed {
+  constructor(replay) {
+    super();
+    this.replay = replay;
+
+    this.replay.on('polymarket-market', (record) => {
+      if (this.isConnected) {
+        this.handleMessage(record.data);
+      }
+    });
+  }
+
+  async connect() {
+    this.isClosing = false;
+    this.isConnected = true;
+    this.connectedAt = Date.now();
+    logger.info('Replaying Polymarket market feed');
+  }
+
+  // recorded messages already cover the tokens that were subscribed when they were received
+  resubscribe() {}
+
+  close() {
+    this.isClosing = true;
+    this.isConnected = false;
+    this.disconnectedAt = Date.now();
+  }
+}
+
+export default ReplayMarketFeed;
@@ -0,0 +1,235 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import config from '../config/config.js';
+import logger from '../utils/logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const MINUTE_MS = 60 * 1000;
+
+// pre-trade risk checks plus a kill switch that survives restarts
+export class RiskManager {
+  constructor(filePath = config.RISK_STATE_FILE) {
+    this.filePath = path.isAbsolute(filePath) ? filePath : path.join(__dirname, '../../', filePath);
+    this.dailyLossLimit = config.DAILY_LOSS_LIMIT;
+    this.maxOpenPositions = config.MAX_OPEN_POSITIONS;
+    this.maxGameExposure = config.MAX_GAME_EXPOSURE;
+    this.maxOrdersPerMinute = config.MAX_ORDERS_PER_MINUTE;
+    this.minTradeInterval = config.MIN_TRADE_INTERVAL * 1000;
+    this.orderTimes = []; // Entry order timestamps within the last minute
+    this.reservedEntries = 0; // Entries reserved but not placed yet, counted against the rate limit
+    this.lastTradeByGame = new Map(); // Last entry time by game key
+    this.state = {
+      killSwitch: { active: false, reason: null, trippedAt: null },
+      daily: { date: this.today(), realizedPnl: 0 }
+    };
+    this.messageHandlers = new Map();
+  }
+
+  // load the persisted kill switch and today's realized p&l
+  load() {
+    if (!fs.existsSync(this.filePath)) {
+      return;
+    }
+
+    try {
+      const saved = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      this.state.killSwitch = { ...this.state.killSwitch, ...saved.killSwitch };
+
+      if (saved.daily?.date === this.today()) {
+        this.state.daily = saved.daily;
+      }
+
+      if (this.state.killSwitch.active) {
+        logger.warn('Kill switch is active, trading stays halted until it is reset', this.state.killSwitch);
+      }
+    } catch (error) {
+      // an unreadable state file must not silently re-enable trading
+      this.state.killSwitch = { active: true, reason: `Unreadable risk state file: ${error.message}`, trippedAt: Date.now() };
+      logger.error('Failed to load risk state, kill switch engaged', { file: this.filePath, error: error.message });
+    }
+  }
+
+  // write state atomically so a crash cannot leave a half-written file
+  save() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(this.state, null, 2));
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  // check a new entry order, tripping the kill switch on a loss limit breach
+  checkEntry({ gameKey, amount, openPositions, gameExposure, dailyPnl }) {
+    if (this.isHalted()) {
+      return this.reject(`Kill switch active: ${this.state.killSwitch.reason}`);
+    }
+
+    if (this.checkLossLimit(dailyPnl)) {
+      return this.reject(`Kill switch active: ${this.state.killSwitch.reason}`);
+    }
+
+    const now = Date.now();
+    this.orderTimes = this.orderTimes.filter(time => now - time < MINUTE_MS);
+
+    // the rate limit throttles, entries resume once the minute rolls over
+    const entries = this.orderTimes.length + this.reservedEntries;
+    if (entries >= this.maxOrdersPerMinute) {
+      return this.reject(`Order rate limit reached: ${entries} entries in the last minute (max ${this.maxOrdersPerMinute})`);
+    }
+
+    if (openPositions >= this.maxOpenPositions) {
+      return this.reject(`Maximum open positions reached (${openPositions}/${this.maxOpenPositions})`);
+    }
+
+    const exposureCheck = this.checkGameExposure(gameExposure, amount);
+    if (!exposureCheck.allowed) {
+      return exposureCheck;
+    }
+
+    const lastTrade = this.lastTradeByGame.get(gameKey);
+    if (lastTrade && now - lastTrade < this.minTradeInterval) {
+      return this.reject(`Last trade on this game was ${Math.round((now - lastTrade) / 1000)}s ago (min ${this.minTradeInterval / 1000}s)`);
+    }
+
+    return { allowed: true, reason: null };
+  }
+
+  checkGameExposure(gameExposure, amount) {
+    if (gameExposure + amount > this.maxGameExposure) {
+      return this.reject(`Game exposure would reach $${(gameExposure + amount).toFixed(2)} (max $${this.maxGameExposure})`);
+    }
+    return { allowed: true, reason: null };
+  }
+
+  reject(reason) {
+    return { allowed: false, reason };
+  }
+
+  // record a placed entry order for the rate limit and per-game spacing
+  recordEntry(gameKey) {
+    const now = Date.now();
+    this.orderTimes.push(now);
+    this.lastTradeByGame.set(gameKey, now);
+  }
+
+  // hold a rate limit slot and the game's trade spacing for an entry that is still being sized
+  reserveEntry(gameKey) {
+    const now = Date.now();
+    const entry = { gameKey, at: now, previous: this.lastTradeByGame.get(gameKey) ?? null };
+    this.reservedEntries++;
+    this.lastTradeByGame.set(gameKey, now);
+    return entry;
+  }
+
+  // a reserved entry's order went out, so it counts towards the rate limit from now on
+  confirmEntry() {
+    this.reservedEntries = Math.max(this.reservedEntries - 1, 0);
+    this.orderTimes.push(Date.now());
+  }
+
+  // give back a reserved entry whose order never went out
+  releaseEntry(entry) {
+    this.reservedEntries = Math.max(this.reservedEntries - 1, 0);
+
+    if (this.lastTradeByGame.get(entry.gameKey) === entry.at) {
+      if (entry.previous === null) {
+        this.lastTradeByGame.delete(entry.gameKey);
+      } else {
+        this.lastTradeByGame.set(entry.gameKey, entry.previous);
+      }
+    }
+  }
+
+  // add realized p&l from an exit fill to today's total
+  recordRealizedPnl(pnl) {
+    this.rollDay();
+    this.state.daily.realizedPnl += pnl;
+    this.save();
+  }
+
+  getDailyRealizedPnl() {
+    this.rollDay();
+    return this.state.daily.realizedPnl;
+  }
+
+  // trip the kill switch once the day's realized plus unrealized loss reaches the limit
+  checkLossLimit(dailyPnl) {
+    if (!this.isHalted() && dailyPnl <= -this.dailyLossLimit) {
+      this.trip(`Daily loss limit reached: $${dailyPnl.toFixed(2)} (limit -$${this.dailyLossLimit})`);
+    }
+    return this.isHalted();
+  }
+
+  // halt trading until an operator resets it
+  trip(reason) {
+    if (this.isHalted()) return;
+
+    this.state.killSwitch = { active: true, reason, trippedAt: Date.now() };
+    this.save();
+    logger.error('Kill switch tripped, trading halted', { reason });
+    this.emit('killSwitch', { ...this.state.killSwitch });
+  }
+
+  // operator reset from the cli
+  reset() {
+    const previous = { ...this.state.killSwitch };
+    this.state.killSwitch = { active: false, reason: null, trippedAt: null };
+    this.orderTimes = [];
+    this.save();
+    logger.warn('Kill switch reset by operator', { previousReason: previous.reason });
+    return previous;
+  }
+
+  isHalted() {
+    return this.state.killSwitch.active;
+  }
+
+  // start a fresh realized p&l total each local day
+  rollDay() {
+    const today = this.today();
+    if (this.state.daily.date !== today) {
+      this.state.daily = { date: today, realizedPnl: 0 };
+    }
+  }
+
+  today() {
+    const now = new Date();
+    return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+  }
+
+  // event emitter functionality
+  on(event, handler) {
+    if (!this.messageHandlers.has(event)) {
+      this.messageHandlers.set(event, []);
+    }
+    this.messageHandlers.get(event).push(handler);
+  }
+
+  emit(event, data) {
+    const handlers = this.messageHandlers.get(event) || [];
+    handlers.forEach(handler => {
+      try {
+        handler(data);
+      } catch (error) {
+        logger.error('Error in event handler', { event, error: error.message });
+      }
+    });
+  }
+
+  // get risk status for the cli
+  getStatus() {
+    const now = Date.now();
+    return {
+      killSwitch: { ...this.state.killSwitch },
+      dailyRealizedPnl: this.getDailyRealizedPnl(),
+      dailyLossLimit: this.dailyLossLimit,
+      ordersLastMinute: this.orderTimes.filter(time => now - time < MINUTE_MS).length,
+      maxOrdersPerMinute: this.maxOrdersPerMinute,
+      maxOpenPositions: this.maxOpenPositions
+    };
+  }
+}
+
+export default RiskManager;
@@ -0,0 +1,136 @@
+import config from '../config/config.js';
+import logger from '../utils/logger.js';
+import { equityCurve, periodKey, totalsByPeriod } from '../utils/performance.js';
+
+// a closed market's token prices within this of 1 and 0 count as resolved
+const RESOLVED_PRICE_TOLERANCE = 0.005;
+
+// payout per token (1 or 0) of a resolved market, or null while it is unresolved
+export function marketPayouts(market) {
+  const tokens = market?.tokens || [];
+  if (tokens.length === 0) return null;
+
+  if (tokens.some(token => token.winner)) {
+    return new Map(tokens.map(token => [token.token_id, token.winner ? 1 : 0]));
+  }
+
+  // without winner flags a closed market is resolved once its prices have gone to 1 and 0
+  const prices = tokens.map(token => parseFloat(token.price));
+  const winners = prices.filter(price => price >= 1 - RESOLVED_PRICE_TOLERANCE).length;
+  const losers = prices.filter(price => price <= RESOLVED_PRICE_TOLERANCE).length;
+  if (market.closed && winners === 1 && winners + losers === tokens.length) {
+    return new Map(tokens.map((token, i) => [token.token_id, prices[i] >= 0.5 ? 1 : 0]));
+  }
+  return null;
+}
+
+// settles positions on resolved markets and keeps the realized p&l ledger behind the equity curve
+export class SettlementService {
+  constructor(polymarketClient, { bankroll = 0 } = {}) {
+    this.polymarketClient = polymarketClient;
+    this.bankroll = bankroll; // Equity the curve starts from
+    this.feeRate = config.FEE_RATE_BPS / 10000;
+    this.ledger = []; // Realized p&l entries from exits and settlements, in time order
+    this.settledTokens = new Set(); // Paid out tokens, reconciliation ignores any still left in the wallet
+    this.lastCheck = null;
+  }
+
+  // fee charged on a fill's notional
+  fee(amount) {
+    return amount * this.feeRate;
+  }
+
+  // rebuild the ledger from the trade journal
+  restore(entries) {
+    this.ledger = [...entries].sort((a, b) => a.at - b.at);
+    this.settledTokens = new Set(entries.filter(entry => entry.source === 'settlement').map(entry => entry.tokenId));
+  }
+
+  recordPnl(entry) {
+    this.ledger.push({ at: Date.now(), ...entry });
+  }
+
+  // payouts of the positions whose markets have resolved, by token id (one market lookup per market)
+  async findResolutions(positions) {
+    const resolutions = new Map();
+    const markets = new Map();
+
+    for (const position of positions) {
+      if (!position.marketId) continue;
+      if (!markets.has(position.marketId)) {
+        markets.set(position.marketId, []);
+      }
+      markets.get(position.marketId).push(position);
+    }
+
+    for (const [marketId, held] of markets.entries()) {
+      try {
+        const payouts = marketPayouts(await this.polymarketClient.getMarket(marketId));
+        if (!payouts) continue;
+
+        for (const position of held) {
+          if (payouts.has(position.tokenId)) {
+            resolutions.set(position.tokenId, { marketId, payout: payouts.get(position.tokenId) });
+          }
+        }
+      } catch (error) {
+        logger.warn('Failed to check market resolution', { marketId, error: error.message });
+      }
+    }
+
+    this.lastCheck = Date.now();
+    return resolutions;
+  }
+
+  // pay a position's remaining shares at the payout, net of the entry fees it still carries
+  settle(position, payout) {
+    const proceeds = position.shares * payout;
+    const fees = position.fees || 0;
+    const settlement = {
+      tokenId: position.tokenId,
+      marketId: position.marketId ?? null,
+      gameKey: position.gameKey ?? null,
+      shares: position.shares,
+      payout,
+      proceeds,
+      cost: position.amount,
+      fees,
+      pnl: proceeds - position.amount - fees,
+      settledAt: Date.now()
+    };
+
+    this.settledTokens.add(position.tokenId);
+    this.recordPnl({ at: settlement.settledAt, tokenId: position.tokenId, pnl: settlement.pnl, fees, source: 'settlement' });
+    return settlement;
+  }
+
+  getEquityCurve() {
+    return equityCurve(this.ledger, this.bankroll);
+  }
+
+  // realized p&l per day, week or season
+  getTotals(period) {
+    return totalsByPeriod(this.ledger, period);
+  }
+
+  // realized p&l of the current day, week and season, and in total
+  getStatus(now = Date.now()) {
+    const current = (period) => this.ledger
+      .filter(entry => periodKey(entry.at, period) === periodKey(now, period))
+      .reduce((sum, entry) => sum + entry.pnl, 0);
+    const realizedPnl = this.ledger.reduce((sum, entry) => sum + entry.pnl, 0);
+
+    return {
+      settledPositions: this.settledTokens.size,
+      realizedPnl,
+      fees: this.ledger.reduce((sum, entry) => sum + (entry.fees || 0), 0),
+      equity: this.bankroll + realizedPnl,
+      today: current('day'),
+      week: current('week'),
+      season: current('season'),
+      lastCheck: this.lastCheck
+    };
+  }
+}
+
+export default SettlementService;
@@ -0,0 +1,197 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import config from '../config/config.js';
+import logger from '../utils/logger.js';
+import { applyClosingLine } from '../utils/performance.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// bump when the record layout changes and add a migration from the previous version
+export const SCHEMA_VERSION = 1;
+
+// migrations keyed by the version they upgrade from, each maps one record to the next version
+const migrations = {};
+
+// append-only jsonl journal of orders, fills, positions, trades and value snapshots
+export class TradeStore {
+  constructor(filePath = config.TRADE_JOURNAL_FILE) {
+    this.filePath = path.isAbsolute(filePath) ? filePath : path.join(__dirname, '../../', filePath);
+    this.schemaVersion = null;
+  }
+
+  // open the journal, creating it or upgrading an older schema
+  open() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+    const records = this.readRecords();
+
+    if (records.length === 0) {
+      fs.writeFileSync(this.filePath, this.serialize({ type: 'meta', schemaVersion: SCHEMA_VERSION, createdAt: Date.now() }));
+      this.schemaVersion = SCHEMA_VERSION;
+      logger.info('Created trade journal', { file: this.filePath, schemaVersion: SCHEMA_VERSION });
+      return;
+    }
+
+    const header = records[0];
+    const version = header.type === 'meta' ? header.schemaVersion : 0;
+
+    if (version > SCHEMA_VERSION) {
+      throw new Error(`Trade journal schema ${version} is newer than supported schema ${SCHEMA_VERSION}`);
+    }
+
+    if (version < SCHEMA_VERSION) {
+      this.migrate(records, version);
+    }
+
+    this.schemaVersion = SCHEMA_VERSION;
+  }
+
+  // rewrite the journal at the current schema, keeping a backup of the old file
+  migrate(records, fromVersion) {
+    let upgraded = records.filter(record => record.type !== 'meta');
+
+    for (let version = fromVersion; version < SCHEMA_VERSION; version++) {
+      const migration = migrations[version];
+      if (!migration) {
+        throw new Error(`No trade journal migration from schema ${version}`);
+      }
+      upgraded = upgraded.map(migration).filter(Boolean);
+    }
+
+    const backupPath = `${this.filePath}.v${fromVersion}.bak`;
+    fs.copyFileSync(this.filePath, backupPath);
+
+    const header = { type: 'meta', schemaVersion: SCHEMA_VERSION, createdAt: records[0].createdAt || Date.now(), migratedAt: Date.now() };
+    const tmpPath = `${this.filePath}.tmp`;
+    fs.writeFileSync(tmpPath, [header, ...upgraded].map(record => this.serialize(record)).join(''));
+    fs.renameSync(tmpPath, this.filePath);
+
+    logger.info('Migrated trade journal', { from: fromVersion, to: SCHEMA_VERSION, backup: backupPath });
+  }
+
+  // read every record, skipping a torn final line from a crash mid-write
+  readRecords() {
+    if (!fs.existsSync(this.filePath)) {
+      return [];
+    }
+
+    const records = [];
+    const lines = fs.readFileSync(this.filePath, 'utf8').split('\n').filter(line => line.trim());
+
+    lines.forEach((line, index) => {
+      try {
+        records.push(JSON.parse(line));
+      } catch (error) {
+        logger.warn('Skipping unreadable trade journal line', { line: index + 1, error: error.message });
+      }
+    });
+
+    return records;
+  }
+
+  serialize(record) {
+    return `${JSON.stringify(record)}\n`;
+  }
+
+  // append a record synchronously so it is on disk before trading continues
+  append(type, data) {
+    if (this.schemaVersion === null) {
+      throw new Error('Trade journal is not open');
+    }
+
+    fs.appendFileSync(this.filePath, this.serialize({ type, timestamp: Date.now(), data }));
+  }
+
+  recordOrder(order) {
+    this.append('order', order);
+  }
+
+  recordFill(fill) {
+    this.append('fill', fill);
+  }
+
+  recordPosition(position) {
+    this.append('position', position);
+  }
+
+  recordTrade(trade) {
+    this.append('trade', trade);
+  }
+
+  recordSnapshot(snapshot) {
+    this.append('snapshot', snapshot);
+  }
+
+  recordSettlement(settlement) {
+    this.append('settlement', settlement);
+  }
+
+  // a token's line when its game was removed, applied on load to the trades in that game
+  recordClosingLine(closingLine) {
+    this.append('closingLine', closingLine);
+  }
+
+  // replay the journal into the latest state
+  load() {
+    const positions = new Map();
+    const orders = new Map();
+    const tradingHistory = [];
+    const realized = []; // Realized p&l of exit fills and settlements, for the equity curve
+    let fills = 0;
+    let snapshots = 0;
+
+    for (const record of this.readRecords()) {
+      switch (record.type) {
+        case 'position':
+          // the last record for a token wins, closed positions drop out
+          if (record.data.status === 'closed') {
+            positions.delete(record.data.tokenId);
+          } else {
+            positions.set(record.data.tokenId, record.data);
+          }
+          break;
+
+        case 'order':
+          orders.set(record.data.order_id, record.data);
+          break;
+
+        case 'trade':
+          tradingHistory.push(record.data);
+          break;
+
+        case 'fill':
+          fills++;
+          if (record.data.realizedPnl !== undefined) {
+            realized.push({
+              at: record.timestamp,
+              tokenId: record.data.tokenId,
+              pnl: record.data.realizedPnl,
+              fees: (record.data.fee || 0) + (record.data.entryFees || 0),
+              source: 'exit'
+            });
+          }
+          break;
+
+        case 'settlement':
+          realized.push({ at: record.data.settledAt, tokenId: record.data.tokenId, pnl: record.data.pnl, fees: record.data.fees, source: 'settlement' });
+          break;
+
+        case 'snapshot':
+          snapshots++;
+          break;
+
+        case 'closingLine':
+          tradingHistory
+            .filter(trade => trade.tokenId === record.data.tokenId && trade.gameKey === record.data.gameKey && !trade.lines?.close)
+            .forEach(trade => applyClosingLine(trade, record.data.close));
+          break;
+      }
+    }
+
+    return { positions, orders, tradingHistory, realized, fills, snapshots };
+  }
+}
+
+export default TradeStore;
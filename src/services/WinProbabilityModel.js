@@ -0,0 +1,142 @@
+import config from '../config/config.js';
+
+const REGULATION_PERIODS = 3;
+const PERIOD_MINUTES = 20;
+const MAX_GOALS = 20; // Poisson tails past this are negligible for hockey scoring rates
+const MAX_FITTED_SHARES = 10000; // Cached home shares before the cache starts over
+
+// scoring rate multipliers for special teams, relative to even strength
+const POWER_PLAY_SECONDS = 120; // Penalty clocks are not in the game state, assume a full minor
+const POWER_PLAY_FOR = 2.7;
+const POWER_PLAY_AGAINST = 0.35;
+const EMPTY_NET_FOR = 2.0;
+const EMPTY_NET_AGAINST = 5.0;
+
+// live home win probability from a poisson scoring process anchored on the pregame price
+export class WinProbabilityModel {
+  constructor() {
+    this.goalsPerGame = config.MODEL_GOALS_PER_GAME;
+    this.fittedShares = new Map(); // Home shares by rounded expected total and pregame probability
+  }
+
+  // home win probability (overtime and shootout included) for a game state, null when it cannot be priced
+  winProbability({ pregameProbability, goalDifferential = 0, period = 1, clockRemaining = null, powerPlay = null, homeEmptyNet = false, awayEmptyNet = false, final = false }) {
+    if (!(pregameProbability > 0 && pregameProbability < 1)) {
+      return null;
+    }
+
+    if (final) {
+      return this.result(goalDifferential > 0 ? 1 : 0, { goalDifferential, minutesLeft: 0 });
+    }
+
+    // the home share of scoring that reproduces the pregame price over a full game
+    const homeShare = this.fitHomeShare(pregameProbability);
+    const homeRate = this.goalsPerGame * homeShare / 60;
+    const awayRate = this.goalsPerGame * (1 - homeShare) / 60;
+
+    // overtime is sudden death, so the side that scores faster wins it (the shootout is treated alike)
+    if (period > REGULATION_PERIODS) {
+      return this.result(goalDifferential === 0 ? homeShare : goalDifferential > 0 ? 1 : 0, { goalDifferential, homeShare, minutesLeft: 0 });
+    }
+
+    const periodMinutes = clockRemaining === null ? PERIOD_MINUTES : clockRemaining / 60;
+    const minutesLeft = (REGULATION_PERIODS - period) * PERIOD_MINUTES + periodMinutes;
+    let homeGoals = homeRate * minutesLeft;
+    let awayGoals = awayRate * minutesLeft;
+
+    if (powerPlay === 'home' || powerPlay === 'away') {
+      const powerPlayMinutes = Math.min(POWER_PLAY_SECONDS / 60, periodMinutes);
+      const homeFactor = powerPlay === 'home' ? POWER_PLAY_FOR : POWER_PLAY_AGAINST;
+      const awayFactor = powerPlay === 'away' ? POWER_PLAY_FOR : POWER_PLAY_AGAINST;
+      homeGoals += homeRate * powerPlayMinutes * (homeFactor - 1);
+      awayGoals += awayRate * powerPlayMinutes * (awayFactor - 1);
+    }
+
+    // a pulled goalie stays pulled for the rest of regulation
+    if (homeEmptyNet || awayEmptyNet) {
+      const emptyNetMinutes = period === REGULATION_PERIODS ? periodMinutes : 0;
+      homeGoals += homeRate * emptyNetMinutes * ((homeEmptyNet ? EMPTY_NET_FOR : EMPTY_NET_AGAINST) - 1);
+      awayGoals += awayRate * emptyNetMinutes * ((awayEmptyNet ? EMPTY_NET_FOR : EMPTY_NET_AGAINST) - 1);
+    }
+
+    const outcome = this.outcomeProbabilities(homeGoals, awayGoals, goalDifferential, homeShare);
+
+    return this.result(outcome.win, {
+      goalDifferential,
+      homeShare,
+      minutesLeft,
+      expectedHomeGoals: homeGoals,
+      expectedAwayGoals: awayGoals,
+      regulationWin: outcome.regulationWin,
+      tieProbability: outcome.tie
+    });
+  }
+
+  // regulation win, regulation tie and overall win probability for the remaining goals
+  outcomeProbabilities(homeGoals, awayGoals, goalDifferential, overtimeShare) {
+    const home = this.poisson(homeGoals);
+    const away = this.poisson(awayGoals);
+    let regulationWin = 0;
+    let tie = 0;
+
+    for (let i = 0; i <= MAX_GOALS; i++) {
+      for (let j = 0; j <= MAX_GOALS; j++) {
+        const finalDifferential = goalDifferential + i - j;
+        if (finalDifferential > 0) {
+          regulationWin += home[i] * away[j];
+        } else if (finalDifferential === 0) {
+          tie += home[i] * away[j];
+        }
+      }
+    }
+
+    return { regulationWin, tie, win: regulationWin + tie * overtimeShare };
+  }
+
+  // home share of the total scoring rate that gives the pregame win probability, bisected once per rounded input
+  fitHomeShare(pregameProbability) {
+    const goalsPerGame = Math.round(this.goalsPerGame * 100) / 100;
+    const probability = Math.round(pregameProbability * 10000) / 10000;
+    const key = `${goalsPerGame}:${probability}`;
+
+    if (!this.fittedShares.has(key)) {
+      if (this.fittedShares.size >= MAX_FITTED_SHARES) {
+        this.fittedShares.clear();
+      }
+      this.fittedShares.set(key, this.bisectHomeShare(goalsPerGame, probability));
+    }
+    return this.fittedShares.get(key);
+  }
+
+  bisectHomeShare(goalsPerGame, pregameProbability) {
+    let low = 0.01;
+    let high = 0.99;
+
+    for (let i = 0; i < 40; i++) {
+      const share = (low + high) / 2;
+      const { win } = this.outcomeProbabilities(goalsPerGame * share, goalsPerGame * (1 - share), 0, share);
+      if (win < pregameProbability) {
+        low = share;
+      } else {
+        high = share;
+      }
+    }
+
+    return (low + high) / 2;
+  }
+
+  // poisson probabilities of 0..MAX_GOALS goals
+  poisson(mean) {
+    const probabilities = [Math.exp(-mean)];
+    for (let k = 1; k <= MAX_GOALS; k++) {
+      probabilities.push(probabilities[k - 1] * mean / k);
+    }
+    return probabilities;
+  }
+
+  result(probability, details) {
+    return { probability, ...details };
+  }
+}
+
+export default WinProbabilityModel;
@@ -0,0 +1,34 @@
+import Strategy from './Strategy.js';
+
+// trades live moneylines on the win-probability model alone, at half size when the books disagree
+export class LiveModelStrategy extends Strategy {
+  evaluate(comparison, { pricing }) {
+    if (pricing.modelProbability === null || !(comparison.polymarket.price > 0)) {
+      return null;
+    }
+
+    const edge = pricing.modelProbability - comparison.polymarket.price;
+    if (edge > this.minEdge) {
+      const booksAgree = pricing.bookProbability !== null && pricing.bookProbability > comparison.polymarket.price;
+      return this.signal(comparison, {
+        edge,
+        fairProbability: pricing.modelProbability,
+        sizeHint: booksAgree ? 1 : 0.5
+      });
+    }
+
+    const complementEdge = this.complementEdge(comparison, pricing.modelProbability);
+    if (complementEdge !== null && complementEdge > this.minEdge) {
+      const booksAgree = pricing.bookProbability !== null && this.complementEdge(comparison, pricing.bookProbability) > 0;
+      return this.complementSignal(comparison, {
+        edge: complementEdge,
+        fairProbability: 1 - pricing.modelProbability,
+        sizeHint: booksAgree ? 1 : 0.5
+      });
+    }
+
+    return null;
+  }
+}
+
+export default LiveModelStrategy;
@@ -0,0 +1,67 @@
+import config from '../config/config.js';
+
+// a buy signal enters the token, a sell signal exits a position already held in it
+export const SIGNAL_SIDES = ['buy', 'sell'];
+
+// base class for trading strategies: evaluate() turns one comparison into a signal, or null to pass
+export class Strategy {
+  constructor({ name, budget = null } = {}) {
+    this.name = name;
+    this.budget = budget; // Max usdc committed to this strategy's positions (null for no cap)
+    this.minEdge = config.MIN_VALUE_THRESHOLD;
+    this.highConfidenceEdge = config.HIGH_CONFIDENCE_EDGE;
+    this.mediumConfidenceEdge = config.MEDIUM_CONFIDENCE_EDGE;
+  }
+
+  // context holds the game state and the book/model pricing of the comparison
+  evaluate(comparison, context) {
+    throw new Error(`Strategy ${this.name} does not implement evaluate()`);
+  }
+
+  // confidence from the size of the edge
+  calculateConfidence(edge) {
+    if (edge > this.highConfidenceEdge) return 'high';
+    if (edge > this.mediumConfidenceEdge) return 'medium';
+    return 'low';
+  }
+
+  // a signal for the comparison's token (sizeHint scales the kelly stake, 1 is a full-size entry)
+  signal(comparison, { edge, fairProbability, side = 'buy', sizeHint = 1, confidence = this.calculateConfidence(edge), ...details }) {
+    if (!SIGNAL_SIDES.includes(side)) {
+      throw new Error(`Strategy ${this.name} signalled an unknown side: ${side}`);
+    }
+
+    return {
+      strategy: this.name,
+      tokenId: comparison.tokenId,
+      side,
+      edge,
+      fairProbability,
+      price: comparison.polymarket.price,
+      sizeHint: Math.min(Math.max(sizeHint, 0), 1),
+      confidence,
+      ...details
+    };
+  }
+
+  // a signal to buy the other token of the binary market, which pays out when this comparison's outcome does not
+  complementSignal(comparison, { edge, fairProbability, sizeHint = 1, ...details }) {
+    return this.signal(comparison, {
+      edge,
+      fairProbability,
+      sizeHint,
+      ...details,
+      tokenId: comparison.complement.tokenId,
+      price: comparison.complement.price,
+      complementOf: comparison.tokenId
+    });
+  }
+
+  // edge of buying the complement at its price when the comparison's outcome has probability `probability`
+  complementEdge(comparison, probability) {
+    const price = comparison.complement?.price;
+    return price > 0 && price < 1 ? (1 - probability) - price : null;
+  }
+}
+
+export default Strategy;
@@ -0,0 +1,25 @@
+import Strategy from './Strategy.js';
+
+// buys whichever token of the market the fair probability (book consensus, blended with the live model) says is underpriced
+export class ValueStrategy extends Strategy {
+  evaluate(comparison, { pricing }) {
+    if (!pricing.fairProbability || !(comparison.polymarket.price > 0)) {
+      return null;
+    }
+
+    const edge = pricing.fairProbability - comparison.polymarket.price;
+    if (edge > this.minEdge) {
+      return this.signal(comparison, { edge, fairProbability: pricing.fairProbability });
+    }
+
+    // polymarket overprices this outcome, so the other token is the cheap side
+    const complementEdge = this.complementEdge(comparison, pricing.fairProbability);
+    if (complementEdge !== null && complementEdge > this.minEdge) {
+      return this.complementSignal(comparison, { edge: complementEdge, fairProbability: 1 - pricing.fairProbability });
+    }
+
+    return null;
+  }
+}
+
+export default ValueStrategy;
@@ -0,0 +1,52 @@
+// strategy registry: strategies are looked up by name from STRATEGIES, e.g. "value:100,live-model:50"
+import config from '../config/config.js';
+import Strategy from './Strategy.js';
+import ValueStrategy from './ValueStrategy.js';
+import LiveModelStrategy from './LiveModelStrategy.js';
+
+const registry = new Map([
+  ['value', ValueStrategy],
+  ['live-model', LiveModelStrategy]
+]);
+
+// add a strategy class under a name usable in STRATEGIES
+export function registerStrategy(name, StrategyClass) {
+  if (!(StrategyClass.prototype instanceof Strategy)) {
+    throw new Error(`Strategy ${name} must extend Strategy`);
+  }
+  registry.set(name, StrategyClass);
+}
+
+export function getStrategyNames() {
+  return Array.from(registry.keys());
+}
+
+// parse "name:budget,name" into names with an optional usdc budget each
+export function parseStrategyConfig(value) {
+  return (value || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const [name, budget] = entry.split(':').map(part => part.trim());
+      return { name, budget: budget === undefined || budget === '' ? null : parseFloat(budget) };
+    });
+}
+
+// create the configured strategies, failing on names that are not registered
+export function loadStrategies(value = config.STRATEGIES) {
+  return parseStrategyConfig(value).map(({ name, budget }) => {
+    const StrategyClass = registry.get(name);
+
+    if (!StrategyClass) {
+      throw new Error(`Unknown strategy: ${name} (available: ${getStrategyNames().join(', ')})`);
+    }
+    if (budget !== null && !(budget >= 0)) {
+      throw new Error(`Invalid budget for strategy ${name}: ${budget}`);
+    }
+
+    return new StrategyClass({ name, budget });
+  });
+}
+
+export { Strategy, ValueStrategy, LiveModelStrategy };
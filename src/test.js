@@ -3,6 +3,37 @@ import logger from './utils/logger.js';
 import BoltOddsClient from './services/BoltOddsClient.js';
 import PolymarketClient from './services/PolymarketClient.js';
 import OddsComparison from './services/OddsComparison.js';
+import MarketDiscovery from './services/MarketDiscovery.js';
+import PaperPolymarketClient from './services/PaperPolymarketClient.js';
+import TradeStore from './services/TradeStore.js';
+import OrderManager from './services/OrderManager.js';
+import PositionReconciler from './services/PositionReconciler.js';
+import PositionSizer from './services/PositionSizer.js';
+import ExecutionPlanner from './services/ExecutionPlanner.js';
+import PolymarketMarketFeed from './services/PolymarketMarketFeed.js';
+import RiskManager from './services/RiskManager.js';
+import FeedHealthMonitor from './services/FeedHealthMonitor.js';
+import ExitEngine from './services/ExitEngine.js';
+import GameStateStore from './services/GameStateStore.js';
+import NhlScoreSource from './services/NhlScoreSource.js';
+import WinProbabilityModel from './services/WinProbabilityModel.js';
+import FeedRecorder from './services/FeedRecorder.js';
+import FeedReplay from './services/FeedReplay.js';
+import ReplayBoltOddsClient from './services/ReplayBoltOddsClient.js';
+import ReplayMarketFeed from './services/ReplayMarketFeed.js';
+import Backtester from './services/Backtester.js';
+import SettlementService, { marketPayouts } from './services/SettlementService.js';
+import TradingBot from './TradingBot.js';
+import { loadStrategies, registerStrategy, Strategy } from './strategies/index.js';
+import axios from 'axios';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { devig, DEVIG_METHODS } from './utils/devig.js';
+import { normalizeLevels } from './utils/orderbook.js';
+import { maxDrawdown, periodKey } from './utils/performance.js';
+import { Wallet } from 'ethers';
+import { buildOrder, signOrder, orderDomain, buildL1Headers, buildHmacSignature, MIN_ORDER_SHARES } from './utils/clobAuth.js';
 
 /**
  * Simple test script to verify all components work correctly
@@ -81,9 +112,974 @@ async function runTests() {
       console.log(`  ${price} → ${formatted.cents} | ${formatted.decimal}x | ${formatted.american} | ${formatted.impliedProbability}`);
     });
 
-    // Test 9: Connection test (if keys are valid)
+    // Test 9: Market discovery with a mocked Polymarket client
+    logger.info('Test 9: Market discovery');
+    const mockMarket = {
+      condition_id: '0xmarket',
+      question: 'Maple Leafs vs. Canadiens',
+      market_slug: 'nhl-tor-mtl-2024-01-15',
+      tags: ['Sports', 'NHL'],
+      active: true,
+      closed: false,
+      tokens: [
+        { token_id: 'tok-tor', outcome: 'Maple Leafs', price: 0.58 },
+        { token_id: 'tok-mtl', outcome: 'Canadiens', price: 0.42 }
+      ]
+    };
+    const mockPolymarketClient = {
+      searchMarkets: async () => ({ data: [mockMarket, { ...mockMarket, condition_id: '0xother', question: 'NBA Finals', tags: [], market_slug: 'nba' }] }),
+      getMarket: async () => mockMarket
+    };
+    const discovery = new MarketDiscovery(mockPolymarketClient, oddsComparison);
+    await discovery.refresh();
+    if (discovery.markets.size !== 1 || oddsComparison.polymarketData.get('tok-tor')?.complementTokenId !== 'tok-mtl') {
+      throw new Error('Market discovery did not register the NHL market tokens');
+    }
+    console.log(`✓ Market discovery registered ${discovery.markets.size} market, ${oddsComparison.polymarketData.size} tokens`);
+
+    // a rest refresh keeps the streamed price and its age, and a token without a price is not compared
+    const streamedComparison = new OddsComparison();
+    streamedComparison.updateBoltOddsData(mockBoltData);
+    const streamedFeed = { isConnected: true, books: new Map([['tok-tor', {}]]), subscribe: () => {}, unsubscribe: () => {} };
+    const streamedDiscovery = new MarketDiscovery(mockPolymarketClient, streamedComparison, streamedFeed);
+    const unpricedMarket = { ...mockMarket, tokens: [mockMarket.tokens[0], { token_id: 'tok-mtl', outcome: 'Canadiens' }] };
+    streamedDiscovery.registerMarket(unpricedMarket);
+    streamedComparison.updatePolymarketData('tok-tor', { price: 0.61, bestBid: 0.6, bestAsk: 0.61 });
+    const streamedAt = streamedComparison.polymarketData.get('tok-tor').timestamp - 120000;
+    streamedComparison.polymarketData.get('tok-tor').timestamp = streamedAt;
+    streamedDiscovery.registerMarket(unpricedMarket);
+    const streamedTor = streamedComparison.polymarketData.get('tok-tor');
+    const comparedTokens = streamedComparison.findMatchingMarkets().map(comparison => comparison.tokenId);
+    if (streamedTor.price !== 0.61 || streamedTor.timestamp !== streamedAt || 'price' in streamedComparison.polymarketData.get('tok-mtl')
+      || comparedTokens.includes('tok-mtl') || !comparedTokens.includes('tok-tor')) {
+      throw new Error('Market refresh overwrote a streamed price, or a token without a price was compared');
+    }
+    console.log(`✓ Refresh kept the streamed ${streamedTor.price} and its age, the unpriced token was skipped`);
+
+    // Test 10: Team-aware market matching
+    logger.info('Test 10: Market matching');
+    oddsComparison.updatePolymarketData('tok-bos', {
+      question: 'Bruins vs. Rangers',
+      outcome: 'Bruins',
+      slug: 'nhl-bos-nyr-2024-01-15',
+      price: 0.5
+    });
+    const comparisons = oddsComparison.findMatchingMarkets();
+    const torComparison = comparisons.find(c => c.tokenId === 'tok-tor');
+    const mtlComparison = comparisons.find(c => c.tokenId === 'tok-mtl');
+    if (comparisons.length !== 2 || torComparison?.match.side !== 'home' || mtlComparison?.targetOutcome.team !== 'Montreal Canadiens') {
+      throw new Error('Market matcher did not map tokens to the correct game and team');
+    }
+    if (oddsComparison.getUnmatchedMarkets()[0]?.tokenId !== 'tok-bos') {
+      throw new Error('Unmatched market was not reported');
+    }
+    console.log(`✓ ${comparisons.length} tokens matched to their team, ${oddsComparison.getUnmatchedMarkets().length} unmatched market reported`);
+    oddsComparison.removePolymarketData('tok-bos');
+
+    // Test 11: Devigging moneylines
+    logger.info('Test 11: Devig methods');
+    const implied = [
+      oddsComparison.calculateImpliedProbability(140),
+      oddsComparison.calculateImpliedProbability(-160)
+    ];
+    for (const method of DEVIG_METHODS) {
+      const result = devig(implied, method);
+      const total = result.probabilities.reduce((a, b) => a + b, 0);
+      if (Math.abs(total - 1) > 1e-6 || result.probabilities[0] >= implied[0]) {
+        throw new Error(`Devig method ${method} did not produce fair probabilities`);
+      }
+      console.log(`  ${method}: ${result.probabilities.map(p => (p * 100).toFixed(2) + '%').join(' / ')} (overround ${(result.overround * 100).toFixed(2)}%)`);
+    }
+    if (!torComparison.targetOutcome.fairProbability || !torComparison.consensus) {
+      throw new Error('Comparison is missing fair probabilities');
+    }
+    console.log('✓ Devig methods produce fair probabilities summing to 100%');
+
+    // Test 12: Per-sportsbook lines and consensus pricing
+    logger.info('Test 12: Sportsbook consensus');
+    oddsComparison.updateBoltOddsData({
+      ...mockBoltData,
+      sportsbook: 'Pinnacle',
+      outcomes: {
+        'Toronto Maple Leafs Moneyline': { ...mockBoltData.outcomes['Toronto Maple Leafs Moneyline'], odds: '130' },
+        'Montreal Canadiens Moneyline': { ...mockBoltData.outcomes['Montreal Canadiens Moneyline'], odds: '-145' }
+      }
+    });
+    const consensusComparison = oddsComparison.findMatchingMarkets().find(c => c.tokenId === 'tok-tor');
+    if (consensusComparison.consensus.bookCount !== 2 || consensusComparison.targetOutcome.quotes.length !== 2) {
+      throw new Error('Lines from different sportsbooks replaced each other');
+    }
+    console.log(`✓ Consensus from ${consensusComparison.consensus.bookCount} books: ${consensusComparison.targetOutcome.formattedOdds.fairProbability} fair for Toronto`);
+    oddsComparison.clearSportsbook('Pinnacle');
+    if (oddsComparison.findMatchingMarkets().find(c => c.tokenId === 'tok-tor').consensus.bookCount !== 1) {
+      throw new Error('book_clear did not drop the sportsbook lines');
+    }
+    console.log('✓ Clearing a sportsbook drops only its lines');
+    const stateUpdates = new OddsComparison();
+    const stateGameKey = stateUpdates.createGameKey(mockBoltData);
+    stateUpdates.updateBoltOddsData({ ...mockBoltData, sportsbook: 'Pinnacle' }, { replace: true });
+    const fullLines = stateUpdates.boltOddsData.get(stateGameKey).books.get('Pinnacle').size;
+    stateUpdates.updateBoltOddsData({ ...mockBoltData, sportsbook: 'Pinnacle', outcomes: {}, home_score: 1 }, { replace: true });
+    const scoreOnly = stateUpdates.boltOddsData.get(stateGameKey);
+    const keptLines = scoreOnly.books.get('Pinnacle').size;
+    stateUpdates.updateBoltOddsData({
+      ...mockBoltData,
+      sportsbook: 'Pinnacle',
+      outcomes: { 'Toronto Maple Leafs Moneyline': mockBoltData.outcomes['Toronto Maple Leafs Moneyline'] }
+    }, { replace: true });
+    if (fullLines < 2 || keptLines !== fullLines || scoreOnly.home_score !== 1 || scoreOnly.books.get('Pinnacle').size !== 1) {
+      throw new Error('A game update without outcomes replaced the sportsbook lines');
+    }
+    console.log(`✓ Score-only game update kept ${keptLines} lines, an update with outcomes replaced them`);
+
+    // Test 13: Puck line and totals matching with alternate-line interpolation
+    logger.info('Test 13: Spread and totals');
+    const line = (outcome_name, outcome_target, outcome_line, odds, outcome_over_under = null) => ({
+      odds, outcome_name, outcome_target, outcome_line, outcome_over_under, link: 'https://example.com'
+    });
+    oddsComparison.updateBoltOddsData({
+      ...mockBoltData,
+      sportsbook: 'DraftKings',
+      outcomes: {
+        'Toronto Maple Leafs Spread -1.5': line('Spread', 'Toronto Maple Leafs', '-1.5', '210'),
+        'Montreal Canadiens Spread +1.5': line('Spread', 'Montreal Canadiens', '1.5', '-250'),
+        'Over 5.5': line('Total', 'Over', '5.5', '-150', 'Over'),
+        'Under 5.5': line('Total', 'Under', '5.5', '130', 'Under'),
+        'Over 6.5': line('Total', 'Over', '6.5', '120', 'Over'),
+        'Under 6.5': line('Total', 'Under', '6.5', '-140', 'Under')
+      }
+    });
+    oddsComparison.updatePolymarketData('tok-tor-spread', {
+      question: 'Spread: Maple Leafs (-1.5)', outcome: 'Maple Leafs', slug: 'nhl-tor-mtl-2024-01-15-spread', price: 0.3
+    });
+    oddsComparison.updatePolymarketData('tok-over-6', {
+      question: 'Maple Leafs vs. Canadiens: O/U 6', outcome: 'Over', slug: 'nhl-tor-mtl-2024-01-15-total', price: 0.5
+    });
+    const lineComparisons = oddsComparison.findMatchingMarkets();
+    const spreadComparison = lineComparisons.find(c => c.tokenId === 'tok-tor-spread');
+    const totalComparison = lineComparisons.find(c => c.tokenId === 'tok-over-6');
+    if (spreadComparison?.targetOutcome.line !== -1.5 || spreadComparison.targetOutcome.team !== 'Toronto Maple Leafs') {
+      throw new Error('Puck line token was not matched to the exact BoltOdds line');
+    }
+    if (!totalComparison?.consensus.interpolated || totalComparison.targetOutcome.selection !== 'Over') {
+      throw new Error('Total token was not interpolated between alternate lines');
+    }
+    console.log(`✓ Puck line ${spreadComparison.targetOutcome.label}: ${spreadComparison.targetOutcome.formattedOdds.fairProbability} fair`);
+    console.log(`✓ Over 6 interpolated from ${totalComparison.targetOutcome.interpolatedFrom.join('/')}: ${totalComparison.targetOutcome.formattedOdds.fairProbability} fair`);
+    oddsComparison.removePolymarketData('tok-tor-spread');
+    oddsComparison.removePolymarketData('tok-over-6');
+    oddsComparison.clearSportsbook('DraftKings');
+
+    // Test 14: Paper trading against a mocked orderbook
+    logger.info('Test 14: Paper trading');
+    const paperClient = new PaperPolymarketClient();
+    paperClient.balance = 100;
+    paperClient.client.get = async () => ({
+      data: {
+        asks: [{ price: '0.52', size: '50' }, { price: '0.50', size: '40' }],
+        bids: [{ price: '0.48', size: '100' }]
+      }
+    });
+    await paperClient.getOrderbook('tok-tor');
+    const paperBuy = await paperClient.buyContract('tok-tor', 50, 0.51);
+    if (paperBuy.status !== 'partially_filled' || paperBuy.size_matched !== 40) {
+      throw new Error('Paper limit order should only fill the depth at or below its limit');
+    }
+    const paperSell = await paperClient.marketSell('tok-tor', 100);
+    const wallet = await paperClient.getWalletInfo();
+    if (paperSell.size_matched !== 40 || wallet.positions.length !== 0 || wallet.balance >= 100) {
+      throw new Error('Paper sell did not settle against the virtual balance');
+    }
+    console.log(`✓ Paper buy filled ${paperBuy.size_matched}/${paperBuy.original_size.toFixed(1)} shares @ ${paperBuy.avg_price.toFixed(4)}, balance after round trip $${wallet.balance.toFixed(2)}`);
+
+    // a restarted paper exchange keeps its balance, resting orders and holdings
+    const paperStateDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nhl-bot-'));
+    const paperStateFile = path.join(paperStateDir, 'paper-state.json');
+    const firstRun = new PaperPolymarketClient(null, paperStateFile);
+    firstRun.client.get = paperClient.client.get;
+    firstRun.load();
+    firstRun.balance = 100;
+    await firstRun.getOrderbook('tok-tor');
+    const restingBuy = await firstRun.buyContract('tok-tor', 50, 0.51);
+    const secondRun = new PaperPolymarketClient(null, paperStateFile);
+    secondRun.load();
+    const resumedBuy = await secondRun.getOrder(restingBuy.order_id);
+    const secondWallet = await secondRun.getWalletInfo();
+    fs.rmSync(paperStateDir, { recursive: true, force: true });
+    if (secondRun.balance !== firstRun.balance || secondWallet.positions[0]?.size !== 40
+      || resumedBuy.status !== 'partially_filled' || resumedBuy.size_matched !== 40) {
+      throw new Error('Paper balance, orders or holdings did not survive a restart');
+    }
+    console.log(`✓ Paper state restored after restart: $${secondRun.balance.toFixed(2)} balance, ${secondWallet.positions[0].size} shares, order ${resumedBuy.status}`);
+
+    // Test 15: Trade journal survives a restart
+    logger.info('Test 15: Trade journal');
+    const journalDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nhl-bot-'));
+    const journalFile = path.join(journalDir, 'journal.jsonl');
+    const store = new TradeStore(journalFile);
+    store.open();
+    store.recordPosition({ tokenId: 'tok-tor', amount: 20, price: 0.5, status: 'open' });
+    store.recordPosition({ tokenId: 'tok-mtl', amount: 10, price: 0.4, status: 'open' });
+    store.recordTrade({ tokenId: 'tok-tor', action: 'buy', amount: 20 });
+    store.recordPosition({ tokenId: 'tok-mtl', amount: 0, price: 0.4, status: 'closed' });
+    const reopened = new TradeStore(journalFile);
+    reopened.open();
+    const restored = reopened.load();
+    fs.rmSync(journalDir, { recursive: true, force: true });
+    if (restored.positions.size !== 1 || !restored.positions.has('tok-tor') || restored.tradingHistory.length !== 1) {
+      throw new Error('Trade journal did not restore open positions and history');
+    }
+    console.log(`✓ Trade journal restored ${restored.positions.size} open position and ${restored.tradingHistory.length} trade (schema v${reopened.schemaVersion})`);
+
+    // Test 16: Order lifecycle with a partial fill and a timeout cancel
+    logger.info('Test 16: Order lifecycle');
+    const orderClient = new PaperPolymarketClient();
+    orderClient.client.get = paperClient.client.get;
+    await orderClient.getOrderbook('tok-tor');
+    const orderManager = new OrderManager(orderClient);
+    const orderFills = [];
+    const closedOrders = [];
+    orderManager.on('fill', (fill) => orderFills.push(fill));
+    orderManager.on('orderClosed', (order) => closedOrders.push(order));
+    const placed = await orderClient.buyContract('tok-tor', 25, 0.5);
+    const tracked = orderManager.track(placed, { purpose: 'entry', size: 50 });
+    tracked.placed_at -= orderManager.orderTimeout + 1000;
+    await orderManager.pollOrders();
+    const filledShares = orderFills.reduce((sum, fill) => sum + fill.size, 0);
+    if (filledShares !== 40 || closedOrders[0]?.status !== 'cancelled' || orderManager.getOpenOrders().length !== 0) {
+      throw new Error('Order manager did not report the partial fill and cancel the stale remainder');
+    }
+    console.log(`✓ Order ${closedOrders[0].status} after timeout with ${filledShares}/${closedOrders[0].original_size} shares filled`);
+
+    // clob placement responses report a match as maker and taker amounts, and an order that cannot be read is dropped
+    const clobResponses = new Map([['clob-sized', { order_id: 'clob-sized', status: 'MATCHED', size_matched: '20', price: '0.5' }]]);
+    const clobManager = new OrderManager({
+      getOrder: async (orderId) => {
+        if (!clobResponses.has(orderId)) throw new Error('Request failed with status code 502');
+        return clobResponses.get(orderId);
+      }
+    });
+    clobManager.maxRefreshFailures = 2;
+    const clobFills = [];
+    const clobClosed = [];
+    const clobLost = [];
+    clobManager.on('fill', (fill) => clobFills.push(fill));
+    clobManager.on('orderClosed', (order) => clobClosed.push(order));
+    clobManager.on('orderLost', (order) => clobLost.push(order));
+    const placement = (orderID, amounts = {}) => ({ success: true, orderID, order_id: orderID, status: 'matched', token_id: 'tok-tor', side: 'buy', price: 0.5, original_size: 20, ...amounts });
+    clobManager.track(placement('clob-amounts', { makingAmount: '4.8', takingAmount: '10' }), { purpose: 'entry', size: 20 });
+    clobManager.track(placement('clob-sized'), { purpose: 'entry', size: 20 });
+    clobManager.track(placement('clob-gone'), { purpose: 'entry', size: 20 });
+    const unsizedOpen = clobManager.isTracking('clob-sized') && clobManager.isTracking('clob-gone');
+    await clobManager.pollOrders();
+    await clobManager.pollOrders();
+    if (clobFills[0]?.size !== 10 || clobFills[0]?.amount !== 4.8 || clobClosed[0]?.status !== 'filled' || !unsizedOpen
+      || clobFills[1]?.size !== 20 || clobClosed[1]?.order_id !== 'clob-sized'
+      || clobLost[0]?.order_id !== 'clob-gone' || clobLost[0]?.status !== 'lost' || clobManager.getOpenOrders().length !== 0) {
+      throw new Error('Order manager did not size matched placements, or kept polling an order it cannot read');
+    }
+    console.log(`✓ Matched placement sized at ${clobFills[0].size} shares from its taker amount, unreadable order dropped after ${clobManager.maxRefreshFailures} failed checks`);
+
+    // clob orders carry no fill prices, fills are valued from the order's trades or priced at the limit past the placement amounts
+    const tradedOrders = new Map([
+      ['clob-traded', { order_id: 'clob-traded', status: 'MATCHED', size_matched: '20', price: '0.5', associate_trades: ['trade-1', 'trade-2'] }],
+      ['clob-untraded', { order_id: 'clob-untraded', status: 'MATCHED', size_matched: '15', price: '0.5' }]
+    ]);
+    const tradedManager = new OrderManager({
+      getOrder: async (orderId) => tradedOrders.get(orderId),
+      getTradesById: async () => [
+        { id: 'trade-1', taker_order_id: 'clob-traded', size: '12', price: '0.48', maker_orders: [] },
+        { id: 'trade-2', taker_order_id: 'other', size: '30', price: '0.46', maker_orders: [{ order_id: 'clob-traded', matched_amount: '8', price: '0.45' }] }
+      ]
+    });
+    const tradedFills = [];
+    tradedManager.on('fill', (fill) => tradedFills.push(fill));
+    tradedManager.track(placement('clob-traded'), { purpose: 'entry', size: 20 });
+    tradedManager.track(placement('clob-untraded', { status: 'live', makingAmount: '4.8', takingAmount: '10' }), { purpose: 'entry', size: 15 });
+    await tradedManager.pollOrders();
+    const tradedFill = tradedFills.find(fill => fill.order.order_id === 'clob-traded');
+    const untradedFill = tradedFills.filter(fill => fill.order.order_id === 'clob-untraded').pop();
+    if (Math.abs(tradedFill?.amount - 9.36) > 1e-9 || untradedFill?.size !== 5 || Math.abs(untradedFill.order.amount_matched - 7.3) > 1e-9) {
+      throw new Error('Order manager did not value clob fills from their trades and placement amounts');
+    }
+    console.log(`✓ Clob fill valued at $${tradedFill.amount.toFixed(2)} from its trades, later fill adds $${untradedFill.amount.toFixed(2)} to the $4.80 placement`);
+
+    // Test 17: Reconciling local positions with the exchange
+    logger.info('Test 17: Position reconciliation');
+    const reconciler = new PositionReconciler(orderClient, orderManager);
+    const localPositions = new Map([
+      ['tok-mtl', { tokenId: 'tok-mtl', shares: 10, amount: 4, price: 0.4, status: 'open' }]
+    ]);
+    const reconcileReport = await reconciler.reconcile(localPositions, { paper: true });
+    if (reconcileReport.adopted[0]?.tokenId !== 'tok-tor' || localPositions.get('tok-tor')?.shares !== 40
+      || reconcileReport.missingOnChain[0]?.tokenId !== 'tok-mtl') {
+      throw new Error('Reconciler did not adopt the exchange position and flag the missing one');
+    }
+    console.log(`✓ Reconciliation adopted ${reconcileReport.adopted.length} and flagged ${reconcileReport.missingOnChain.length} position(s)`);
+
+    // Test 18: Kelly sizing with exposure caps
+    logger.info('Test 18: Position sizing');
+    const sizer = new PositionSizer();
+    sizer.kellyMultiplier = 0.25;
+    sizer.maxGameExposure = 50;
+    const kellySized = sizer.size({ fairProbability: 0.6, price: 0.5, bankroll: 200, exposure: { game: 0 } });
+    const gameCapped = sizer.size({ fairProbability: 0.6, price: 0.5, bankroll: 200, exposure: { game: 45 } });
+    const noEdge = sizer.size({ fairProbability: 0.45, price: 0.5, bankroll: 200 });
+    if (kellySized.amount !== 10 || kellySized.limitedBy !== 'kelly' || gameCapped.amount !== 5
+      || gameCapped.limitedBy !== 'game' || noEdge.amount !== 0) {
+      throw new Error('Position sizer did not apply fractional Kelly and the game cap');
+    }
+    console.log(`✓ Quarter Kelly stakes $${kellySized.amount} of $200, game cap trims it to $${gameCapped.amount}`);
+
+    // Test 19: Planning execution against book depth
+    logger.info('Test 19: Execution planning');
+    const planner = new ExecutionPlanner();
+    planner.maxSlippage = 0.05;
+    planner.minEdge = 0.05;
+    const depthBook = {
+      asks: [{ price: '0.60', size: '500' }, { price: '0.52', size: '20' }, { price: '0.50', size: '20' }],
+      bids: [{ price: '0.48', size: '100' }]
+    };
+    const depthPlan = planner.plan(depthBook, { side: 'buy', amount: 50, fairProbability: 0.58 });
+    const thinEdgePlan = planner.plan(depthBook, { side: 'buy', amount: 20, fairProbability: 0.55 });
+    if (depthPlan.size !== 40 || !depthPlan.depthLimited || Math.abs(depthPlan.vwap - 0.51) > 1e-9
+      || depthPlan.worstPrice !== 0.52 || thinEdgePlan.executable) {
+      throw new Error('Execution planner did not walk the book within the slippage limit');
+    }
+    console.log(`✓ Planned ${depthPlan.size} shares @ VWAP ${depthPlan.vwap.toFixed(4)} (limit ${depthPlan.worstPrice}), edge ${(depthPlan.edge * 100).toFixed(1)}%`);
+
+    // Test 20: Local books from market channel snapshots and deltas
+    logger.info('Test 20: Polymarket market feed');
+    const marketFeed = new PolymarketMarketFeed();
+    const bookUpdates = [];
+    marketFeed.on('bookUpdate', (update) => bookUpdates.push(update));
+    marketFeed.handleMessage(JSON.stringify([{
+      event_type: 'book',
+      asset_id: 'tok-tor',
+      bids: [{ price: '0.47', size: '50' }, { price: '0.48', size: '10' }],
+      asks: [{ price: '0.53', size: '25' }, { price: '0.52', size: '5' }],
+      timestamp: '1700000000000'
+    }]));
+    marketFeed.handleMessage(JSON.stringify({
+      event_type: 'price_change',
+      price_changes: [
+        { asset_id: 'tok-tor', price: '0.52', size: '0', side: 'SELL' },
+        { asset_id: 'tok-tor', price: '0.49', size: '15', side: 'BUY' },
+        { asset_id: 'tok-unknown', price: '0.30', size: '10', side: 'BUY' }
+      ],
+      timestamp: '1700000001000'
+    }));
+    const feedTop = marketFeed.getBestPrices('tok-tor');
+    if (bookUpdates.length !== 2 || feedTop.bestBid !== 0.49 || feedTop.bestAsk !== 0.53 || marketFeed.books.has('tok-unknown')) {
+      throw new Error('Market feed did not apply the snapshot and price changes');
+    }
+    console.log(`✓ Market feed book ${feedTop.bestBid} / ${feedTop.bestAsk} after snapshot and deltas`);
+
+    // Test 21: Order signing against fixed key vectors
+    logger.info('Test 21: CLOB order signing');
+    const testKey = '0xac0974bec39a17e36ba4a6b4d238ff944bacb478cbed5efcae784d7bf4f2ff80';
+    const testWallet = new Wallet(testKey);
+    const testOrder = buildOrder({
+      maker: testWallet.address,
+      signer: testWallet.address,
+      tokenId: '1234567890',
+      side: 'buy',
+      price: 0.55,
+      size: 20,
+      salt: 42
+    });
+    const signedOrder = await signOrder(testWallet, testOrder, orderDomain(137, '0x4bFb41d5B3570DeFd03C39a9A4D8dE6Bd8B8982E'));
+    const l1Headers = await buildL1Headers(testWallet, 137, { timestamp: 1700000000, nonce: 0 });
+    const hmac = buildHmacSignature('cG9seW1hcmtldC1uaGwtYm90LXRlc3Qtc2VjcmV0ISE=', 1700000000, 'POST', '/order', '{"orderID":"0xabc"}');
+    if (testWallet.address !== '0xf39Fd6e51aad88F6F4ce6aB8827279cffFb92266'
+      || testOrder.makerAmount !== '11000000' || testOrder.takerAmount !== '20000000'
+      || signedOrder.signature !== '0xeea9be687c93933cd0107bf77a48febfab692c259133d040455c623b1a6094c256d78bc7b5653e28c7f2209eb1ac7f68a8c7daabdf1046b869e33308c3b5cab01c'
+      || l1Headers.POLY_SIGNATURE !== '0x659ed4b28ae28e0f038fdf0023c00863c9559caacb9ebc83f44eea87059a099a36f1e1dee110e7faa1c4f65d17489b2da1333ebef78bbe2116d81207b975052d1c'
+      || hmac !== 'Qs_2bfdJ8-Zta7mKyhAXcejS7T8-y8LikDX7D4FLQLY=') {
+      throw new Error('CLOB signatures do not match the fixed vectors');
+    }
+    const signingClient = new PolymarketClient();
+    signingClient.privateKey = testKey;
+    signingClient.walletAddress = testWallet.address;
+    signingClient.credentials = { apiKey: 'test-key', secret: 'cG9seW1hcmtldC1uaGwtYm90LXRlc3Qtc2VjcmV0ISE=', passphrase: 'test-pass' };
+    let sentRequest = null;
+    signingClient.client.request = async (request) => {
+      sentRequest = request;
+      return { data: { success: true, orderID: '0xabc', status: 'live' } };
+    };
+    const placedLive = await signingClient.buyContract('1234567890', 11, 0.55);
+    if (sentRequest.data.includes(testKey.slice(2)) || sentRequest.headers.POLY_API_KEY !== 'test-key'
+      || JSON.parse(sentRequest.data).order.signature.length !== 132 || placedLive.order_id !== '0xabc') {
+      throw new Error('Order request should carry a signature and HMAC headers, never the private key');
+    }
+    console.log(`✓ Signed ${JSON.parse(sentRequest.data).order.side} order for ${testWallet.address.slice(0, 10)}… with EIP-712 and HMAC headers`);
+
+    // Test 22: Risk limits and a kill switch that survives a restart
+    logger.info('Test 22: Risk manager');
+    const riskDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nhl-bot-'));
+    const riskFile = path.join(riskDir, 'risk-state.json');
+    const riskManager = new RiskManager(riskFile);
+    Object.assign(riskManager, { dailyLossLimit: 20, maxOpenPositions: 5, maxGameExposure: 50, minTradeInterval: 60000 });
+    const entry = { gameKey: 'NHL_TOR_MTL', amount: 10, openPositions: 1, gameExposure: 0, dailyPnl: 0 };
+    const firstEntry = riskManager.checkEntry(entry);
+    riskManager.recordEntry('NHL_TOR_MTL');
+    const tooSoon = riskManager.checkEntry(entry);
+    const lossBreach = riskManager.checkEntry({ ...entry, gameKey: 'NHL_BOS_NYR', dailyPnl: -25 });
+    const restartedRisk = new RiskManager(riskFile);
+    restartedRisk.load();
+    const haltedAfterRestart = restartedRisk.checkEntry({ ...entry, gameKey: 'NHL_BOS_NYR' });
+    restartedRisk.reset();
+    const afterReset = restartedRisk.checkEntry({ ...entry, gameKey: 'NHL_BOS_NYR' });
+    fs.rmSync(riskDir, { recursive: true, force: true });
+    if (!firstEntry.allowed || tooSoon.allowed || lossBreach.allowed
+      || haltedAfterRestart.allowed || !afterReset.allowed) {
+      throw new Error('Risk manager did not enforce limits or persist the kill switch');
+    }
+    console.log(`✓ Kill switch survived restart (${haltedAfterRestart.reason}) and reset from the CLI`);
+
+    // concurrent evaluations of one token, or of one game across strategies, place a single entry
+    const raceDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nhl-bot-'));
+    const racePaper = new PaperPolymarketClient();
+    const raceBook = { asks: [{ price: '0.40', size: '500' }], bids: [{ price: '0.38', size: '500' }] };
+    racePaper.getOrderbook = async (tokenId) => {
+      racePaper.lastBooks.set(tokenId, { asks: normalizeLevels(raceBook.asks, 'asks'), bids: normalizeLevels(raceBook.bids, 'bids') });
+      return raceBook;
+    };
+    const racePlaced = [];
+    const racePlaceOrder = racePaper.placeOrder.bind(racePaper);
+    racePaper.placeOrder = async (orderData) => {
+      racePlaced.push(orderData.token_id);
+      if (orderData.token_id === 'race-fail') throw new Error('Order rejected');
+      return racePlaceOrder(orderData);
+    };
+    const raceBot = new TradingBot({ scoreSource: null, polymarketClient: racePaper });
+    raceBot.tradeStore = new TradeStore(path.join(raceDir, 'journal.jsonl'));
+    raceBot.tradeStore.open();
+    raceBot.riskManager = new RiskManager(path.join(raceDir, 'risk-state.json'));
+    const raceOpportunity = (tokenId, gameKey, strategy) => ({
+      gameKey,
+      gameInfo: { homeTeam: 'TOR', awayTeam: 'MTL' },
+      recommendation: { tokenId },
+      valueAnalysis: { fairProbability: 0.6, value: 0.2, confidence: 'high', strategy }
+    });
+    await Promise.all([
+      raceBot.evaluateOpportunity(raceOpportunity('race-tor', 'race-game', 'value')),
+      raceBot.evaluateOpportunity(raceOpportunity('race-tor', 'race-game', 'momentum')),
+      raceBot.evaluateOpportunity(raceOpportunity('race-mtl', 'race-game', 'value'))
+    ]);
+    await raceBot.evaluateOpportunity(raceOpportunity('race-fail', 'race-game-2', 'value'));
+    const raceOrders = raceBot.riskManager.getStatus().ordersLastMinute;
+    const raceReleased = !raceBot.riskManager.lastTradeByGame.has('race-game-2') && raceBot.pendingEntries.size === 0;
+    // the rate limit counts placed orders plus reservations in flight, and only throttles
+    raceBot.riskManager.maxOrdersPerMinute = 2;
+    const rateEntry = { gameKey: 'race-game-3', amount: 0, openPositions: 1, gameExposure: 0, dailyPnl: 0 };
+    const heldSlot = raceBot.riskManager.reserveEntry('race-game-4');
+    const throttled = raceBot.riskManager.checkEntry(rateEntry);
+    raceBot.riskManager.releaseEntry(heldSlot);
+    const afterRelease = raceBot.riskManager.checkEntry(rateEntry);
+    fs.rmSync(raceDir, { recursive: true, force: true });
+    if (racePlaced.filter(tokenId => tokenId !== 'race-fail').length !== 1
+      || !raceBot.activePositions.has('race-tor') || raceOrders !== 1 || !raceReleased
+      || throttled.allowed || !throttled.reason.startsWith('Order rate limit') || raceBot.riskManager.isHalted() || !afterRelease.allowed) {
+      throw new Error('Concurrent evaluations placed more than one entry, or a failed entry kept its risk reservation');
+    }
+    console.log(`✓ Three concurrent evaluations on one game placed ${racePlaced.filter(tokenId => tokenId !== 'race-fail').length} order, a rejected order released its reservation, the rate limit throttled without halting`);
+
+    // Test 23: Feed health and data freshness
+    logger.info('Test 23: Feed health');
+    const healthNow = Date.now();
+    let boltStatus = { isConnected: true, connectedAt: healthNow - 600000, lastMessageAt: healthNow - 5000, lastPingAt: healthNow - 20000, reconnectAttempts: 0, maxReconnectAttempts: 10 };
+    const feedHealth = new FeedHealthMonitor(
+      { getConnectionStatus: () => boltStatus },
+      { getConnectionStatus: () => ({ isConnected: false, disconnectedAt: healthNow - 20000, reconnectAttempts: 2, maxReconnectAttempts: 10 }), books: new Map() }
+    );
+    Object.assign(feedHealth, { maxFeedSilence: 30000, maxPingGap: 60000, maxReferenceAge: 300000, maxPolymarketAge: 60000 });
+    const liveHealth = feedHealth.check(healthNow);
+    const currentLine = feedHealth.getSuspensionReason({ freshness: { newestLineAt: healthNow - 200000 } }, liveHealth, healthNow);
+    const quietLine = feedHealth.getSuspensionReason({ freshness: { newestLineAt: healthNow - 400000 } }, liveHealth, healthNow);
+    const stalePrice = feedHealth.getSuspensionReason({
+      freshness: { newestLineAt: healthNow - 1000 },
+      tokenId: 'tok-tor',
+      tokenData: { timestamp: healthNow - 90000 }
+    }, liveHealth, healthNow);
+    boltStatus = { ...boltStatus, lastPingAt: healthNow - 90000 };
+    const pinglessHealth = feedHealth.check(healthNow);
+    boltStatus = { ...boltStatus, isConnected: false, disconnectedAt: healthNow - 15000, reconnectAttempts: 1 };
+    const downHealth = feedHealth.check(healthNow);
+    // a book that stopped updating leaves the consensus while a fresh one stays in it
+    const bookAges = new OddsComparison();
+    bookAges.updateBoltOddsData({ ...mockBoltData, sportsbook: 'pinnacle' });
+    bookAges.updateBoltOddsData({
+      ...mockBoltData,
+      sportsbook: 'stale-book',
+      outcomes: {
+        'Toronto Maple Leafs Moneyline': { odds: '-300', outcome_name: 'Moneyline', outcome_target: 'Toronto Maple Leafs' },
+        'Montreal Canadiens Moneyline': { odds: '+250', outcome_name: 'Moneyline', outcome_target: 'Montreal Canadiens' }
+      }
+    });
+    const agedGame = bookAges.boltOddsData.get(bookAges.createGameKey(mockBoltData));
+    agedGame.books.get('stale-book').forEach(line => { line.timestamp -= bookAges.maxBookAge + 1000; });
+    const agedConsensus = bookAges.findMoneylineOutcomes(agedGame).consensus;
+    const agedFreshness = bookAges.getGameFreshness(bookAges.createGameKey(mockBoltData));
+    // keep-alive replies do not count as market data, only book and price events do
+    const pongFeed = new PolymarketMarketFeed();
+    pongFeed.handleMessage('PONG');
+    const pongOnly = pongFeed.lastMessageAt;
+    pongFeed.handleMessage(JSON.stringify({ event_type: 'tick_size_change', asset_id: 'tok-tor', new_tick_size: '0.001' }));
+    const tickOnly = pongFeed.lastMessageAt;
+    pongFeed.handleMessage(JSON.stringify({ event_type: 'book', asset_id: 'tok-tor', bids: [], asks: [], timestamp: String(healthNow) }));
+    if (!liveHealth.healthy || liveHealth.warnings.length !== 1 || currentLine !== null || !quietLine?.startsWith('Reference odds 400s')
+      || !stalePrice?.startsWith('Polymarket price 90s') || !pinglessHealth.reasons[0]?.startsWith('BoltOdds pings missing for 90s')
+      || downHealth.healthy || agedConsensus?.bookCount !== 1 || agedFreshness.staleBooks !== 1
+      || pongOnly !== null || tickOnly !== null || !(pongFeed.lastMessageAt >= healthNow)) {
+      throw new Error('Feed health monitor did not suspend on stale or disconnected data');
+    }
+    console.log(`✓ Suspended on "${quietLine}", "${stalePrice}", "${pinglessHealth.reasons[0]}" and "${downHealth.reasons[0]}"; stale book left out of the consensus`);
+
+    // Test 24: Exit rules marked to the bid
+    logger.info('Test 24: Exit engine');
+    const exitEngine = new ExitEngine();
+    Object.assign(exitEngine, {
+      takeProfit: 0.2, stopLoss: 0.25, trailingStop: 0.1, exitOnEdgeGone: true, edgeExitThreshold: 0, flipThreshold: 0.05,
+      exitBeforePeriodEnd: 60, exitBeforeGameEnd: 600000, expectedGameDuration: 9000000, maxHoldTime: 7200000
+    });
+    const exitNow = Date.now();
+    const heldPosition = () => ({ shares: 20, amount: 10, price: 0.5, buyTime: exitNow - 60000 });
+    const trailing = heldPosition();
+    exitEngine.evaluate(trailing, { market: { bestBid: 0.58 }, fairProbability: 0.7 }, exitNow);
+    const exitRules = {
+      hold: exitEngine.evaluate(heldPosition(), { market: { bestBid: 0.52 }, fairProbability: 0.6 }, exitNow),
+      takeProfit: exitEngine.evaluate(heldPosition(), { market: { bestBid: 0.62 }, fairProbability: 0.7 }, exitNow),
+      stopLoss: exitEngine.evaluate(heldPosition(), { market: { bestBid: 0.37 }, fairProbability: 0.6 }, exitNow),
+      trailingStop: exitEngine.evaluate(trailing, { market: { bestBid: 0.52 }, fairProbability: 0.7 }, exitNow),
+      edgeGone: exitEngine.evaluate(heldPosition(), { market: { bestBid: 0.55 }, fairProbability: 0.55 }, exitNow),
+      edgeFlipped: exitEngine.evaluate(heldPosition(), { market: { bestBid: 0.56 }, fairProbability: 0.5 }, exitNow),
+      periodEnd: exitEngine.evaluate(heldPosition(), { market: { bestBid: 0.52 }, gameState: { period: 3, clockRemaining: 45 } }, exitNow),
+      gameEnd: exitEngine.evaluate(heldPosition(), { market: { bestBid: 0.52 }, gameStartTime: new Date(exitNow - 8500000).toISOString() }, exitNow),
+      maxHold: exitEngine.evaluate({ ...heldPosition(), buyTime: exitNow - 7300000 }, { market: { bestBid: 0.52 } }, exitNow)
+    };
+    const expectedRules = {
+      hold: undefined, takeProfit: 'take_profit', stopLoss: 'stop_loss', trailingStop: 'trailing_stop', edgeGone: 'edge_gone',
+      edgeFlipped: 'edge_flipped', periodEnd: 'period_end', gameEnd: 'game_end', maxHold: 'max_hold'
+    };
+    const wrongRules = Object.keys(expectedRules).filter(name => exitRules[name]?.rule !== expectedRules[name]);
+    exitEngine.feeRate = 0.01;
+    const feeMark = exitEngine.mark({ ...heldPosition(), fees: 0.1 }, { bestBid: 0.37 }, exitNow);
+    exitEngine.feeRate = 0;
+    if (wrongRules.length > 0 || exitRules.stopLoss.mark.pnl.toFixed(2) !== '-2.60' || Math.abs(feeMark.pnl + 2.774) > 1e-9) {
+      throw new Error(`Exit engine picked the wrong rule for: ${wrongRules.join(', ') || 'stop loss mark'}`);
+    }
+    console.log(`✓ ${Object.keys(expectedRules).length - 1} exit rules triggered, e.g. trailing stop: ${exitRules.trailingStop.reason}; stop loss marked at $${feeMark.pnl.toFixed(2)} after fees`);
+
+    // back-to-back ticks on a triggered exit place a single sell, a failed sell can be retried
+    const exitDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nhl-bot-'));
+    const exitPaper = new PaperPolymarketClient();
+    const exitBook = { asks: [{ price: '0.42', size: '500' }], bids: [{ price: '0.40', size: '500' }] };
+    exitPaper.getOrderbook = async (tokenId) => {
+      exitPaper.lastBooks.set(tokenId, { asks: normalizeLevels(exitBook.asks, 'asks'), bids: normalizeLevels(exitBook.bids, 'bids') });
+      return exitBook;
+    };
+    const exitSells = [];
+    const exitAmounts = new Map();
+    const exitPlaceOrder = exitPaper.placeOrder.bind(exitPaper);
+    exitPaper.placeOrder = async (orderData) => {
+      exitSells.push(orderData.token_id);
+      exitAmounts.set(orderData.token_id, orderData.amount);
+      if (orderData.token_id === 'exit-fail') throw new Error('Order rejected');
+      return exitPlaceOrder(orderData);
+    };
+    exitPaper.positions.set('exit-tor', { size: 20, cost: 10 });
+    exitPaper.positions.set('exit-part', { size: 20.005, cost: 10 });
+    const exitBot = new TradingBot({ scoreSource: null, polymarketClient: exitPaper });
+    exitBot.tradeStore = new TradeStore(path.join(exitDir, 'journal.jsonl'));
+    exitBot.tradeStore.open();
+    exitBot.riskManager = new RiskManager(path.join(exitDir, 'risk-state.json'));
+    exitBot.exitEngine.evaluate = (position) => (['exit-tor', 'exit-dust'].includes(position.tokenId) ? { rule: 'stop_loss', reason: 'test' } : null);
+    exitBot.activePositions.set('exit-tor', { tokenId: 'exit-tor', gameKey: 'exit-game', shares: 20, amount: 10, price: 0.5, status: 'open', exitOrderId: null });
+    exitBot.activePositions.set('exit-fail', { tokenId: 'exit-fail', gameKey: 'exit-game', shares: 20, amount: 10, price: 0.5, status: 'open', exitOrderId: null });
+    exitBot.activePositions.set('exit-dust', { tokenId: 'exit-dust', gameKey: 'exit-game', shares: 0.004, amount: 0.002, price: 0.5, status: 'open', exitOrderId: null });
+    exitBot.activePositions.set('exit-part', { tokenId: 'exit-part', gameKey: 'exit-game', shares: 20.005, amount: 10.0025, price: 0.5, status: 'open', exitOrderId: null });
+    exitBot.checkAutoSellConditions();
+    exitBot.checkAutoSellConditions();
+    const failedSell = await exitBot.sellPosition('exit-fail').catch(error => error);
+    await exitBot.sellPosition('exit-part', 10);
+    await new Promise(resolve => setTimeout(resolve, 10));
+    const exitRetryable = !exitBot.activePositions.get('exit-fail').exitPending;
+    // a new peak bid is journaled with the position for the trailing stop
+    exitBot.exitEngine = new ExitEngine();
+    Object.assign(exitBot.exitEngine, { takeProfit: 0, stopLoss: 0, trailingStop: 0.1, exitOnEdgeGone: false, exitBeforeGameEnd: 0, exitBeforePeriodEnd: 0, maxHoldTime: 0 });
+    exitBot.oddsComparison.getTokenQuote = (tokenId) => (tokenId === 'exit-peak' ? { bestBid: 0.55, bestAsk: 0.57 } : null);
+    exitBot.activePositions.set('exit-peak', { tokenId: 'exit-peak', gameKey: 'exit-game', shares: 20, amount: 10, price: 0.5, status: 'open', exitOrderId: null });
+    exitBot.checkAutoSellConditions();
+    const peakJournal = new TradeStore(exitBot.tradeStore.filePath);
+    peakJournal.open();
+    const journaledPeak = peakJournal.load().positions.get('exit-peak')?.peakBid;
+    fs.rmSync(exitDir, { recursive: true, force: true });
+    if (exitSells.filter(tokenId => tokenId === 'exit-tor').length !== 1 || !(failedSell instanceof Error) || !exitRetryable
+      || exitSells.includes('exit-dust') || exitBot.activePositions.has('exit-dust') || Math.abs(exitAmounts.get('exit-part') - 20.005 * 0.4) > 1e-9
+      || journaledPeak !== 0.55) {
+      throw new Error('Back-to-back exit checks placed duplicate sells, a failed sell stayed pending, a dust remainder was left to retry, or the peak bid was not journaled');
+    }
+    console.log(`✓ Two exit checks in a row placed ${exitSells.filter(tokenId => tokenId === 'exit-tor').length} sell, a rejected sell can be retried, dust below ${MIN_ORDER_SHARES} shares closed`);
+
+    // Test 25: Live game state and the goal cooldown
+    logger.info('Test 25: Game state');
+    const gameStates = new GameStateStore();
+    gameStates.goalCooldown = 60000;
+    const stateNow = Date.now();
+    const stateKey = oddsComparison.createGameKey(mockBoltData);
+    const goals = [];
+    gameStates.on('goal', state => goals.push(state));
+    gameStates.update(stateKey, gameStates.fromBoltOdds({ home_score: 1, away_score: 0, period: 2, clock: '12:30', status: 'in_progress' }), 'boltodds', stateNow - 120000);
+    const beforeGoal = gameStates.getTradingBlock(stateKey, stateNow);
+    const scoreboardGame = new NhlScoreSource().parseGame({
+      gameState: 'LIVE',
+      homeTeam: { abbrev: 'TOR', score: 2 },
+      awayTeam: { abbrev: 'MTL', score: 0 },
+      periodDescriptor: { number: 3, periodType: 'REG' },
+      clock: { timeRemaining: '01:45', secondsRemaining: 105, inIntermission: false },
+      situation: { homeTeam: { situationDescriptions: ['PP'] }, awayTeam: { situationDescriptions: ['EN'] } }
+    });
+    const scoreboardKey = oddsComparison.findGameKeyByTeams(scoreboardGame.homeTeam, scoreboardGame.awayTeam);
+    const afterGoal = gameStates.update(stateKey, scoreboardGame.state, 'nhl', stateNow - 10000);
+    const goalBlock = gameStates.getTradingBlock(stateKey, stateNow);
+    const cooledDown = gameStates.getTradingBlock(stateKey, stateNow + 60000);
+    if (beforeGoal !== null || scoreboardKey !== stateKey || goals.length !== 1 || goals[0].lastGoalTeam !== 'home'
+      || !goalBlock?.startsWith('Goal 10s ago') || cooledDown !== null
+      || afterGoal.powerPlay !== 'home' || !afterGoal.awayEmptyNet || afterGoal.clockRemaining !== 105) {
+      throw new Error('Game state store did not track the score or block trading after a goal');
+    }
+    console.log(`✓ ${afterGoal.homeScore}-${afterGoal.awayScore} in period ${afterGoal.period}: "${goalBlock}"`);
+
+    // Test 26: Live win probability model and blending with the books
+    logger.info('Test 26: Win probability model');
+    const winModel = new WinProbabilityModel();
+    winModel.goalsPerGame = 6;
+    const puckDrop = winModel.winProbability({ pregameProbability: 0.6, period: 1, clockRemaining: 1200 });
+    const leadLate = winModel.winProbability({ pregameProbability: 0.6, goalDifferential: 1, period: 3, clockRemaining: 300 });
+    const trailPulled = winModel.winProbability({ pregameProbability: 0.6, goalDifferential: -1, period: 3, clockRemaining: 60, homeEmptyNet: true });
+    const tiedEvenStrength = winModel.winProbability({ pregameProbability: 0.6, period: 2, clockRemaining: 600 });
+    const tiedPowerPlay = winModel.winProbability({ pregameProbability: 0.6, period: 2, clockRemaining: 600, powerPlay: 'home' });
+    let homeShareFits = 0;
+    const bisectHomeShare = winModel.bisectHomeShare.bind(winModel);
+    winModel.bisectHomeShare = (...args) => { homeShareFits++; return bisectHomeShare(...args); };
+    winModel.winProbability({ pregameProbability: 0.600001, period: 1, clockRemaining: 600 });
+    winModel.winProbability({ pregameProbability: 0.55, period: 1, clockRemaining: 600 });
+    const blendComparison = new OddsComparison();
+    blendComparison.modelBlendWeight = 0.5;
+    blendComparison.pregameProbabilities.set('NHL_TOR_MTL', 0.6);
+    const blended = blendComparison.getBlendedProbability({
+      gameKey: 'NHL_TOR_MTL',
+      marketType: 'moneyline',
+      gameInfo: { homeTeam: 'Toronto Maple Leafs' },
+      match: { team: 'MTL' },
+      targetOutcome: { fairProbability: 0.3 },
+      gameState: { live: true, homeScore: 2, awayScore: 1, period: 3, clockRemaining: 300, inIntermission: false, powerPlay: null }
+    });
+    if (Math.abs(puckDrop.probability - 0.6) > 0.001 || !(leadLate.probability > 0.8) || !(trailPulled.probability < 0.2)
+      || !(tiedPowerPlay.probability > tiedEvenStrength.probability) || homeShareFits !== 1 || winModel.fittedShares.size !== 2
+      || Math.abs(blended.modelProbability - (1 - leadLate.probability)) > 1e-9
+      || Math.abs(blended.fairProbability - (0.3 + blended.modelProbability) / 2) > 1e-9) {
+      throw new Error('Win probability model or blend out of range');
+    }
+    console.log(`✓ Home win ${(puckDrop.probability * 100).toFixed(1)}% at puck drop, ${(leadLate.probability * 100).toFixed(1)}% up one with 5:00 left, ${(trailPulled.probability * 100).toFixed(1)}% down one with the net empty, home share fitted once per price`);
+
+    // Test 27: Strategy plugins loaded by name, each with its own budget
+    logger.info('Test 27: Strategy plugins');
+    class FadeFavoritesStrategy extends Strategy {
+      evaluate(comparison) {
+        return comparison.polymarket.price > 0.7 ? this.signal(comparison, { edge: 0.12, fairProbability: 0.5, side: 'sell', sizeHint: 0.25 }) : null;
+      }
+    }
+    registerStrategy('fade-favorites', FadeFavoritesStrategy);
+    const strategies = loadStrategies('value:100, live-model:50, fade-favorites');
+    let unknownStrategy = null;
+    try {
+      loadStrategies('value,martingale');
+    } catch (error) {
+      unknownStrategy = error.message;
+    }
+    const strategyComparison = { tokenId: 'tok-tor', polymarket: { price: 0.75 } };
+    const strategyPricing = { fairProbability: 0.95, bookProbability: 0.95, modelProbability: 0.86, modelWeight: 0 };
+    const signals = strategies.map(strategy => strategy.evaluate(strategyComparison, { gameState: null, pricing: strategyPricing }));
+    const budgetSizing = new PositionSizer().size({
+      fairProbability: 0.95, price: 0.75, bankroll: 1000, sizeHint: signals[0].sizeHint, budget: strategies[0].budget, exposure: { strategy: 90 }
+    });
+    if (strategies.map(strategy => strategy.budget).join() !== '100,50,' || !unknownStrategy?.startsWith('Unknown strategy: martingale')
+      || signals[0].confidence !== 'high' || signals[1].confidence !== 'medium' || signals[2].side !== 'sell' || signals[2].sizeHint !== 0.25
+      || budgetSizing.limitedBy !== 'strategy' || budgetSizing.amount !== 10) {
+      throw new Error('Strategy plugins did not load, signal or respect their budgets');
+    }
+    console.log(`✓ ${strategies.map(strategy => strategy.name).join(', ')} loaded; value signal ${(signals[0].edge * 100).toFixed(0)}% edge capped at $${budgetSizing.amount} by its budget`);
+
+    // a sell signal exits a held token and never buys one, an unknown side is rejected
+    const sideBot = new TradingBot({ scoreSource: null });
+    const sideOrders = [];
+    sideBot.executeBuyOrder = async (opportunity) => sideOrders.push(['buy', opportunity.recommendation.tokenId]);
+    sideBot.sellPosition = async (tokenId, amount, exit) => sideOrders.push(['sell', tokenId, exit.rule]);
+    const sellOpportunity = (tokenId) => ({
+      recommendation: { action: signals[2].side, tokenId },
+      valueAnalysis: { strategy: signals[2].strategy, value: signals[2].edge, recommendedAction: signals[2].side, confidence: 'medium' }
+    });
+    await sideBot.evaluateOpportunity(sellOpportunity('tok-tor'));
+    sideBot.activePositions.set('tok-held', { tokenId: 'tok-held', shares: 10, amount: 7, price: 0.7, status: 'open', exitOrderId: null });
+    await sideBot.evaluateOpportunity(sellOpportunity('tok-held'));
+    let unknownSide = null;
+    try {
+      strategies[0].signal(strategyComparison, { edge: 0.12, fairProbability: 0.9, side: 'short' });
+    } catch (error) {
+      unknownSide = error.message;
+    }
+    if (sideOrders.map(order => order.join(':')).join() !== 'sell:tok-held:strategy' || !unknownSide?.includes('unknown side: short')) {
+      throw new Error('A sell signal opened a position, or an unknown signal side was accepted');
+    }
+    console.log(`✓ ${signals[2].strategy} sell signal bought nothing and exited the held token`);
+
+    // Test 28: Buying the complement token when Polymarket overprices a team
+    logger.info('Test 28: Complement token');
+    const sidesComparison = new OddsComparison(null, loadStrategies('value'));
+    sidesComparison.updateBoltOddsData({
+      ...mockBoltData,
+      sportsbook: 'pinnacle',
+      outcomes: {
+        'Toronto Maple Leafs Moneyline': { odds: '-150', outcome_name: 'Moneyline', outcome_target: 'Toronto Maple Leafs' },
+        'Montreal Canadiens Moneyline': { odds: '+130', outcome_name: 'Moneyline', outcome_target: 'Montreal Canadiens' }
+      }
+    });
+    sidesComparison.updatePolymarketData('tok-yes', {
+      question: 'Will the Toronto Maple Leafs beat the Montreal Canadiens?',
+      outcome: 'Yes',
+      price: 0.72,
+      bestBid: 0.70,
+      bestAsk: 0.72,
+      complementTokenId: 'tok-no',
+      gameStartTime: '2024-01-15T00:00:00Z'
+    });
+    const [noOpportunity] = sidesComparison.findTradingOpportunities();
+    const noQuote = sidesComparison.getTokenQuote('tok-no');
+    const noFair = sidesComparison.getTokenFairProbability('tok-no');
+    if (noOpportunity?.tokenId !== 'tok-no' || noOpportunity.recommendation.tokenId !== 'tok-no' || noOpportunity.complementOf !== 'tok-yes' || noOpportunity.match.team !== 'MTL'
+      || Math.abs(noOpportunity.polymarket.price - 0.30) > 1e-9 || Math.abs(noQuote.bestBid - 0.28) > 1e-9
+      || Math.abs(noOpportunity.valueAnalysis.fairProbability - noFair) > 1e-9
+      || Math.abs(noOpportunity.valueAnalysis.value - (noFair - 0.30)) > 1e-9) {
+      throw new Error('Overpriced team did not produce a buy of the complement token');
+    }
+    console.log(`✓ Yes at 0.72 vs fair ${((1 - noFair) * 100).toFixed(1)}%: buy No at ${noOpportunity.polymarket.price.toFixed(2)} for ${noOpportunity.match.teamName}, edge ${(noOpportunity.valueAnalysis.value * 100).toFixed(1)}%`);
+
+    // Test 29: Recording feeds and replaying them on a virtual clock
+    logger.info('Test 29: Feed record and replay');
+    const recordingDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nhl-bot-'));
+    const recordedAt = Date.parse('2024-01-15T20:00:00Z');
+    const recorder = new FeedRecorder(recordingDir);
+    const recordedHttp = axios.create({
+      adapter: async (request) => ({ data: { path: request.url }, status: 200, statusText: 'OK', headers: {}, config: request, request: {} })
+    });
+    recorder.attachHttp(recordedHttp, 'polymarket-rest', ['/book']);
+    recorder.record('boltodds', JSON.stringify({ action: 'game_update', data: mockBoltData }), recordedAt);
+    recorder.record('polymarket-market', JSON.stringify({ event_type: 'book', asset_id: 'tok-tor', bids: [{ price: '0.55', size: '100' }], asks: [{ price: '0.57', size: '100' }] }), recordedAt + 1000);
+    recorder.record('boltodds', JSON.stringify({ action: 'game_removed', data: mockBoltData }), recordedAt + 60000);
+    await recordedHttp.get('/book', { params: { token_id: 'tok-tor' } });
+    await recordedHttp.get('/auth/derive-api-key');
+    await recorder.close();
+    const closedRecords = recorder.records;
+    await recordedHttp.get('/book', { params: { token_id: 'tok-mtl' } });
+    recorder.record('boltodds', JSON.stringify({ action: 'ping' }), recordedAt + 61000);
+    const recordedAfterClose = recorder.records !== closedRecords || recorder.files.size !== 0;
+
+    const replay = new FeedReplay(0, recordingDir);
+    const loaded = replay.load(['2024-01-15', path.join(recordingDir, new Date().toISOString().slice(0, 10))]);
+    const replayedEvents = [];
+    const realNow = Date.now;
+    const replayBolt = new ReplayBoltOddsClient(replay);
+    const replayFeed = new ReplayMarketFeed(replay);
+    replayBolt.on('gameUpdate', () => replayedEvents.push(`gameUpdate@${Date.now() - recordedAt}`));
+    replayBolt.on('gameRemoved', () => replayedEvents.push(`gameRemoved@${Date.now() - recordedAt}`));
+    replayFeed.on('bookUpdate', (update) => replayedEvents.push(`book:${update.tokenId}@${Date.now() - recordedAt}`));
+    replay.attachHttp(recordedHttp, 'polymarket-rest');
+    replay.useVirtualClock();
+    setTimeout(() => replayedEvents.push(`timer@${Date.now() - recordedAt}`), 30000);
+    await replayBolt.connect();
+    await replayFeed.connect();
+    await replay.play();
+    replay.restoreClock();
+    const replayedBook = await recordedHttp.get('/book', { params: { token_id: 'tok-tor' } });
+    fs.rmSync(recordingDir, { recursive: true, force: true });
+    if (loaded !== 4 || Date.now !== realNow || replayedBook.data.path !== '/book' || recordedAfterClose
+      || replayedEvents.join(',') !== 'gameUpdate@0,book:tok-tor@1000,timer@30000,gameRemoved@60000') {
+      throw new Error(`Replay did not reproduce the recorded session: ${replayedEvents.join(',')}`);
+    }
+    console.log(`✓ Recorded ${loaded} messages to gzip and replayed them in order: ${replayedEvents.join(', ')}`);
+
+    // Test 30: Backtest settlement and performance report
+    logger.info('Test 30: Backtest report');
+    const backtestReplay = new FeedReplay(0);
+    backtestReplay.records = [{
+      receivedAt: 3000,
+      source: 'polymarket-rest',
+      data: { url: '/markets/0xbt', params: null, response: { condition_id: '0xbt', closed: true, tokens: [{ token_id: 'bt-tor', winner: true }, { token_id: 'bt-mtl', winner: false }] } }
+    }];
+    backtestReplay.clock = 4000;
+    const backtestBot = {
+      gameStateStore: new GameStateStore(),
+      activePositions: new Map([['bt-tor', { gameKey: 'bt-game-1' }]]),
+      oddsComparison: {
+        getTokenQuote: () => ({ bestBid: 0.5, price: 0.52 })
+      },
+      orderManager: { getOpenOrders: () => [] },
+      settlementService: { fee: () => 0 },
+      tradingHistory: [
+        { action: 'buy', tokenId: 'bt-tor', gameKey: 'bt-game-1', team: 'TOR', match: { marketType: 'moneyline', line: null, selection: 'Toronto Maple Leafs', side: 'home' }, valueAnalysis: { confidence: 'high' }, amount: 5, shares: 10, buyTime: 500, lines: { entry: null, close: { fairProbability: 0.6, price: 0.58, at: 2500 } } },
+        { action: 'buy', tokenId: 'bt-spread', gameKey: 'bt-game-2', team: 'MTL', match: { marketType: 'spread', line: 1.5, selection: 'Montreal Canadiens', side: 'away' }, valueAnalysis: { confidence: 'medium' }, amount: 6, shares: 10, buyTime: 800 },
+        { action: 'buy', tokenId: 'bt-over', gameKey: 'bt-game-2', team: null, match: { marketType: 'total', line: 5.5, selection: 'Over', side: null }, valueAnalysis: { confidence: 'medium' }, amount: 4, shares: 10, buyTime: 900 },
+        { action: 'sell', tokenId: 'bt-over', amount: 5, shares: 10, sellTime: 1000, exitRule: 'take_profit' }
+      ]
+    };
+    const backtester = new Backtester(backtestBot, backtestReplay, { bankroll: 100 });
+    backtester.observe();
+    backtestBot.gameStateStore.update('bt-game-2', { homeScore: 3, awayScore: 1, live: true }, 'nhl', 1500);
+    backtestBot.gameStateStore.update('bt-game-2', { live: false, final: true }, 'nhl', 2000);
+    const backtestReport = backtester.report();
+    const spreadBet = backtestReport.ledger.find(bet => bet.tokenId === 'bt-spread');
+    if (backtestReport.bets !== 3 || Math.abs(backtestReport.pnl) > 1e-9 || backtestReport.roi !== 0
+      || Math.abs(backtestReport.hitRate - 2 / 3) > 1e-9 || Math.abs(backtestReport.maxDrawdown.amount - 6) > 1e-9
+      || spreadBet.status !== 'lost' || spreadBet.settledBy !== 'score'
+      || Math.abs(backtestReport.clv.average - 0.1) > 1e-9 || backtestReport.clv.bets !== 1
+      || backtestReport.byConfidence.medium.bets !== 2 || backtestReport.byTeam.TOR.pnl !== 5 || backtestReport.byTeam.totals.pnl !== 1
+      || maxDrawdown([2, -1, -2, 4, -1]).amount !== 3) {
+      throw new Error('Backtest report did not settle bets or compute its statistics correctly');
+    }
+    console.log(`✓ Backtest: ${backtestReport.bets} bets, ROI ${(backtestReport.roi * 100).toFixed(1)}%, hit rate ${(backtestReport.hitRate * 100).toFixed(0)}%, drawdown $${backtestReport.maxDrawdown.amount.toFixed(2)}, CLV +${(backtestReport.clv.average * 100).toFixed(1)} points`);
+
+    // orders still working when the replay ends count with what they have filled
+    backtestBot.orderManager.getOpenOrders = () => [
+      { token_id: 'bt-mtl', side: 'buy', game_key: 'bt-game-1', size_matched: 4, amount_matched: 2 },
+      { token_id: 'bt-tor', side: 'sell', size_matched: 2, amount_matched: 1.6, exit_rule: 'edge_gone' }
+    ];
+    const openBacktester = new Backtester(backtestBot, backtestReplay, { bankroll: 100 });
+    const openLedger = openBacktester.report().ledger;
+    const openEntry = openLedger.find(bet => bet.tokenId === 'bt-mtl');
+    const openExit = openLedger.find(bet => bet.tokenId === 'bt-tor');
+    if (openEntry?.staked !== 2 || openEntry.status !== 'lost' || openEntry.pnl !== -2 || openEntry.gameKey !== 'bt-game-1'
+      || Math.abs(openExit?.pnl - 4.6) > 1e-9 || openExit.exitRule !== 'edge_gone' || openBacktester.resolutions.size !== 2) {
+      throw new Error('Backtest left out the fills of orders still open at the end of the replay');
+    }
+    console.log(`✓ Open entry settled at its resolution for ${openEntry.pnl.toFixed(2)}, partial exit counted before the rest was paid out`);
+
+    // Test 31: Closing-line value from entry, exit and game-end snapshots
+    logger.info('Test 31: Closing-line value');
+    const clvDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nhl-bot-'));
+    const clvBot = new TradingBot({ scoreSource: null });
+    const clvLines = { fair: 0.55, price: 0.5 };
+    clvBot.tradeStore = new TradeStore(path.join(clvDir, 'journal.jsonl'));
+    clvBot.tradeStore.open();
+    clvBot.oddsComparison.getTokenFairProbability = (tokenId, options) => (options?.consensusOnly ? clvLines.fair : null);
+    clvBot.oddsComparison.getTokenQuote = () => ({ price: clvLines.price });
+    clvBot.activePositions.set('clv-tor', {
+      tokenId: 'clv-tor', gameKey: 'clv-game', orderId: 'clv-buy', exitOrderId: 'clv-sell', shares: 10, status: 'open',
+      lines: { entry: clvBot.snapshotLine('clv-tor'), exit: null, close: null }
+    });
+    const clvEntry = clvBot.activePositions.get('clv-tor').lines.entry;
+    clvBot.handleOrderClosed({ order_id: 'clv-buy', token_id: 'clv-tor', side: 'buy', amount_matched: 5, size_matched: 10, avg_price: 0.5, status: 'filled', lines: { entry: clvEntry } });
+    clvLines.fair = 0.6;
+    clvLines.price = 0.57;
+    clvBot.recordClosingLines('clv-game');
+    clvBot.activePositions.delete('clv-tor');
+    clvBot.handleOrderClosed({ order_id: 'clv-sell', token_id: 'clv-tor', side: 'sell', amount_matched: 6.2, size_matched: 10, avg_price: 0.62, status: 'filled', game_key: 'clv-game', lines: { entry: clvEntry, exit: clvEntry } });
+    const [clvBuy, clvSell] = clvBot.tradingHistory;
+    const clvRestored = new TradeStore(clvBot.tradeStore.filePath);
+    clvRestored.open();
+    const clvHistory = clvRestored.load().tradingHistory;
+    const clvStatus = clvBot.getStatus().clv;
+    fs.rmSync(clvDir, { recursive: true, force: true });
+    if (Math.abs(clvBuy.clv.fair - 0.1) > 1e-9 || Math.abs(clvBuy.clv.price - 0.07) > 1e-9 || clvBuy.lines.entry.fairProbability !== 0.55
+      || Math.abs(clvSell.clv.fair - 0.02) > 1e-9 || clvSell.lines.close.fairProbability !== 0.6
+      || Math.abs(clvHistory[0].clv?.fair - 0.1) > 1e-9 || clvStatus.trades !== 1 || clvStatus.beatRate !== 1) {
+      throw new Error('Closing-line value was not captured at game end or restored from the journal');
+    }
+    console.log(`✓ Bought at 0.50 with fair ${(clvEntry.fairProbability * 100).toFixed(0)}%, closed at ${(clvBuy.lines.close.fairProbability * 100).toFixed(0)}%: CLV +${(clvBuy.clv.fair * 100).toFixed(1)} pts, sold at 0.62 for +${(clvSell.clv.fair * 100).toFixed(1)} pts`);
+
+    // Test 32: Settling resolved markets and the realized p&l ledger
+    logger.info('Test 32: Settlement');
+    const settleDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nhl-bot-'));
+    const settlePaper = new PaperPolymarketClient();
+    const settleBot = new TradingBot({ scoreSource: null, polymarketClient: settlePaper });
+    settleBot.paperTrading = true;
+    settleBot.tradeStore = new TradeStore(path.join(settleDir, 'journal.jsonl'));
+    settleBot.tradeStore.open();
+    settleBot.riskManager = new RiskManager(path.join(settleDir, 'risk-state.json'));
+    settleBot.settlementService.feeRate = 0.01;
+    settlePaper.balance = 100;
+    settlePaper.positions.set('set-tor', { size: 10, cost: 4 });
+    settlePaper.getMarket = async (marketId) => (marketId === '0xset'
+      ? { condition_id: '0xset', closed: true, tokens: [{ token_id: 'set-tor', winner: true }, { token_id: 'set-mtl', winner: false }] }
+      : { condition_id: marketId, closed: false, tokens: [{ token_id: 'set-van', price: '0.6' }, { token_id: 'set-cgy', price: '0.4' }] });
+    settleBot.activePositions.set('set-tor', { tokenId: 'set-tor', marketId: '0xset', gameKey: 'set-game', shares: 10, amount: 4, price: 0.4, fees: 0.04, status: 'open' });
+    settleBot.activePositions.set('set-van', { tokenId: 'set-van', marketId: '0xopen', gameKey: 'set-game-2', shares: 10, amount: 5, price: 0.5, fees: 0.05, status: 'open' });
+    settleBot.handleOrderFill({ order: { order_id: 'set-sell', token_id: 'set-van', side: 'sell' }, size: 5, amount: 3, price: 0.6 });
+    const [settled] = await settleBot.settlePositions();
+    const settleRestored = new TradeStore(settleBot.tradeStore.filePath);
+    settleRestored.open();
+    const settleLedger = new SettlementService(null);
+    settleLedger.restore(settleRestored.load().realized);
+    const settleStatus = settleBot.settlementService.getStatus();
+    fs.rmSync(settleDir, { recursive: true, force: true });
+    if (Math.abs(settled?.pnl - 5.96) > 1e-9 || settlePaper.balance !== 110 || settleBot.activePositions.has('set-tor')
+      || settleBot.activePositions.get('set-van')?.shares !== 5 || settleBot.tradingHistory.at(-1).action !== 'settle'
+      || Math.abs(settleStatus.realizedPnl - 6.405) > 1e-9 || Math.abs(settleStatus.today - 6.405) > 1e-9
+      || settleBot.settlementService.getEquityCurve().length !== 2 || settleLedger.getStatus().realizedPnl !== settleStatus.realizedPnl
+      || !settleLedger.settledTokens.has('set-tor')
+      || marketPayouts({ closed: true, tokens: [{ token_id: 'a', price: '1' }, { token_id: 'b', price: '0' }] })?.get('a') !== 1
+      || marketPayouts({ closed: false, tokens: [{ token_id: 'a', price: '1' }, { token_id: 'b', price: '0' }] }) !== null
+      || periodKey(new Date(2024, 0, 17, 12).getTime(), 'week') !== '2024-01-15' || periodKey(new Date(2024, 0, 17).getTime(), 'season') !== '2023-24') {
+      throw new Error('Resolved market was not settled at its payout net of fees, or the p&l ledger was not kept');
+    }
+    console.log(`✓ Settled 10 shares at $1 for $${settled.pnl.toFixed(2)} net of fees, realized $${settleStatus.realizedPnl.toFixed(3)} today with a partial exit, paper balance $${settlePaper.balance.toFixed(2)}`);
+
+    // live winnings wait for an on-chain redemption, and a closed market stays known while it is still held
+    const liveSettleDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nhl-bot-'));
+    const liveWallet = new Map([['live-tor', { token_id: 'live-tor', size: '10' }]]);
+    const liveMarket = { condition_id: '0xlive', question: 'Maple Leafs vs. Canadiens', closed: true, tokens: [{ token_id: 'live-tor', outcome: 'Maple Leafs', price: '1', winner: true }, { token_id: 'live-mtl', outcome: 'Canadiens', price: '0', winner: false }] };
+    const liveBot = new TradingBot({ scoreSource: null, polymarketClient: { getMarket: async () => liveMarket, getPosition: async (tokenId) => liveWallet.get(tokenId) || null } });
+    liveBot.paperTrading = false;
+    liveBot.tradeStore = new TradeStore(path.join(liveSettleDir, 'journal.jsonl'));
+    liveBot.tradeStore.open();
+    liveBot.riskManager = new RiskManager(path.join(liveSettleDir, 'risk-state.json'));
+    liveBot.activePositions.set('live-tor', { tokenId: 'live-tor', gameKey: 'live-game', shares: 10, amount: 4, price: 0.4, fees: 0, status: 'open' });
+    liveBot.marketDiscovery.registerMarket(liveMarket);
+    const unredeemed = await liveBot.settlePositions();
+    const awaiting = liveBot.activePositions.get('live-tor');
+    const awaitingStatus = awaiting?.status;
+    liveWallet.clear();
+    const [redeemed] = await liveBot.settlePositions();
+    liveBot.marketDiscovery.registerMarket(liveMarket);
+    fs.rmSync(liveSettleDir, { recursive: true, force: true });
+    if (unredeemed.length !== 0 || awaitingStatus !== 'resolved' || awaiting.redemption?.payout !== 1 || awaiting.marketId !== '0xlive'
+      || Math.abs(redeemed?.pnl - 6) > 1e-9 || liveBot.activePositions.has('live-tor')
+      || liveBot.marketDiscovery.markets.has('0xlive') || liveBot.oddsComparison.polymarketData.has('live-tor')) {
+      throw new Error('Live winnings were booked before redemption, or a closed market was forgotten while still held');
+    }
+    console.log(`✓ Live winner kept ${awaitingStatus} until redeemed, then settled for $${redeemed.pnl.toFixed(2)} and its closed market dropped`);
+
+    // Test 33: Marking open positions to the market
+    logger.info('Test 33: Mark to market');
+    const markBot = new TradingBot({ scoreSource: null });
+    markBot.oddsComparison.getTokenQuote = (tokenId) => (tokenId === 'mark-tor' ? { bestBid: 0.45, bestAsk: 0.47, price: 0.46 } : null);
+    markBot.oddsComparison.getTokenFairProbability = (tokenId) => (tokenId === 'mark-tor' ? 0.55 : null);
+    markBot.activePositions.set('mark-tor', { tokenId: 'mark-tor', shares: 100, amount: 40, price: 0.4, fees: 0.4, status: 'open' });
+    markBot.activePositions.set('mark-mtl', { tokenId: 'mark-mtl', shares: 0, amount: 0, price: 0.5, pendingAmount: 10, status: 'pending' });
+    const [torMark] = markBot.getActivePositions().map(position => position.mark);
+    const markPortfolio = markBot.getStatus().portfolio;
+    if (Math.abs(torMark.value - 45) > 1e-9 || Math.abs(torMark.midValue - 46) > 1e-9 || Math.abs(torMark.costBasis - 40.4) > 1e-9
+      || Math.abs(torMark.unrealizedPnl - 4.6) > 1e-9 || Math.abs(torMark.unrealizedPct - 4.6 / 40.4) > 1e-9 || Math.abs(torMark.edge - 0.1) > 1e-9
+      || markPortfolio.positions !== 2 || Math.abs(markPortfolio.value - 45) > 1e-9 || markPortfolio.pendingAmount !== 10
+      || Math.abs(markBot.getUnrealizedPnl() - 4.6) > 1e-9 || markBot.getStatus().totalPositionValue !== markPortfolio.value) {
+      throw new Error('Open positions were not marked to the bid and mid with their unrealized P&L and edge');
+    }
+    console.log(`✓ 100 shares at 0.40 marked to bid 0.45 / mid 0.46: $${torMark.value.toFixed(2)} value, ${torMark.unrealizedPnl >= 0 ? '+' : ''}$${torMark.unrealizedPnl.toFixed(2)} (${(torMark.unrealizedPct * 100).toFixed(1)}%) unrealized after fees, edge ${(torMark.edge * 100).toFixed(1)}%`);
+
+    // Test 34: Connection test (if keys are valid)
     if (config.BOLTODDS_API_KEY && config.BOLTODDS_API_KEY !== 'your_api_key_here') {
-      logger.info('Test 9: BoltOdds connection test');
+      logger.info('Test 34: BoltOdds connection test');
       try {
         await new Promise((resolve, reject) => {
           const testClient = new BoltOddsClient();
@@ -131,6 +1127,31 @@ async function runTests() {
     console.log('✓ Configuration validation passed');
     console.log('✓ Odds conversion functions working');
     console.log('✓ Mock data processing working');
+    console.log('✓ Market discovery working');
+    console.log('✓ Market matching working');
+    console.log('✓ Devigging working');
+    console.log('✓ Sportsbook consensus working');
+    console.log('✓ Spread and totals matching working');
+    console.log('✓ Paper trading working');
+    console.log('✓ Trade journal working');
+    console.log('✓ Order lifecycle tracking working');
+    console.log('✓ Position reconciliation working');
+    console.log('✓ Kelly position sizing working');
+    console.log('✓ Depth-aware execution planning working');
+    console.log('✓ Polymarket market feed working');
+    console.log('✓ CLOB order signing working');
+    console.log('✓ Risk manager and kill switch working');
+    console.log('✓ Feed health and freshness guard working');
+    console.log('✓ Exit engine working');
+    console.log('✓ Live game state working');
+    console.log('✓ Win probability model working');
+    console.log('✓ Strategy plugins working');
+    console.log('✓ Complement token trading working');
+    console.log('✓ Feed recording and replay working');
+    console.log('✓ Backtest reporting working');
+    console.log('✓ Closing-line value tracking working');
+    console.log('✓ Settlement and P&L accounting working');
+    console.log('✓ Mark-to-market valuation working');
     
     if (config.BOLTODDS_API_KEY && config.BOLTODDS_API_KEY !== 'your_api_key_here') {
       console.log('✓ BoltOdds connection test completed');
@@ -0,0 +1,166 @@
+// polymarket clob authentication: eip-712 order and api key signatures (l1) and hmac request headers (l2)
+import crypto from 'crypto';
+
+export const ORDER_SIDES = { buy: 0, sell: 1 };
+
+// 0 = eoa, 1 = polymarket proxy wallet, 2 = gnosis safe
+export const SIGNATURE_TYPES = { EOA: 0, POLY_PROXY: 1, POLY_GNOSIS_SAFE: 2 };
+
+// shares trade in hundredths, a smaller remainder cannot be ordered
+export const MIN_ORDER_SHARES = 0.01;
+
+export const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+export const CLOB_AUTH_MESSAGE = 'This message attests that I control the given wallet';
+
+const ORDER_TYPES = {
+  Order: [
+    { name: 'salt', type: 'uint256' },
+    { name: 'maker', type: 'address' },
+    { name: 'signer', type: 'address' },
+    { name: 'taker', type: 'address' },
+    { name: 'tokenId', type: 'uint256' },
+    { name: 'makerAmount', type: 'uint256' },
+    { name: 'takerAmount', type: 'uint256' },
+    { name: 'expiration', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'feeRateBps', type: 'uint256' },
+    { name: 'side', type: 'uint8' },
+    { name: 'signatureType', type: 'uint8' }
+  ]
+};
+
+const CLOB_AUTH_TYPES = {
+  ClobAuth: [
+    { name: 'address', type: 'address' },
+    { name: 'timestamp', type: 'string' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'message', type: 'string' }
+  ]
+};
+
+// usdc and outcome tokens both use 6 decimals on chain
+const TOKEN_DECIMALS = 1e6;
+
+export function orderDomain(chainId, exchangeAddress) {
+  return { name: 'Polymarket CTF Exchange', version: '1', chainId, verifyingContract: exchangeAddress };
+}
+
+export function clobAuthDomain(chainId) {
+  return { name: 'ClobAuthDomain', version: '1', chainId };
+}
+
+// convert a decimal amount to on-chain units
+export function toTokenUnits(value) {
+  return BigInt(Math.round(value * TOKEN_DECIMALS)).toString();
+}
+
+// build an unsigned order struct: buys give usdc for shares, sells give shares for usdc
+export function buildOrder({ maker, signer, tokenId, side, price, size, feeRateBps = 0, nonce = 0, expiration = 0, signatureType = SIGNATURE_TYPES.EOA, salt = null }) {
+  if (!(side in ORDER_SIDES)) {
+    throw new Error(`Invalid order side: ${side}`);
+  }
+  if (!(price > 0 && price < 1)) {
+    throw new Error(`Invalid order price: ${price}`);
+  }
+
+  // shares trade in hundredths, the usdc leg in ten-thousandths
+  const shares = Math.floor(size * 100 + 1e-9) / 100;
+  const notional = Math.round(shares * price * 10000) / 10000;
+
+  if (shares < MIN_ORDER_SHARES) {
+    throw new Error(`Order size too small: ${size}`);
+  }
+
+  const isBuy = side === 'buy';
+
+  return {
+    salt: String(salt ?? Math.round(Math.random() * Date.now())),
+    maker,
+    signer,
+    taker: ZERO_ADDRESS,
+    tokenId: String(tokenId),
+    makerAmount: toTokenUnits(isBuy ? notional : shares),
+    takerAmount: toTokenUnits(isBuy ? shares : notional),
+    expiration: String(expiration),
+    nonce: String(nonce),
+    feeRateBps: String(feeRateBps),
+    side: ORDER_SIDES[side],
+    signatureType
+  };
+}
+
+// sign an order struct with eip-712
+export async function signOrder(wallet, order, domain) {
+  const signature = await wallet.signTypedData(domain, ORDER_TYPES, order);
+  return { ...order, signature };
+}
+
+// serialize a signed order the way POST /order expects it
+export function orderToJson(signedOrder, owner, orderType = 'GTC') {
+  return {
+    order: {
+      ...signedOrder,
+      salt: parseInt(signedOrder.salt, 10),
+      side: signedOrder.side === ORDER_SIDES.buy ? 'BUY' : 'SELL'
+    },
+    owner,
+    orderType
+  };
+}
+
+// l1 headers: an eip-712 proof of wallet ownership, used to create or derive api credentials
+export async function buildL1Headers(wallet, chainId, { timestamp = Math.floor(Date.now() / 1000), nonce = 0 } = {}) {
+  const signature = await wallet.signTypedData(clobAuthDomain(chainId), CLOB_AUTH_TYPES, {
+    address: wallet.address,
+    timestamp: String(timestamp),
+    nonce,
+    message: CLOB_AUTH_MESSAGE
+  });
+
+  return {
+    POLY_ADDRESS: wallet.address,
+    POLY_SIGNATURE: signature,
+    POLY_TIMESTAMP: String(timestamp),
+    POLY_NONCE: String(nonce)
+  };
+}
+
+// hmac-sha256 of timestamp + method + path + body with the base64 api secret, url-safe base64 out
+export function buildHmacSignature(secret, timestamp, method, requestPath, body = '') {
+  const key = Buffer.from(secret.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+  const message = `${timestamp}${method.toUpperCase()}${requestPath}${body}`;
+
+  return crypto.createHmac('sha256', key)
+    .update(message)
+    .digest('base64')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_');
+}
+
+// l2 headers: api key credentials plus an hmac over the request
+export function buildL2Headers(address, credentials, { method, requestPath, body = '', timestamp = Math.floor(Date.now() / 1000) }) {
+  return {
+    POLY_ADDRESS: address,
+    POLY_SIGNATURE: buildHmacSignature(credentials.secret, timestamp, method, requestPath, body),
+    POLY_TIMESTAMP: String(timestamp),
+    POLY_API_KEY: credentials.apiKey,
+    POLY_PASSPHRASE: credentials.passphrase
+  };
+}
+
+// replace secret values with *** before logging
+export function redactSecrets(value) {
+  if (Array.isArray(value)) {
+    return value.map(redactSecrets);
+  }
+
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, entry]) => [
+      key,
+      /private_?key|secret|passphrase/i.test(key) ? '***' : redactSecrets(entry)
+    ]));
+  }
+
+  return value;
+}
@@ -0,0 +1,70 @@
+// remove the bookmaker margin from a set of implied probabilities covering every outcome of a market
+
+export const DEVIG_METHODS = ['multiplicative', 'additive', 'power', 'shin'];
+
+// solve f(x) = 0 for an increasing function on [low, high] by bisection
+function bisect(f, low, high, iterations = 100) {
+  for (let i = 0; i < iterations; i++) {
+    const mid = (low + high) / 2;
+    if (f(mid) > 0) {
+      high = mid;
+    } else {
+      low = mid;
+    }
+  }
+  return (low + high) / 2;
+}
+
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+// scale every probability by the same factor
+export function multiplicative(implied) {
+  const booksum = sum(implied);
+  return implied.map(p => p / booksum);
+}
+
+// subtract an equal share of the margin from every outcome
+export function additive(implied) {
+  const margin = (sum(implied) - 1) / implied.length;
+  return implied.map(p => Math.max(p - margin, 0));
+}
+
+// raise every probability to the power k that makes them sum to one
+export function power(implied) {
+  // sum of p^k falls as k grows, so solve 1 - sum(p^k) = 0
+  const k = bisect(x => 1 - sum(implied.map(p => Math.pow(p, x))), 0.01, 100);
+  return implied.map(p => Math.pow(p, k));
+}
+
+// shin's model, which assumes part of the margin protects against insider trading
+export function shin(implied) {
+  const booksum = sum(implied);
+  const fairFor = (z) => implied.map(
+    p => (Math.sqrt(z * z + 4 * (1 - z) * (p * p) / booksum) - z) / (2 * (1 - z))
+  );
+
+  // the fair sum falls as z grows, so solve 1 - sum(fair) = 0
+  const z = bisect(x => 1 - sum(fairFor(x)), 0, 0.99);
+  return fairFor(z);
+}
+
+const methods = { multiplicative, additive, power, shin };
+
+// devig implied probabilities with the given method
+export function devig(implied, method = 'multiplicative') {
+  if (!methods[method]) {
+    throw new Error(`Unknown devig method: ${method}`);
+  }
+  if (implied.length < 2 || implied.some(p => !(p > 0 && p < 1))) {
+    return null;
+  }
+
+  const overround = sum(implied) - 1;
+
+  // a book with no margin (or a negative one) is already fair apart from normalisation
+  const probabilities = overround > 0 ? methods[method](implied) : multiplicative(implied);
+
+  return { method, overround, probabilities };
+}
+
+export default devig;
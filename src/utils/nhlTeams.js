@@ -0,0 +1,116 @@
+// nhl team alias table used to match boltodds games with polymarket markets
+export const NHL_TEAMS = [
+  { abbreviation: 'ANA', name: 'Anaheim Ducks', city: 'Anaheim', nickname: 'Ducks', aliases: [] },
+  { abbreviation: 'BOS', name: 'Boston Bruins', city: 'Boston', nickname: 'Bruins', aliases: [] },
+  { abbreviation: 'BUF', name: 'Buffalo Sabres', city: 'Buffalo', nickname: 'Sabres', aliases: [] },
+  { abbreviation: 'CGY', name: 'Calgary Flames', city: 'Calgary', nickname: 'Flames', aliases: ['CAL'] },
+  { abbreviation: 'CAR', name: 'Carolina Hurricanes', city: 'Carolina', nickname: 'Hurricanes', aliases: ['Canes'] },
+  { abbreviation: 'CHI', name: 'Chicago Blackhawks', city: 'Chicago', nickname: 'Blackhawks', aliases: ['Hawks'] },
+  { abbreviation: 'COL', name: 'Colorado Avalanche', city: 'Colorado', nickname: 'Avalanche', aliases: ['Avs'] },
+  { abbreviation: 'CBJ', name: 'Columbus Blue Jackets', city: 'Columbus', nickname: 'Blue Jackets', aliases: ['Jackets', 'CLB'] },
+  { abbreviation: 'DAL', name: 'Dallas Stars', city: 'Dallas', nickname: 'Stars', aliases: [] },
+  { abbreviation: 'DET', name: 'Detroit Red Wings', city: 'Detroit', nickname: 'Red Wings', aliases: ['Wings'] },
+  { abbreviation: 'EDM', name: 'Edmonton Oilers', city: 'Edmonton', nickname: 'Oilers', aliases: [] },
+  { abbreviation: 'FLA', name: 'Florida Panthers', city: 'Florida', nickname: 'Panthers', aliases: ['FLO'] },
+  { abbreviation: 'LAK', name: 'Los Angeles Kings', city: 'Los Angeles', nickname: 'Kings', aliases: ['LA Kings', 'LA', 'L.A.'] },
+  { abbreviation: 'MIN', name: 'Minnesota Wild', city: 'Minnesota', nickname: 'Wild', aliases: [] },
+  { abbreviation: 'MTL', name: 'Montreal Canadiens', city: 'Montreal', nickname: 'Canadiens', aliases: ['Habs', 'MON'] },
+  { abbreviation: 'NSH', name: 'Nashville Predators', city: 'Nashville', nickname: 'Predators', aliases: ['Preds', 'NAS'] },
+  { abbreviation: 'NJD', name: 'New Jersey Devils', city: 'New Jersey', nickname: 'Devils', aliases: ['NJ'] },
+  { abbreviation: 'NYI', name: 'New York Islanders', city: 'New York', nickname: 'Islanders', aliases: ['Isles', 'NY Islanders'] },
+  { abbreviation: 'NYR', name: 'New York Rangers', city: 'New York', nickname: 'Rangers', aliases: ['NY Rangers'] },
+  { abbreviation: 'OTT', name: 'Ottawa Senators', city: 'Ottawa', nickname: 'Senators', aliases: ['Sens'] },
+  { abbreviation: 'PHI', name: 'Philadelphia Flyers', city: 'Philadelphia', nickname: 'Flyers', aliases: [] },
+  { abbreviation: 'PIT', name: 'Pittsburgh Penguins', city: 'Pittsburgh', nickname: 'Penguins', aliases: ['Pens'] },
+  { abbreviation: 'SJS', name: 'San Jose Sharks', city: 'San Jose', nickname: 'Sharks', aliases: ['SJ'] },
+  { abbreviation: 'SEA', name: 'Seattle Kraken', city: 'Seattle', nickname: 'Kraken', aliases: [] },
+  { abbreviation: 'STL', name: 'St. Louis Blues', city: 'St. Louis', nickname: 'Blues', aliases: ['St Louis Blues', 'Saint Louis Blues', 'St Louis', 'Saint Louis'] },
+  { abbreviation: 'TBL', name: 'Tampa Bay Lightning', city: 'Tampa Bay', nickname: 'Lightning', aliases: ['Bolts', 'TB'] },
+  { abbreviation: 'TOR', name: 'Toronto Maple Leafs', city: 'Toronto', nickname: 'Maple Leafs', aliases: ['Leafs'] },
+  { abbreviation: 'UTA', name: 'Utah Mammoth', city: 'Utah', nickname: 'Mammoth', aliases: ['Utah Hockey Club', 'UTAH'] },
+  { abbreviation: 'VAN', name: 'Vancouver Canucks', city: 'Vancouver', nickname: 'Canucks', aliases: [] },
+  { abbreviation: 'VGK', name: 'Vegas Golden Knights', city: 'Vegas', nickname: 'Golden Knights', aliases: ['Las Vegas', 'Knights', 'VEG'] },
+  { abbreviation: 'WSH', name: 'Washington Capitals', city: 'Washington', nickname: 'Capitals', aliases: ['Caps', 'WAS'] },
+  { abbreviation: 'WPG', name: 'Winnipeg Jets', city: 'Winnipeg', nickname: 'Jets', aliases: [] }
+];
+
+// normalize text for alias lookups (lowercase, no accents or punctuation)
+export function normalizeTeamText(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/\./g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+// build alias -> abbreviations indexes once at module load
+const nameIndex = new Map();
+const abbreviationIndex = new Map();
+
+function addAlias(index, alias, abbreviation) {
+  const key = normalizeTeamText(alias);
+  if (!key) return;
+  if (!index.has(key)) {
+    index.set(key, new Set());
+  }
+  index.get(key).add(abbreviation);
+}
+
+for (const team of NHL_TEAMS) {
+  for (const alias of [team.name, team.city, team.nickname, ...team.aliases]) {
+    // short upper-case aliases are abbreviations and only trusted in slugs or exact lookups
+    const isAbbreviation = alias.length <= 4 && alias === alias.toUpperCase();
+    addAlias(isAbbreviation ? abbreviationIndex : nameIndex, alias, team.abbreviation);
+  }
+  addAlias(abbreviationIndex, team.abbreviation, team.abbreviation);
+}
+
+const teamsByAbbreviation = new Map(NHL_TEAMS.map(team => [team.abbreviation, team]));
+
+// get a team by its abbreviation
+export function getTeam(abbreviation) {
+  return teamsByAbbreviation.get(abbreviation) || null;
+}
+
+// resolve a full team string (e.g. 'Toronto Maple Leafs', 'TOR', 'Habs') to a single team
+export function resolveTeam(text) {
+  const key = normalizeTeamText(text);
+  const candidates = nameIndex.get(key) || abbreviationIndex.get(key);
+
+  if (!candidates || candidates.size !== 1) {
+    return null;
+  }
+  return getTeam([...candidates][0]);
+}
+
+// find every team mentioned in free text, ordered by first appearance
+export function findTeamsInText(text, { includeAbbreviations = false } = {}) {
+  const padded = ` ${normalizeTeamText(text)} `;
+  const found = new Map(); // abbreviation -> first index
+
+  const scan = (index) => {
+    for (const [alias, abbreviations] of index) {
+      // aliases shared by several teams (e.g. 'New York') cannot identify a team on their own
+      if (abbreviations.size !== 1) continue;
+
+      const position = padded.indexOf(` ${alias} `);
+      if (position === -1) continue;
+
+      const abbreviation = [...abbreviations][0];
+      if (!found.has(abbreviation) || position < found.get(abbreviation)) {
+        found.set(abbreviation, position);
+      }
+    }
+  };
+
+  scan(nameIndex);
+  if (includeAbbreviations) {
+    scan(abbreviationIndex);
+  }
+
+  return [...found.entries()]
+    .sort((a, b) => a[1] - b[1])
+    .map(([abbreviation]) => getTeam(abbreviation));
+}
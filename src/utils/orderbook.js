@@ -0,0 +1,40 @@
+// helpers for working with polymarket /book responses
+
+// normalize book levels to numbers, best price first (asks ascending, bids descending)
+export function normalizeLevels(levels, side) {
+  return (levels || [])
+    .map(level => ({ price: parseFloat(level.price), size: parseFloat(level.size) }))
+    .filter(level => level.price > 0 && level.size > 0)
+    .sort((a, b) => (side === 'asks' ? a.price - b.price : b.price - a.price));
+}
+
+// walk book levels taking up to `size` shares or `amount` usdc, stopping at `limitPrice` when given
+export function walkBook(levels, { size = Infinity, amount = Infinity, limitPrice = null, side = 'buy' }) {
+  const fills = [];
+  let remainingSize = size;
+  let remainingAmount = amount;
+  let filledSize = 0;
+  let notional = 0;
+
+  for (const level of levels) {
+    if (remainingSize <= 0 || remainingAmount <= 1e-12) break;
+
+    const crossesLimit = limitPrice !== null && (side === 'buy' ? level.price > limitPrice : level.price < limitPrice);
+    if (crossesLimit) break;
+
+    const taken = Math.min(level.size, remainingSize, remainingAmount / level.price);
+    fills.push({ price: level.price, size: taken });
+    filledSize += taken;
+    notional += taken * level.price;
+    remainingSize -= taken;
+    remainingAmount -= taken * level.price;
+  }
+
+  return {
+    fills,
+    filledSize,
+    notional,
+    avgPrice: filledSize > 0 ? notional / filledSize : null,
+    worstPrice: fills.length > 0 ? fills[fills.length - 1].price : null
+  };
+}
@@ -0,0 +1,144 @@
+// performance statistics over settled bets ({ staked, pnl, settledAt, clv }) and trades
+
+// closing-line value of a trade in probability points, against the closing consensus fair probability and the closing
+// polymarket price: what a buy paid below the close, or a sell received above it (null until the close is known)
+export function closingLineValue(trade) {
+  const close = trade.lines?.close;
+  if (!close || !(trade.price > 0)) return null;
+
+  const sign = trade.action === 'sell' ? -1 : 1;
+  return {
+    fair: close.fairProbability === null ? null : sign * (close.fairProbability - trade.price),
+    price: close.price === null ? null : sign * (close.price - trade.price)
+  };
+}
+
+// attach a game-end snapshot to a trade and price its clv
+export function applyClosingLine(trade, close) {
+  trade.lines = { ...trade.lines, close };
+  trade.clv = closingLineValue(trade);
+  return trade;
+}
+
+// average clv of trades whose close is known, and how often they beat the closing fair probability
+export function summarizeClv(trades) {
+  const values = trades.map(trade => trade.clv).filter(clv => clv && clv.fair !== null);
+  const priced = trades.map(trade => trade.clv).filter(clv => clv && clv.price !== null);
+
+  return {
+    trades: values.length,
+    average: values.length > 0 ? values.reduce((sum, clv) => sum + clv.fair, 0) / values.length : null,
+    averagePrice: priced.length > 0 ? priced.reduce((sum, clv) => sum + clv.price, 0) / priced.length : null,
+    beatRate: values.length > 0 ? values.filter(clv => clv.fair > 0).length / values.length : null
+  };
+}
+
+// largest fall of cumulative p&l from its running peak, in usdc and as a fraction of the bankroll at that peak
+export function maxDrawdown(pnls, bankroll = 0) {
+  let equity = 0;
+  let peak = 0;
+  let drawdown = 0;
+  let fraction = 0;
+
+  for (const pnl of pnls) {
+    equity += pnl;
+    peak = Math.max(peak, equity);
+
+    if (peak - equity > drawdown) {
+      drawdown = peak - equity;
+      fraction = bankroll + peak > 0 ? drawdown / (bankroll + peak) : null;
+    }
+  }
+
+  return { amount: drawdown, fraction };
+}
+
+// mean over sample standard deviation of per-bet returns (not annualized), null below two bets or without variance
+export function sharpeRatio(returns) {
+  if (returns.length < 2) return null;
+
+  const mean = returns.reduce((sum, value) => sum + value, 0) / returns.length;
+  const variance = returns.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (returns.length - 1);
+
+  return variance > 0 ? mean / Math.sqrt(variance) : null;
+}
+
+// roi, hit rate, drawdown, sharpe and closing-line value of a set of bets, taken in settlement order
+export function summarizeBets(bets, { bankroll = 0 } = {}) {
+  const ordered = [...bets].sort((a, b) => a.settledAt - b.settledAt);
+  const staked = ordered.reduce((sum, bet) => sum + bet.staked, 0);
+  const pnl = ordered.reduce((sum, bet) => sum + bet.pnl, 0);
+  const wins = ordered.filter(bet => bet.pnl > 0).length;
+  const withClv = ordered.filter(bet => bet.clv !== null && bet.clv !== undefined);
+
+  return {
+    bets: ordered.length,
+    staked,
+    pnl,
+    roi: staked > 0 ? pnl / staked : null,
+    hitRate: ordered.length > 0 ? wins / ordered.length : null,
+    maxDrawdown: maxDrawdown(ordered.map(bet => bet.pnl), bankroll),
+    sharpe: sharpeRatio(ordered.filter(bet => bet.staked > 0).map(bet => bet.pnl / bet.staked)),
+    clv: {
+      bets: withClv.length,
+      average: withClv.length > 0 ? withClv.reduce((sum, bet) => sum + bet.clv, 0) / withClv.length : null,
+      beatRate: withClv.length > 0 ? withClv.filter(bet => bet.clv > 0).length / withClv.length : null
+    }
+  };
+}
+
+// summaries per group, e.g. by confidence bucket or team
+export function summarizeBy(bets, keyOf, options = {}) {
+  const groups = new Map();
+
+  for (const bet of bets) {
+    const key = keyOf(bet) ?? 'unknown';
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(bet);
+  }
+
+  return Object.fromEntries(Array.from(groups.entries()).map(([key, group]) => [key, summarizeBets(group, options)]));
+}
+
+// local calendar day, week (starting monday) or nhl season (starting july 1) that a time falls in
+export function periodKey(time, period) {
+  const date = new Date(time);
+  const day = (value) => `${value.getFullYear()}-${String(value.getMonth() + 1).padStart(2, '0')}-${String(value.getDate()).padStart(2, '0')}`;
+
+  if (period === 'week') {
+    const monday = new Date(date.getFullYear(), date.getMonth(), date.getDate() - ((date.getDay() + 6) % 7));
+    return day(monday);
+  }
+  if (period === 'season') {
+    const startYear = date.getMonth() >= 6 ? date.getFullYear() : date.getFullYear() - 1;
+    return `${startYear}-${String(startYear + 1).slice(2)}`;
+  }
+  return day(date);
+}
+
+// realized p&l entries ({ at, pnl }) totalled per period, oldest first
+export function totalsByPeriod(entries, period) {
+  const totals = new Map();
+
+  for (const entry of [...entries].sort((a, b) => a.at - b.at)) {
+    const key = periodKey(entry.at, period);
+    const total = totals.get(key) || { period: key, pnl: 0, count: 0 };
+    total.pnl += entry.pnl;
+    total.count++;
+    totals.set(key, total);
+  }
+
+  return Array.from(totals.values());
+}
+
+// running equity after each realized p&l entry, starting from the bankroll
+export function equityCurve(entries, bankroll = 0) {
+  let equity = bankroll;
+
+  return [...entries].sort((a, b) => a.at - b.at).map((entry) => {
+    equity += entry.pnl;
+    return { at: entry.at, pnl: entry.pnl, equity };
+  });
+}